@@ -4,7 +4,8 @@ module.exports = {
   collectCoverageFrom: [
     'src/**/*.js',
     '!**/node_modules/**',
-    '!**/vendor/**'
+    '!**/vendor/**',
+    '!**/__tests__/helpers.js'
   ],
   coverageThreshold: {
     global: {
@@ -20,6 +21,7 @@ module.exports = {
   ],
   testPathIgnorePatterns: [
     '/node_modules/',
-    '/dist/'
+    '/dist/',
+    '/__tests__/helpers\\.js$'
   ]
 }; 
\ No newline at end of file
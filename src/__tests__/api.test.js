@@ -0,0 +1,120 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { convertCollection, convertFiles, convertWorkspace, AuthenticationError } = require('../api');
+const { makeCollection } = require('./helpers');
+
+describe('library API', () => {
+    let dir;
+    let cwdEntries;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'postman-export-'));
+        cwdEntries = fs.readdirSync(process.cwd());
+        jest.spyOn(console, 'log');
+        jest.spyOn(console, 'error');
+    });
+
+    afterEach(() => {
+        // Nothing may be printed or left behind in the working directory
+        expect(console.log).not.toHaveBeenCalled();
+        expect(console.error).not.toHaveBeenCalled();
+        expect(fs.readdirSync(process.cwd())).toEqual(cwdEntries);
+        jest.restoreAllMocks();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should convert a collection object in memory', async () => {
+        const collection = makeCollection('User API', 'id-users');
+
+        const spec = await convertCollection(collection);
+        expect(spec.info.title).toBe('User API');
+        expect(Object.keys(spec.paths)).toEqual(['/users']);
+        expect(spec.servers).toEqual([{ url: 'https://api.example.com' }]);
+
+        // The { collection } wrapper of API exports and JSON strings work too
+        expect(await convertCollection({ collection })).toEqual(spec);
+        expect(await convertCollection(JSON.stringify(collection))).toEqual(spec);
+        await expect(convertCollection({ name: 'nope' })).rejects.toThrow('Not a Postman collection');
+    });
+
+    test('should convert only the folders and requests that pass the item filters', async () => {
+        const collection = makeCollection('User API', 'id-users', [
+            { name: 'Users', item: [{ name: 'List users', request: { method: 'GET', url: 'https://api.example.com/users' } }] },
+            { name: 'internal', item: [{ name: 'Health', request: { method: 'GET', url: 'https://api.example.com/health' } }] }
+        ]);
+
+        const spec = await convertCollection(collection, { excludeItems: ['internal'] });
+        expect(Object.keys(spec.paths)).toEqual(['/users']);
+    });
+
+    test('should convert collections in parallel without sharing files', async () => {
+        const specs = await Promise.all(['A', 'B', 'C'].map(name => convertCollection(makeCollection(name, name))));
+        expect(specs.map(spec => spec.info.title)).toEqual(['A', 'B', 'C']);
+    });
+
+    test('should return specs as a structured result without writing files', async () => {
+        fs.writeFileSync(path.join(dir, 'users.json'), JSON.stringify(makeCollection('User API', 'id-users')));
+        fs.writeFileSync(path.join(dir, 'orders.json'), JSON.stringify(makeCollection('Order API', 'id-orders')));
+        const events = [];
+
+        const result = await convertFiles(dir, {
+            onProgress: ({ status, collection }) => events.push(`${status} ${collection.name}`)
+        });
+
+        expect(result.success).toBe(true);
+        expect(result.summary).toEqual({ total: 2, succeeded: 2, failed: 0, skipped: 0 });
+        expect(result.collections.map(entry => entry.spec.info.title)).toEqual(['Order API', 'User API']);
+        expect(result.collections.every(entry => entry.file === undefined)).toBe(true);
+        expect(events).toEqual(['started Order API', 'finished Order API', 'started User API', 'finished User API']);
+        expect(fs.readdirSync(dir).sort()).toEqual(['orders.json', 'users.json']);
+    });
+
+    test('should report failed collections instead of throwing', async () => {
+        fs.writeFileSync(path.join(dir, 'users.json'), JSON.stringify(makeCollection('User API', 'id-users', [
+            { name: '', request: { method: 'GET', url: 'https://api.example.com/users' } }
+        ])));
+        fs.writeFileSync(path.join(dir, 'orders.json'), JSON.stringify(makeCollection('Order API', 'id-orders')));
+
+        const result = await convertFiles(dir, { strict: true, lintRules: { 'operation-summary': 'error' } });
+
+        expect(result.success).toBe(false);
+        expect(result.error).toBeUndefined();
+        expect(result.summary).toEqual({ total: 2, succeeded: 1, failed: 1, skipped: 0 });
+        const failed = result.collections.find(entry => !entry.success);
+        expect(failed.name).toBe('User API');
+        expect(failed.validation.errors[0].rule).toBe('operation-summary');
+    });
+
+    test('should not report merged collections as converted when the merge is skipped', async () => {
+        // A malformed folder fails the conversion
+        fs.writeFileSync(path.join(dir, 'users.json'), JSON.stringify(makeCollection('User API', 'id-users', [
+            { name: 'Broken folder', item: 'not-a-list' }
+        ])));
+        fs.writeFileSync(path.join(dir, 'orders.json'), JSON.stringify(makeCollection('Order API', 'id-orders')));
+
+        const result = await convertFiles(dir, { merge: 'gateway.json' });
+
+        expect(result.success).toBe(false);
+        expect(result.summary).toEqual({ total: 2, succeeded: 0, failed: 2, skipped: 0 });
+        const orders = result.collections.find(entry => entry.name === 'Order API');
+        expect(orders.error).toBe('Not written: merged spec skipped after 1 failure(s)');
+    });
+
+    test('should settle errors that stop the whole export', async () => {
+        const originalFetch = global.fetch;
+        global.fetch = jest.fn().mockResolvedValue({
+            ok: false,
+            status: 401,
+            headers: new Headers(),
+            json: () => Promise.resolve({ error: { name: 'AuthenticationError', message: 'Invalid API Key' } })
+        });
+
+        const result = await convertWorkspace('workspace', { apiKey: 'bad-key' });
+
+        expect(result.success).toBe(false);
+        expect(result.error).toBeInstanceOf(AuthenticationError);
+        expect(result.collections).toEqual([]);
+        global.fetch = originalFetch;
+    });
+});
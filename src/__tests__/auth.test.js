@@ -0,0 +1,139 @@
+const { convertCollection } = require('../exporter');
+const { validateSpec } = require('../validate');
+const { COLLECTION_SCHEMA } = require('./helpers');
+
+function request(name, urlPath, auth) {
+    return { name, request: { method: 'GET', url: `https://api.example.com/${urlPath}`, ...(auth ? { auth } : {}) } };
+}
+
+function oauth2(grantType, scope, extra = []) {
+    return {
+        type: 'oauth2',
+        oauth2: [
+            { key: 'grant_type', value: grantType, type: 'string' },
+            { key: 'accessTokenUrl', value: '{{authHost}}/oauth/token', type: 'string' },
+            { key: 'clientSecret', value: 'client-secret-value', type: 'string' },
+            { key: 'accessToken', value: 'access-token-value', type: 'string' },
+            { key: 'scope', value: scope, type: 'string' },
+            ...extra
+        ]
+    };
+}
+
+function makeCollection() {
+    return {
+        info: { name: 'Shop API', schema: COLLECTION_SCHEMA },
+        variable: [{ key: 'authHost', value: 'https://auth.example.com' }],
+        auth: { type: 'bearer', bearer: [{ key: 'token', value: 'collection-token-value', type: 'string' }] },
+        item: [
+            request('List products', 'products'),
+            request('Get product', 'products/{{id}}', { type: 'inherit' }),
+            {
+                name: 'Admin',
+                auth: oauth2('client_credentials', 'admin:read admin:write'),
+                item: [
+                    request('List orders', 'orders'),
+                    request('Audit log', 'audit', oauth2('client_credentials', 'admin:audit'))
+                ]
+            },
+            {
+                name: 'Public',
+                auth: { type: 'noauth' },
+                item: [
+                    request('Health', 'health'),
+                    request('Partner feed', 'feed', { type: 'apikey', apikey: [{ key: 'key', value: 'api_key' }, { key: 'value', value: 'api-key-value' }, { key: 'in', value: 'query' }] })
+                ]
+            },
+            request('Legacy', 'legacy', { type: 'basic', basic: { username: 'admin', password: 'basic-password-value' } }),
+            request('Mobile', 'mobile', { type: 'oauth2', oauth2: [{ key: 'accessToken', value: 'mobile-token-value' }] }),
+            request('Signed', 'signed', { type: 'awsv4', awsv4: [{ key: 'secretKey', value: 'aws-secret-value' }] })
+        ]
+    };
+}
+
+describe('auth to security schemes', () => {
+    let spec;
+
+    beforeAll(async () => {
+        spec = await convertCollection({ collection: makeCollection() }, { inferSchemas: false });
+    });
+
+    test('should turn the collection auth into the top-level security', () => {
+        expect(spec.security).toEqual([{ bearerAuth: [] }]);
+        expect(spec.paths['/products'].get.security).toBeUndefined();
+        expect(spec.paths['/products/{id}'].get.security).toBeUndefined();
+    });
+
+    test('should follow folder auth, request overrides and noauth', () => {
+        expect(spec.paths['/orders'].get.security).toEqual([{ oauth2Auth: ['admin:read', 'admin:write'] }]);
+        expect(spec.paths['/audit'].get.security).toEqual([{ oauth2Auth: ['admin:audit'] }]);
+        expect(spec.paths['/health'].get.security).toEqual([]);
+        expect(spec.paths['/feed'].get.security).toEqual([{ apiKeyAuth: [] }]);
+        expect(spec.paths['/legacy'].get.security).toEqual([{ basicAuth: [] }]);
+        expect(spec.paths['/signed'].get.security).toEqual([{ awsv4Auth: [] }]);
+    });
+
+    test('should describe every scheme that is used', () => {
+        expect(spec.components.securitySchemes).toEqual({
+            bearerAuth: { type: 'http', scheme: 'bearer' },
+            oauth2Auth: {
+                type: 'oauth2',
+                flows: {
+                    clientCredentials: {
+                        tokenUrl: 'https://auth.example.com/oauth/token',
+                        scopes: { 'admin:read': '', 'admin:write': '', 'admin:audit': '' }
+                    }
+                }
+            },
+            apiKeyAuth: { type: 'apiKey', in: 'query', name: 'api_key' },
+            basicAuth: { type: 'http', scheme: 'basic' },
+            // An OAuth 2.0 auth without URLs can only be described by its token
+            oauth2Auth2: { type: 'http', scheme: 'bearer', description: 'OAuth 2.0 access token' },
+            awsv4Auth: { type: 'http', scheme: 'aws4-hmac-sha256' }
+        });
+    });
+
+    test('should never copy credentials', () => {
+        expect(JSON.stringify(spec)).not.toMatch(/-value|postman-export-request/);
+    });
+
+    test('should produce valid security definitions', () => {
+        expect(validateSpec(spec).errors.filter(issue => issue.rule === 'openapi-schema')).toEqual([]);
+    });
+
+    test('should map authorization code flows with refresh URLs', async () => {
+        const collection = makeCollection();
+        collection.auth = oauth2('authorization_code_with_pkce', 'profile', [
+            { key: 'authUrl', value: 'https://auth.example.com/authorize' },
+            { key: 'refreshTokenUrl', value: 'https://auth.example.com/refresh' }
+        ]);
+        collection.item = [request('Me', 'me')];
+
+        const result = await convertCollection({ collection }, {});
+        expect(result.security).toEqual([{ oauth2Auth: ['profile'] }]);
+        expect(result.components.securitySchemes.oauth2Auth.flows).toEqual({
+            authorizationCode: {
+                authorizationUrl: 'https://auth.example.com/authorize',
+                tokenUrl: 'https://auth.example.com/oauth/token',
+                refreshUrl: 'https://auth.example.com/refresh',
+                scopes: { profile: '' }
+            }
+        });
+    });
+
+    test('should leave auth alone when the converter options set it', async () => {
+        const result = await convertCollection({ collection: makeCollection() }, {
+            converter: { auth: { tokenAuth: { type: 'http', scheme: 'bearer' } } }
+        });
+        expect(result.components.securitySchemes).toEqual({ tokenAuth: { type: 'http', scheme: 'bearer' } });
+        expect(result.security).toEqual([{ tokenAuth: [] }]);
+        expect(result.paths['/health'].get.security).toBeUndefined();
+    });
+
+    test('should leave specs of collections without auth without security', async () => {
+        const result = await convertCollection({ collection: { ...makeCollection(), auth: undefined, item: [request('Me', 'me')] } }, {});
+        expect(result.security).toBeUndefined();
+        expect(result.components).toBeUndefined();
+        expect(result.paths['/me'].get.security).toBeUndefined();
+    });
+});
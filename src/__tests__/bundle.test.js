@@ -0,0 +1,103 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const { bundleFile, dereferenceSpec } = require('../bundle');
+
+function writeFiles(dir, files) {
+    for (const [file, content] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+        fs.writeFileSync(path.join(dir, file), typeof content === 'string' ? content : yaml.dump(content));
+    }
+}
+
+describe('bundle', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'postman-export-'));
+        writeFiles(dir, {
+            'openapi.yaml': {
+                openapi: '3.0.0',
+                info: { title: 'Pets', version: '1.0.0' },
+                paths: {
+                    '/pets': { $ref: 'paths/pets.yaml' },
+                    '/owners': { get: { responses: { 200: { $ref: 'shared/responses.yaml#/Owners' } } } }
+                },
+                components: {
+                    schemas: {
+                        Pet: { $ref: 'schemas/pet.yaml' },
+                        Error: { type: 'object', properties: { message: { type: 'string' } } }
+                    }
+                }
+            },
+            'paths/pets.yaml': {
+                get: {
+                    responses: {
+                        200: { description: 'Pets', content: { 'application/json': { schema: { type: 'array', items: { $ref: '../schemas/pet.yaml' } } } } },
+                        default: { description: 'Error', content: { 'application/json': { schema: { $ref: '../openapi.yaml#/components/schemas/Error' } } } }
+                    }
+                }
+            },
+            'schemas/pet.yaml': {
+                type: 'object',
+                properties: { name: { type: 'string' }, tag: { $ref: '#/definitions/Tag' }, parent: { $ref: 'pet.yaml' } },
+                definitions: { Tag: { type: 'string', enum: ['cat', 'dog'] } }
+            },
+            'shared/responses.yaml': {
+                Owners: { description: 'Owners', content: { 'application/json': { schema: { type: 'array', items: { type: 'string' } } } } }
+            }
+        });
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should internalize external components and inline other external refs', () => {
+        const spec = bundleFile(path.join(dir, 'openapi.yaml'));
+
+        expect(spec.components.schemas.Pet.properties).toEqual({
+            name: { type: 'string' },
+            tag: { type: 'string', enum: ['cat', 'dog'] },
+            parent: { $ref: '#/components/schemas/Pet' }
+        });
+        const responses = spec.paths['/pets'].get.responses;
+        expect(responses[200].content['application/json'].schema.items).toEqual({ $ref: '#/components/schemas/Pet' });
+        expect(responses.default.content['application/json'].schema).toEqual({ $ref: '#/components/schemas/Error' });
+        expect(spec.paths['/owners'].get.responses[200].description).toBe('Owners');
+        expect(JSON.stringify(spec)).not.toMatch(/\.yaml/);
+    });
+
+    test('should dereference internal refs on request', () => {
+        const spec = bundleFile(path.join(dir, 'openapi.yaml'));
+        delete spec.components.schemas.Pet.properties.parent;
+        const dereferenced = dereferenceSpec(spec);
+        expect(dereferenced.paths['/pets'].get.responses.default.content['application/json'].schema).toEqual({
+            type: 'object',
+            properties: { message: { type: 'string' } }
+        });
+
+        expect(() => bundleFile(path.join(dir, 'openapi.yaml'), { dereference: true }))
+            .toThrow('Circular $ref cannot be dereferenced: #/components/schemas/Pet');
+    });
+
+    test('should fail on refs that cannot be resolved', () => {
+        writeFiles(dir, { 'broken.yaml': { openapi: '3.0.0', paths: { '/a': { $ref: 'paths/missing.yaml' } } } });
+        expect(() => bundleFile(path.join(dir, 'broken.yaml'))).toThrow(`Could not read ${path.join(dir, 'paths', 'missing.yaml')}`);
+
+        writeFiles(dir, { 'pointer.yaml': { openapi: '3.0.0', paths: { '/a': { $ref: 'shared/responses.yaml#/Pets' } } } });
+        expect(() => bundleFile(path.join(dir, 'pointer.yaml'))).toThrow('$ref target not found: shared/responses.yaml#/Pets');
+
+        writeFiles(dir, { 'remote.yaml': { openapi: '3.0.0', paths: { '/a': { $ref: 'https://example.com/a.yaml' } } } });
+        expect(() => bundleFile(path.join(dir, 'remote.yaml'))).toThrow('Remote $ref is not supported: https://example.com/a.yaml');
+    });
+
+    test('should refuse to inline circular refs outside of components', () => {
+        writeFiles(dir, {
+            'loop.yaml': { openapi: '3.0.0', paths: { '/a': { get: { responses: { 200: { description: 'OK', content: { 'application/json': { schema: { $ref: 'node.yaml' } } } } } } } } },
+            'node.yaml': { type: 'object', properties: { next: { $ref: 'node.yaml' } } }
+        });
+        expect(() => bundleFile(path.join(dir, 'loop.yaml'))).toThrow('Circular $ref cannot be inlined: node.yaml');
+    });
+});
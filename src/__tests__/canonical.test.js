@@ -0,0 +1,83 @@
+const { canonicalizeSpec } = require('../canonical');
+
+const spec = {
+    paths: {
+        '/users/{id}': {
+            delete: { responses: { 204: { description: 'Deleted' } } },
+            get: {
+                responses: {
+                    default: { description: 'Error' },
+                    404: { description: 'Not found' },
+                    200: {
+                        content: {
+                            'text/plain': { schema: { type: 'string' } },
+                            'application/json': {
+                                example: { name: 'Ada', id: 1 },
+                                schema: { properties: { name: { type: 'string' }, id: { type: 'integer' } }, type: 'object' }
+                            }
+                        },
+                        description: 'OK'
+                    }
+                },
+                parameters: [{ schema: { type: 'string' }, in: 'path', name: 'id', required: true }],
+                summary: 'Get user',
+                tags: ['Users']
+            },
+            parameters: []
+        },
+        '/accounts': { get: { responses: { 200: { description: 'OK' } } } }
+    },
+    components: {
+        securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer' } },
+        schemas: { User: { type: 'object' }, Account: { type: 'object' } }
+    },
+    tags: [{ name: 'Users' }, { name: 'Accounts' }],
+    info: { version: '1.0.0', title: 'Users' },
+    'x-generator': 'postman-export',
+    openapi: '3.0.0'
+};
+
+describe('canonical output', () => {
+    const result = canonicalizeSpec(spec);
+
+    test('should order the top level, paths, methods and status codes', () => {
+        expect(Object.keys(result)).toEqual(['openapi', 'info', 'tags', 'paths', 'components', 'x-generator']);
+        expect(Object.keys(result.info)).toEqual(['title', 'version']);
+        expect(Object.keys(result.paths)).toEqual(['/accounts', '/users/{id}']);
+        expect(Object.keys(result.paths['/users/{id}'])).toEqual(['parameters', 'get', 'delete']);
+        expect(Object.keys(result.paths['/users/{id}'].get)).toEqual(['tags', 'summary', 'parameters', 'responses']);
+        expect(Object.keys(result.paths['/users/{id}'].get.responses)).toEqual(['200', '404', 'default']);
+    });
+
+    test('should order media types, parameters, schemas and components', () => {
+        const operation = result.paths['/users/{id}'].get;
+        expect(Object.keys(operation.parameters[0])).toEqual(['name', 'in', 'required', 'schema']);
+        expect(Object.keys(operation.responses[200])).toEqual(['description', 'content']);
+        expect(Object.keys(operation.responses[200].content)).toEqual(['application/json', 'text/plain']);
+        const json = operation.responses[200].content['application/json'];
+        expect(Object.keys(json)).toEqual(['schema', 'example']);
+        expect(Object.keys(json.schema)).toEqual(['type', 'properties']);
+        expect(Object.keys(result.components)).toEqual(['schemas', 'securitySchemes']);
+        expect(Object.keys(result.components.schemas)).toEqual(['Account', 'User']);
+    });
+
+    test('should keep the order of properties, tags and examples', () => {
+        const json = result.paths['/users/{id}'].get.responses[200].content['application/json'];
+        expect(Object.keys(json.schema.properties)).toEqual(['name', 'id']);
+        expect(Object.keys(json.example)).toEqual(['name', 'id']);
+        expect(result.tags).toEqual(spec.tags);
+    });
+
+    test('should give the same output for the same spec in any key order', () => {
+        const reversed = JSON.parse(JSON.stringify(spec), (key, value) =>
+            (value && typeof value === 'object' && !Array.isArray(value) && key !== 'properties' && key !== 'example'
+                ? Object.fromEntries(Object.entries(value).reverse())
+                : value));
+        expect(JSON.stringify(canonicalizeSpec(reversed))).toBe(JSON.stringify(result));
+    });
+
+    test('should leave the spec itself alone', () => {
+        expect(Object.keys(spec)[0]).toBe('paths');
+        expect(result).toEqual(spec);
+    });
+});
@@ -0,0 +1,229 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readLocalCollections, loadCollectionFile } = require('../collection-files');
+const { exportFromFiles } = require('../exporter');
+const { makeCollection } = require('./helpers');
+
+describe('local collection files', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'postman-export-'));
+        fs.writeFileSync(path.join(dir, 'users.json'), JSON.stringify(makeCollection('User API', 'id-users')));
+        fs.mkdirSync(path.join(dir, 'nested'));
+        // API exports wrap the collection in { collection }
+        fs.writeFileSync(path.join(dir, 'nested', 'orders.json'), JSON.stringify({
+            collection: makeCollection('Order API', 'id-orders', null, { schema: 'https://schema.getpostman.com/json/collection/v2.0.0/collection.json' })
+        }));
+        fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify({ name: 'not-a-collection' }));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should read every collection in a directory and skip other JSON files', () => {
+        const collections = readLocalCollections(dir);
+        expect(collections.map(c => c.name).sort()).toEqual(['Order API', 'User API']);
+        expect(collections.find(c => c.name === 'Order API').collectionData.collection.info._postman_id).toBe('id-orders');
+    });
+
+    test('should resolve glob patterns', () => {
+        const collections = readLocalCollections(path.join(dir, '**/orders.json').replace(/\\/g, '/'));
+        expect(collections.map(c => c.name)).toEqual(['Order API']);
+    });
+
+    test('should throw when a glob matches nothing', () => {
+        expect(() => readLocalCollections(path.join(dir, '*.missing'))).toThrow('No files match');
+    });
+
+    test('should reject explicitly named files that are not collections', () => {
+        expect(() => readLocalCollections(path.join(dir, 'package.json'))).toThrow('Not a Postman collection');
+    });
+
+    test('should reject unsupported collection schemas', () => {
+        const file = path.join(dir, 'v1.json');
+        fs.writeFileSync(file, JSON.stringify(makeCollection('Old', 'id-old', null, { schema: 'https://schema.getpostman.com/json/collection/v1.0.0/collection.json' })));
+        expect(() => loadCollectionFile(file)).toThrow('Unsupported collection schema');
+    });
+
+    test('should export local collections with the name and ID filters', async () => {
+        const outputDir = path.join(dir, 'out');
+        const results = await exportFromFiles(dir, outputDir, { ids: ['id-users'], format: 'yaml' });
+
+        expect(results).toEqual([
+            {
+                name: 'User API',
+                success: true,
+                file: path.join(outputDir, 'User_API.yaml'),
+                validation: { errors: [], warnings: expect.any(Array) },
+                redactions: [],
+                duration: expect.any(Number)
+            }
+        ]);
+        const content = fs.readFileSync(path.join(outputDir, 'User_API.yaml'), 'utf8');
+        expect(content).toContain('/users:');
+        expect(content).toContain('title: User API');
+    });
+
+    test('should fail when no collection matches the filters', async () => {
+        await expect(
+            exportFromFiles(dir, path.join(dir, 'out'), { names: ['Billing'] })
+        ).rejects.toThrow('No collections match the specified filters');
+        expect(fs.existsSync(path.join(dir, 'out'))).toBe(false);
+    });
+
+    test('should not create the output directory for a mistyped path', async () => {
+        await expect(exportFromFiles(path.join(dir, 'user.json'), path.join(dir, 'out'))).rejects.toThrow();
+        expect(fs.existsSync(path.join(dir, 'out'))).toBe(false);
+    });
+
+    test('should fill servers from a local environment file and resolve variables inline', async () => {
+        const file = path.join(dir, 'tenant.json');
+        fs.writeFileSync(file, JSON.stringify(makeCollection('Tenant API', 'id-tenant', [
+            { name: 'List items', request: { method: 'GET', url: '{{baseUrl}}/{{version}}/items' } }
+        ])));
+        const environmentFile = path.join(dir, 'prod.postman_environment.json');
+        fs.writeFileSync(environmentFile, JSON.stringify({
+            name: 'Prod',
+            values: [
+                { key: 'baseUrl', value: 'https://api.example.com', enabled: true },
+                { key: 'version', value: 'v2', enabled: true }
+            ]
+        }));
+
+        const outputDir = path.join(dir, 'out');
+        await exportFromFiles(file, outputDir, { environment: environmentFile });
+        const templated = JSON.parse(fs.readFileSync(path.join(outputDir, 'Tenant_API.json'), 'utf8'));
+        expect(templated.servers).toEqual([{
+            url: '{baseUrl}',
+            variables: { baseUrl: { default: 'https://api.example.com', description: 'From environment "Prod"' } }
+        }]);
+        expect(Object.keys(templated.paths)).toEqual(['/{version}/items']);
+
+        await exportFromFiles(file, outputDir, { environment: environmentFile, resolveVariables: true });
+        const resolved = JSON.parse(fs.readFileSync(path.join(outputDir, 'Tenant_API.json'), 'utf8'));
+        expect(resolved.servers).toEqual([{ url: 'https://api.example.com' }]);
+        expect(Object.keys(resolved.paths)).toEqual(['/v2/items']);
+    });
+
+    test('should merge local collections into one document', async () => {
+        const outputDir = path.join(dir, 'out');
+        const results = await exportFromFiles(dir, outputDir, { merge: 'gateway.yaml', conflictStrategy: 'prefix' });
+
+        const mergedFile = path.join(outputDir, 'gateway.yaml');
+        expect(results.map(r => [r.name, r.file])).toEqual([
+            ['Order API', mergedFile],
+            ['User API', mergedFile]
+        ]);
+        // Both collections define GET /users, the second one is prefixed
+        expect(results[1].conflicts).toEqual([expect.objectContaining({ type: 'path', key: 'GET /users', resolution: 'prefixed' })]);
+        expect(fs.readdirSync(outputDir)).toEqual(['gateway.yaml']);
+        const content = fs.readFileSync(mergedFile, 'utf8');
+        expect(content).toContain('/user-api/users:');
+        expect(content).toContain('- name: Order API');
+    });
+
+    test('should report merge conflicts on every merged collection', async () => {
+        const outputDir = path.join(dir, 'out');
+        const results = await exportFromFiles(dir, outputDir, { merge: 'gateway.yaml', throwOnFailure: false });
+
+        expect(results.map(r => [r.name, r.success, r.errorType])).toEqual([
+            ['Order API', false, 'MergeConflictError'],
+            ['User API', false, 'MergeConflictError']
+        ]);
+        expect(results[1].conflicts).toEqual([expect.objectContaining({ type: 'path', key: 'GET /users', resolution: 'failed' })]);
+        expect(fs.existsSync(path.join(outputDir, 'gateway.yaml'))).toBe(false);
+
+        const error = await exportFromFiles(dir, outputDir, { merge: 'gateway.yaml' }).catch(e => e);
+        expect(error.name).toBe('MergeConflictError');
+        expect(error.results.map(r => r.errorType)).toEqual(['MergeConflictError', 'MergeConflictError']);
+    });
+
+    test('should name files from the template without collections overwriting each other', async () => {
+        const duplicate = makeCollection('User-API', 'id-users-2');
+        duplicate.variable = [{ key: 'version', value: '2.0.0' }];
+        fs.writeFileSync(path.join(dir, 'users-2.json'), JSON.stringify(duplicate));
+        const outputDir = path.join(dir, 'out');
+
+        const results = await exportFromFiles(dir, outputDir, { names: ['User'], filenameTemplate: 'specs/{slug}-{version}' });
+        expect(results.map(r => path.relative(outputDir, r.file))).toEqual([
+            path.join('specs', 'user-api-2.0.0.json'),
+            path.join('specs', 'user-api-1.0.0.json')
+        ]);
+
+        const defaults = await exportFromFiles(dir, outputDir, { names: ['User'] });
+        expect(defaults.map(r => path.basename(r.file))).toEqual(['User_API-id-users-2.json', 'User_API-id-users.json']);
+
+        await expect(exportFromFiles(dir, outputDir, { names: ['User'], filenameCollision: 'fail' }))
+            .rejects.toThrow('Collections would overwrite each other\'s files');
+    });
+
+    test('should write byte-identical files when exporting twice', async () => {
+        const outputDir = path.join(dir, 'out');
+        const [first] = await exportFromFiles(dir, outputDir, { ids: ['id-users'], format: 'yaml' });
+        const content = fs.readFileSync(first.file, 'utf8');
+
+        const [second] = await exportFromFiles(dir, outputDir, { ids: ['id-users'], format: 'yaml', force: true });
+        expect(second.skipped).toBeUndefined();
+        expect(fs.readFileSync(second.file, 'utf8')).toBe(content);
+        expect(content.indexOf('openapi:')).toBe(0);
+    });
+
+    describe('with failing collections', () => {
+        beforeEach(() => {
+            // Secrets fail these collections with failOnSecrets
+            ['Admin API', 'Billing API'].forEach((name, index) => {
+                const collection = makeCollection(name, `id-secret-${index}`);
+                collection.item[0].request.header = [{ key: 'X-Api-Key', value: 'live-key-123456' }];
+                fs.writeFileSync(path.join(dir, `secret-${index}.json`), JSON.stringify(collection));
+            });
+        });
+
+        test('should stop exporting after maxFailures failed collections', async () => {
+            const results = await exportFromFiles(dir, path.join(dir, 'out'), { failOnSecrets: true, maxFailures: 1, throwOnFailure: false });
+
+            expect(results.map(r => [r.name, r.success, Boolean(r.aborted)])).toEqual([
+                ['Order API', true, false],
+                ['Admin API', false, false],
+                ['Billing API', false, true],
+                ['User API', false, true]
+            ]);
+            expect(results[1]).toMatchObject({ errorType: 'SecretsFoundError', duration: expect.any(Number) });
+            expect(results[2].error).toBe('Not exported: stopped after 1 failure(s)');
+        });
+
+        test('should not report collections as exported when the merge is skipped', async () => {
+            const outputDir = path.join(dir, 'out');
+            const results = await exportFromFiles(dir, outputDir, { failOnSecrets: true, merge: 'gateway.yaml', conflictStrategy: 'prefix', throwOnFailure: false });
+
+            expect(results.map(r => [r.name, r.success, Boolean(r.aborted)])).toEqual([
+                ['Order API', false, true],
+                ['Admin API', false, false],
+                ['Billing API', false, false],
+                ['User API', false, true]
+            ]);
+            expect(results[0].error).toBe('Not written: merged spec skipped after 2 failure(s)');
+            expect(fs.existsSync(path.join(outputDir, 'gateway.yaml'))).toBe(false);
+        });
+
+        test('should merge the collections that succeeded with continueOnError', async () => {
+            const outputDir = path.join(dir, 'out');
+            const promise = exportFromFiles(dir, outputDir, { failOnSecrets: true, merge: 'gateway.yaml', conflictStrategy: 'prefix', continueOnError: true });
+
+            // Failures are still reported, but no longer block the merge
+            const { results } = await promise.catch(error => error);
+            expect(results.map(r => [r.name, r.success])).toEqual([
+                ['Order API', true],
+                ['Admin API', false],
+                ['Billing API', false],
+                ['User API', true]
+            ]);
+            expect(results[3].file).toBe(path.join(outputDir, 'gateway.yaml'));
+            expect(results[1].file).toBeUndefined();
+            expect(fs.readFileSync(path.join(outputDir, 'gateway.yaml'), 'utf8')).not.toContain('Admin API');
+        });
+    });
+});
+
@@ -0,0 +1,131 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const {
+    findConfigFile,
+    loadConfigFile,
+    resolveProfile,
+    getCollectionConverterOptions
+} = require('../config');
+const { exportFromFiles } = require('../exporter');
+const { makeCollection } = require('./helpers');
+
+const CONFIG = {
+    format: 'yaml',
+    converter: { pathDepth: 1, responseHeaders: false },
+    defaultProfile: 'staging',
+    profiles: {
+        staging: {
+            workspace: 'ws-staging',
+            output: 'exports/staging',
+            names: ['User API'],
+            converter: { info: { title: 'Staging', version: '1.0.0' } },
+            collections: { 'User API': { servers: [{ url: 'https://users.staging.example.com' }] } }
+        },
+        local: {
+            fromFile: ['collections'],
+            environment: 'env/local.json',
+            format: 'json',
+            plugins: ['./plugins/contact.js', { plugin: 'info', options: { license: { name: 'MIT' } } }]
+        }
+    }
+};
+
+describe('config file', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'postman-export-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should find the config file in the directory', () => {
+        expect(findConfigFile(dir)).toBeNull();
+        fs.writeFileSync(path.join(dir, 'postman-export.config.yaml'), yaml.dump(CONFIG));
+        expect(findConfigFile(dir)).toBe(path.join(dir, 'postman-export.config.yaml'));
+    });
+
+    test('should load JSON, YAML and JS configs alike', () => {
+        fs.writeFileSync(path.join(dir, 'a.json'), JSON.stringify(CONFIG));
+        fs.writeFileSync(path.join(dir, 'b.yaml'), yaml.dump(CONFIG));
+        fs.writeFileSync(path.join(dir, 'c.js'), `module.exports = ${JSON.stringify(CONFIG)};`);
+
+        const loaded = ['a.json', 'b.yaml', 'c.js'].map(file => loadConfigFile(path.join(dir, file)));
+        loaded.forEach(config => {
+            expect(config.defaultProfile).toBe('staging');
+            expect(Object.keys(config.profiles)).toEqual(['staging', 'local']);
+            expect(config.base).toEqual({ format: 'yaml', converter: CONFIG.converter });
+        });
+    });
+
+    test('should layer the profile over the top-level options', () => {
+        fs.writeFileSync(path.join(dir, 'config.json'), JSON.stringify(CONFIG));
+        const config = loadConfigFile(path.join(dir, 'config.json'));
+
+        const staging = resolveProfile(config);
+        expect(staging).toMatchObject({
+            workspace: 'ws-staging',
+            format: 'yaml',
+            names: ['User API'],
+            output: path.join(dir, 'exports/staging'),
+            converter: { pathDepth: 1, responseHeaders: false, info: { title: 'Staging', version: '1.0.0' } }
+        });
+
+        const local = resolveProfile(config, 'local');
+        expect(local.format).toBe('json');
+        expect(local.fromFile).toEqual([path.join(dir, 'collections')]);
+        expect(local.environment).toBe(path.join(dir, 'env/local.json'));
+        // Plugin modules are relative to the config file, built-in plugins are names
+        expect(local.plugins).toEqual([path.join(dir, 'plugins/contact.js'), { plugin: 'info', options: { license: { name: 'MIT' } } }]);
+
+        expect(() => resolveProfile(config, 'prod')).toThrow('Profile not found: prod (available: staging, local)');
+    });
+
+    test('should reject unknown options', () => {
+        const file = path.join(dir, 'config.json');
+        fs.writeFileSync(file, JSON.stringify({ profiles: { staging: { workspace: 'ws', outputDir: 'x' } } }));
+        expect(() => loadConfigFile(file)).toThrow(`Unknown option(s) in ${file} (profile staging): outputDir`);
+
+        fs.writeFileSync(file, JSON.stringify({ collections: { 'User API': { operationId: 'auto' } } }));
+        expect(() => loadConfigFile(file)).toThrow('Unknown converter option(s)');
+
+        fs.writeFileSync(file, '{ not json');
+        expect(() => loadConfigFile(file)).toThrow(`Failed to read config file ${file}`);
+    });
+
+    test('should override converter options per collection by uid or name', () => {
+        const collections = { 'id-users': { pathDepth: 2 }, 'Order API': { info: { title: 'Orders' } } };
+        expect(getCollectionConverterOptions({ pathDepth: 1 }, collections, { uid: 'id-users', name: 'User API' }))
+            .toEqual({ pathDepth: 2 });
+        expect(getCollectionConverterOptions({ pathDepth: 1 }, collections, { uid: 'id-orders', name: 'Order API' }))
+            .toEqual({ pathDepth: 1, info: { title: 'Orders' } });
+    });
+
+    test('should pass converter options through to the conversion', async () => {
+        const sourceDir = path.join(dir, 'collections');
+        fs.mkdirSync(sourceDir);
+        ['User API', 'Order API'].forEach((name, index) => {
+            fs.writeFileSync(path.join(sourceDir, `${index}.json`), JSON.stringify(makeCollection(name, `id-${index}`, [
+                { name: 'List', request: { method: 'GET', url: 'https://api.example.com/v1/items' } }
+            ])));
+        });
+
+        const results = await exportFromFiles(sourceDir, path.join(dir, 'out'), {
+            converter: { pathDepth: 1, info: { title: 'Platform', version: '2.0.0' } },
+            collectionConverters: { 'User API': { servers: [{ url: 'https://users.example.com' }] } }
+        });
+
+        const [users, orders] = results.map(result => JSON.parse(fs.readFileSync(result.file, 'utf8')));
+        expect(Object.keys(users.paths)).toEqual(['/items']);
+        expect(users.info).toEqual({ title: 'Platform', version: '2.0.0' });
+        expect(users.servers).toEqual([{ url: 'https://users.example.com' }]);
+        expect(orders.servers).toEqual([{ url: 'https://api.example.com' }]);
+
+        await expect(exportFromFiles(sourceDir, path.join(dir, 'out'), { converter: { defaultTag: 'x' } }))
+            .rejects.toThrow('Unknown converter option(s) in converter options: defaultTag');
+    });
+});
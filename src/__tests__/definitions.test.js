@@ -0,0 +1,108 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { exportApiDefinitions } = require('../definitions');
+const { makeCollection, jsonResponse } = require('./helpers');
+
+const baseRoutes = {
+    '/apis?workspaceId=ws': {
+        apis: [
+            { id: 'api-users', name: 'User API' },
+            { id: 'api-legacy', name: 'Legacy API' }
+        ]
+    },
+    '/apis/api-users?include=schemas%2Ccollections': { id: 'api-users', schemas: [{ id: 'schema-1', type: 'openapi:3' }] },
+    '/apis/api-users/versions': { versions: [{ id: 'ver-1', name: 'v1' }, { id: 'ver-11', name: 'v1.1' }] },
+    '/apis/api-users/versions/ver-1': { version: { id: 'ver-1', name: 'v1', schemas: [{ id: 'schema-1', type: 'openapi:3' }] } },
+    '/apis/api-users/schemas/schema-1/files': { files: [{ path: 'index.yaml' }, { path: 'components/user.yaml' }] },
+    '/apis/api-users/schemas/schema-1/files?versionId=ver-1': { files: [{ path: 'index.yaml' }] },
+    '/apis/api-users/schemas/schema-1/files/index.yaml': { content: 'openapi: 3.0.0\n' },
+    '/apis/api-users/schemas/schema-1/files/components/user.yaml': { content: 'type: object\n' },
+    '/apis/api-users/schemas/schema-1/files/index.yaml?versionId=ver-1': { content: 'openapi: 3.0.0 # v1\n' },
+    '/apis/api-legacy?include=schemas%2Ccollections': { id: 'api-legacy', schemas: [], collections: [{ id: 'col-legacy' }] },
+    '/workspaces/ws': { workspace: { id: 'ws', name: 'Workspace' } },
+    '/collections/col-legacy': {
+        collection: makeCollection('Legacy Collection')
+    }
+};
+
+describe('exportApiDefinitions', () => {
+    let dir;
+    let routes;
+    const originalFetch = global.fetch;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'postman-export-'));
+        routes = { ...baseRoutes };
+        global.fetch = jest.fn(url => {
+            const route = url.replace('https://api.getpostman.com', '');
+            return Promise.resolve(routes[route] ? jsonResponse(routes[route]) : jsonResponse({ error: { name: 'notFound', message: route } }, 404));
+        });
+    });
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should download every file of a multi-file schema as it is', async () => {
+        const results = await exportApiDefinitions('ws', dir, { apiKey: 'key', apis: ['User'] });
+
+        expect(results).toHaveLength(1);
+        expect(results[0]).toMatchObject({ name: 'User API', success: true, schema: { id: 'schema-1', type: 'openapi:3' } });
+        expect(fs.readFileSync(path.join(dir, 'user-api', 'index.yaml'), 'utf8')).toBe('openapi: 3.0.0\n');
+        expect(fs.readFileSync(path.join(dir, 'user-api', 'components', 'user.yaml'), 'utf8')).toBe('type: object\n');
+        expect(global.fetch).toHaveBeenCalledWith(
+            'https://api.getpostman.com/apis?workspaceId=ws',
+            expect.objectContaining({ headers: expect.objectContaining({ Accept: 'application/vnd.api.v10+json' }) })
+        );
+    });
+
+    test('should pull selected versions by exact name into their own directory', async () => {
+        const results = await exportApiDefinitions('ws', dir, { apiKey: 'key', apis: ['api-users'], versions: ['V1'] });
+
+        expect(results.map(result => [result.name, result.version])).toEqual([['User API (v1)', 'ver-1']]);
+        expect(fs.readFileSync(path.join(dir, 'user-api', 'v1', 'index.yaml'), 'utf8')).toBe('openapi: 3.0.0 # v1\n');
+        expect(fs.existsSync(path.join(dir, 'user-api', 'index.yaml'))).toBe(false);
+    });
+
+    test('should convert the collections of APIs without a schema', async () => {
+        const results = await exportApiDefinitions('ws', dir, { apiKey: 'key', apis: ['Legacy'] });
+
+        expect(results).toEqual([expect.objectContaining({ name: 'Legacy Collection', success: true, fallback: true, api: 'api-legacy' })]);
+        const spec = JSON.parse(fs.readFileSync(path.join(dir, 'legacy-api', 'Legacy_Collection.json'), 'utf8'));
+        expect(Object.keys(spec.paths)).toEqual(['/users']);
+
+        const failed = await exportApiDefinitions('ws', dir, { apiKey: 'key', apis: ['Legacy'], collectionFallback: false, throwOnFailure: false });
+        expect(failed).toEqual([expect.objectContaining({ success: false, error: 'Legacy API has no schema (collection fallback is disabled)' })]);
+    });
+
+    test('should download fallback collections in parallel and fail only the ones that break', async () => {
+        routes['/apis?workspaceId=ws'] = { apis: [{ id: 'api-legacy', name: 'Старый API' }] };
+        routes['/apis/api-legacy?include=schemas%2Ccollections'] = { id: 'api-legacy', schemas: [], collections: [{ id: 'col-missing' }, { id: 'col-legacy' }] };
+
+        const results = await exportApiDefinitions('ws', dir, { apiKey: 'key', concurrency: 2, throwOnFailure: false });
+
+        expect(results.map(result => [result.name, result.success])).toEqual([['col-missing', false], ['Legacy Collection', true]]);
+        expect(results[0].error).toContain('col-missing');
+        expect(fs.existsSync(path.join(dir, 'старый-api', 'Legacy_Collection.json'))).toBe(true);
+    });
+
+    test('should return file contents without writing when write is false', async () => {
+        const results = await exportApiDefinitions('ws', null, { apiKey: 'key', apis: ['User'], write: false });
+
+        expect(results[0].contents).toEqual({ 'index.yaml': 'openapi: 3.0.0\n', 'components/user.yaml': 'type: object\n' });
+        expect(fs.readdirSync(dir)).toEqual([]);
+    });
+
+    test('should report APIs that fail without stopping the others', async () => {
+        routes['/apis/api-users/schemas/schema-1/files'] = { files: [{ path: '../../escape.yaml' }] };
+        routes['/apis/api-users/schemas/schema-1/files/../../escape.yaml'] = { content: 'nope' };
+
+        const promise = exportApiDefinitions('ws', dir, { apiKey: 'key' });
+        await expect(promise).rejects.toThrow('Some API definitions failed to export');
+        const { results } = await promise.catch(error => error);
+        expect(results.map(result => [result.name, result.success])).toEqual([['User API', false], ['Legacy Collection', true]]);
+        expect(results[0].error).toContain('outside the output directory');
+    });
+});
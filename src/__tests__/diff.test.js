@@ -0,0 +1,173 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { diffSpecs, formatDiff, buildDiffReport } = require('../diff');
+const { exportFromFiles } = require('../exporter');
+const { makeCollection } = require('./helpers');
+
+function baseSpec() {
+    return {
+        openapi: '3.0.0',
+        info: { title: 'User API', version: '1.0.0' },
+        paths: {
+            '/users/{id}': {
+                get: {
+                    parameters: [
+                        { name: 'id', in: 'path', required: true, schema: { type: 'string' } },
+                        { name: 'fields', in: 'query', schema: { type: 'string' } }
+                    ],
+                    responses: {
+                        200: {
+                            description: 'OK',
+                            content: { 'application/json': { schema: { $ref: '#/components/schemas/User' } } }
+                        },
+                        404: { description: 'Not found' }
+                    }
+                }
+            },
+            '/users': {
+                post: {
+                    requestBody: {
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    type: 'object',
+                                    required: ['name'],
+                                    properties: {
+                                        name: { type: 'string' },
+                                        role: { type: 'string', enum: ['admin', 'member'] }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    responses: { 201: { description: 'Created' } }
+                }
+            }
+        },
+        components: {
+            schemas: {
+                User: {
+                    type: 'object',
+                    required: ['id', 'email'],
+                    properties: { id: { type: 'string' }, email: { type: 'string' }, age: { type: 'integer' } }
+                }
+            }
+        }
+    };
+}
+
+const types = changes => changes.map(change => change.type);
+
+describe('diffSpecs', () => {
+    test('should report no changes for identical specs', () => {
+        const report = diffSpecs(baseSpec(), baseSpec());
+        expect(report.summary).toEqual({ breaking: 0, nonBreaking: 0 });
+        expect(formatDiff(report, 'User API')).toBe('User API\n  No changes');
+    });
+
+    test('should treat renamed path parameters as the same operation', () => {
+        const next = baseSpec();
+        next.paths['/users/{userId}'] = next.paths['/users/{id}'];
+        next.paths['/users/{userId}'].get.parameters[0].name = 'userId';
+        delete next.paths['/users/{id}'];
+
+        expect(diffSpecs(baseSpec(), next).breaking).toEqual([]);
+    });
+
+    test('should flag removed operations, responses and response properties as breaking', () => {
+        const next = baseSpec();
+        delete next.paths['/users'];
+        delete next.paths['/users/{id}'].get.responses[404];
+        delete next.components.schemas.User.properties.age;
+        next.components.schemas.User.required = ['id'];
+
+        const report = diffSpecs(baseSpec(), next);
+        expect(types(report.breaking)).toEqual([
+            'property-became-optional',
+            'property-removed',
+            'response-removed',
+            'operation-removed'
+        ]);
+        expect(report.breaking[0].location).toBe('GET /users/{id} response 200 application/json.email');
+    });
+
+    test('should flag stricter requests as breaking and looser ones as not', () => {
+        const next = baseSpec();
+        const body = next.paths['/users'].post.requestBody;
+        body.required = true;
+        body.content['application/json'].schema.properties.role.enum = ['admin', 'member', 'guest'];
+        body.content['application/json'].schema.properties.team = { type: 'string' };
+        next.paths['/users/{id}'].get.parameters[1].required = true;
+        next.paths['/users/{id}'].get.parameters.push({ name: 'X-Tenant', in: 'header', required: true, schema: { type: 'string' } });
+
+        const report = diffSpecs(baseSpec(), next);
+        expect(types(report.breaking)).toEqual([
+            'parameter-became-required',
+            'parameter-added',
+            'request-body-became-required'
+        ]);
+        expect(types(report.nonBreaking)).toEqual(['enum-widened', 'property-added']);
+    });
+
+    test('should flag type changes and narrowed request enums', () => {
+        const next = baseSpec();
+        next.components.schemas.User.properties.id = { type: 'integer' };
+        next.paths['/users'].post.requestBody.content['application/json'].schema.properties.role.enum = ['admin'];
+
+        const report = diffSpecs(baseSpec(), next);
+        expect(report.breaking).toEqual([
+            {
+                type: 'schema-type-changed',
+                location: 'GET /users/{id} response 200 application/json.id',
+                message: 'type changed from string to integer'
+            },
+            {
+                type: 'enum-narrowed',
+                location: 'POST /users request body application/json.role',
+                message: 'enum values removed: member'
+            }
+        ]);
+    });
+
+    test('should combine several diffs into one report', () => {
+        const next = baseSpec();
+        delete next.paths['/users'];
+        const report = buildDiffReport([
+            { name: 'User API', file: 'User_API.json', diff: diffSpecs(baseSpec(), next) },
+            { name: 'Order API', file: 'Order_API.json', diff: diffSpecs(baseSpec(), baseSpec()) }
+        ]);
+
+        expect(report.summary).toEqual({ breaking: 1, nonBreaking: 0 });
+        expect(report.collections.map(entry => entry.name)).toEqual(['User API', 'Order API']);
+    });
+});
+
+describe('export with diff', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'postman-export-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function writeCollection(paths) {
+        const items = paths.map(p => ({ name: `Get ${p}`, request: { method: 'GET', url: `https://api.example.com/${p}` } }));
+        fs.writeFileSync(path.join(dir, 'users.json'), JSON.stringify(makeCollection('User API', 'id-users', items)));
+    }
+
+    test('should compare each written spec with the previous export', async () => {
+        const outputDir = path.join(dir, 'out');
+        writeCollection(['users', 'teams']);
+        const [first] = await exportFromFiles(path.join(dir, 'users.json'), outputDir, { diff: true });
+        expect(first.diff).toBeNull();
+
+        writeCollection(['users', 'roles']);
+        const [second] = await exportFromFiles(path.join(dir, 'users.json'), outputDir, { diff: true });
+        expect(second.diff.breaking.map(change => change.location)).toEqual(['GET /teams']);
+        expect(second.diff.nonBreaking.map(change => change.location)).toEqual(['GET /roles']);
+    });
+});
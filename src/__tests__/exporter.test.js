@@ -1,6 +1,8 @@
-const { exportWorkspace } = require('./exporter');
+const { exportWorkspace, exportAllWorkspaces, filterWorkspaces, AuthenticationError, NotFoundError, NetworkError } = require('../exporter');
 const fs = require('fs');
-const path = require('path');
+const postmanToOpenApi = require('postman-to-openapi');
+const { hashContent } = require('../manifest');
+const { jsonResponse } = require('./helpers');
 
 // Mock the fetch function
 global.fetch = jest.fn();
@@ -12,25 +14,50 @@ jest.mock('child_process', () => ({
 
 // Mock fs functions
 jest.mock('fs', () => ({
+    ...jest.requireActual('fs'),
     existsSync: jest.fn(),
-    mkdirSync: jest.fn()
+    mkdirSync: jest.fn(),
+    writeFileSync: jest.fn(),
+    readFileSync: jest.fn(),
+    unlinkSync: jest.fn()
 }));
 
+jest.mock('postman-to-openapi', () => jest.fn());
+
 describe('exportWorkspace', () => {
     beforeEach(() => {
         // Clear all mocks before each test
         jest.clearAllMocks();
-        
+
         // Default mock implementations
         fs.existsSync.mockReturnValue(false);
-        global.fetch.mockResolvedValue({
-            ok: true,
-            json: () => Promise.resolve({
-                collections: [
-                    { uid: 'col1', name: 'Collection 1' },
-                    { uid: 'col2', name: 'Collection 2' }
-                ]
-            })
+        fs.readFileSync.mockReturnValue(JSON.stringify({ openapi: '3.0.0', info: { title: 'API', version: '1.0.0' }, paths: {} }));
+        postmanToOpenApi.mockResolvedValue(JSON.stringify({ openapi: '3.0.0', info: { title: 'API', version: '1.0.0' }, paths: {} }));
+        global.fetch.mockImplementation(url => {
+            if (url.endsWith('/workspaces/workspace')) {
+                return Promise.resolve(jsonResponse({
+                    workspace: {
+                        id: 'workspace',
+                        name: 'Workspace',
+                        collections: [
+                            { uid: 'col1', name: 'Collection 1' },
+                            { uid: 'col2', name: 'Collection 2' }
+                        ]
+                    }
+                }));
+            }
+            if (url.includes('/collections?workspace=')) {
+                return Promise.resolve(jsonResponse({
+                    collections: [
+                        { uid: 'col1', name: 'Collection 1', updatedAt: '2024-01-01T00:00:00.000Z' },
+                        { uid: 'col2', name: 'Collection 2', updatedAt: '2024-01-02T00:00:00.000Z' }
+                    ]
+                }));
+            }
+            const [, uid] = url.match(/\/collections\/(.+)$/);
+            return Promise.resolve(jsonResponse({
+                collection: { info: { name: `Collection ${uid}` }, item: [] }
+            }));
         });
     });
 
@@ -53,11 +80,21 @@ describe('exportWorkspace', () => {
         };
 
         await exportWorkspace('workspace', './output', options);
-        
+
+        expect(global.fetch).toHaveBeenCalledWith(
+            'https://api.getpostman.com/workspaces/workspace',
+            expect.any(Object)
+        );
         expect(global.fetch).toHaveBeenCalledWith(
-            'https://api.getpostman.com/workspaces/workspace/collections',
+            'https://api.getpostman.com/collections/col1',
             expect.any(Object)
         );
+        expect(global.fetch).not.toHaveBeenCalledWith(
+            'https://api.getpostman.com/collections/col2',
+            expect.any(Object)
+        );
+        // The validated workspace already lists the collections
+        expect(global.fetch.mock.calls.filter(([url]) => url.endsWith('/workspaces/workspace'))).toHaveLength(1);
     });
 
     test('should fetch and filter collections by name', async () => {
@@ -67,9 +104,17 @@ describe('exportWorkspace', () => {
         };
 
         await exportWorkspace('workspace', './output', options);
-        
+
+        expect(global.fetch).toHaveBeenCalledWith(
+            'https://api.getpostman.com/workspaces/workspace',
+            expect.any(Object)
+        );
         expect(global.fetch).toHaveBeenCalledWith(
-            'https://api.getpostman.com/workspaces/workspace/collections',
+            'https://api.getpostman.com/collections/col1',
+            expect.any(Object)
+        );
+        expect(global.fetch).not.toHaveBeenCalledWith(
+            'https://api.getpostman.com/collections/col2',
             expect.any(Object)
         );
     });
@@ -77,22 +122,189 @@ describe('exportWorkspace', () => {
     test('should handle API errors gracefully', async () => {
         global.fetch.mockResolvedValueOnce({
             ok: false,
+            status: 404,
             statusText: 'Not Found',
             json: () => Promise.resolve({
-                error: { message: 'Workspace not found' }
+                error: { name: 'instanceNotFoundError', message: 'Workspace not found' }
             })
         });
 
-        await expect(
-            exportWorkspace('invalid-workspace', './output', { apiKey: 'test-key' })
-        ).rejects.toThrow('Failed to fetch collections: Not Found. Workspace not found');
+        const promise = exportWorkspace('invalid-workspace', './output', { apiKey: 'test-key' });
+        await expect(promise).rejects.toThrow(NotFoundError);
+        await expect(promise).rejects.toThrow('Workspace not found: invalid-workspace');
+    });
+
+    test('should report invalid API keys as authentication errors', async () => {
+        global.fetch.mockResolvedValueOnce(jsonResponse({
+            error: { name: 'AuthenticationError', message: 'Invalid API Key' }
+        }, 401));
+
+        const promise = exportWorkspace('workspace', './output', { apiKey: 'bad-key' });
+        await expect(promise).rejects.toThrow(AuthenticationError);
+        await expect(promise).rejects.toThrow('Invalid API key or insufficient permissions');
+        expect(global.fetch).toHaveBeenCalledTimes(1);
     });
 
     test('should handle network errors gracefully', async () => {
         global.fetch.mockRejectedValueOnce({ code: 'ENOTFOUND' });
 
+        const promise = exportWorkspace('workspace', './output', { apiKey: 'test-key' });
+        await expect(promise).rejects.toThrow(NetworkError);
+        await expect(promise).rejects.toThrow('Network error: Unable to connect to Postman API');
+    });
+
+    test('should write each collection with the matching extension', async () => {
+        const results = await exportWorkspace('workspace', './output', { apiKey: 'test-key', format: 'yaml' });
+
+        expect(results.map(r => r.file)).toEqual([
+            expect.stringMatching(/Collection_1\.yaml$/),
+            expect.stringMatching(/Collection_2\.yaml$/)
+        ]);
+        expect(fs.writeFileSync).toHaveBeenCalledWith(
+            expect.stringMatching(/Collection_1\.yaml$/),
+            expect.stringContaining('openapi: 3.0.0')
+        );
+    });
+
+    test('should export collections concurrently and report progress in order', async () => {
+        const events = [];
+        const results = await exportWorkspace('workspace', './output', {
+            apiKey: 'test-key',
+            concurrency: 2,
+            onProgress: ({ status, collection, completed, total }) => events.push([status, collection.uid, completed, total])
+        });
+
+        expect(results.map(r => r.name)).toEqual(['Collection 1', 'Collection 2']);
+        expect(events.filter(([status]) => status === 'started').map(([, uid]) => uid)).toEqual(['col1', 'col2']);
+        expect(events.filter(([status]) => status === 'finished').map(([, , completed]) => completed)).toEqual([1, 2]);
+        expect(events.every(([, , , total]) => total === 2)).toBe(true);
+    });
+
+    test('should fetch the environment selected by name', async () => {
+        const baseImplementation = global.fetch.getMockImplementation();
+        global.fetch.mockImplementation(url => {
+            if (url.endsWith('/workspaces/workspace')) {
+                return Promise.resolve(jsonResponse({
+                    workspace: {
+                        id: 'workspace',
+                        name: 'Workspace',
+                        collections: [{ uid: 'col1', name: 'Collection 1' }],
+                        environments: [{ id: 'env1', uid: 'owner-env1', name: 'Production' }]
+                    }
+                }));
+            }
+            if (url.endsWith('/environments/owner-env1')) {
+                return Promise.resolve(jsonResponse({ environment: { name: 'Production', values: [] } }));
+            }
+            return baseImplementation(url);
+        });
+
+        await exportWorkspace('workspace', './output', { apiKey: 'test-key', environment: 'production' });
+        expect(global.fetch).toHaveBeenCalledWith(
+            'https://api.getpostman.com/environments/owner-env1',
+            expect.any(Object)
+        );
+
         await expect(
-            exportWorkspace('workspace', './output', { apiKey: 'test-key' })
-        ).rejects.toThrow('Network error: Unable to connect to Postman API');
+            exportWorkspace('workspace', './output', { apiKey: 'test-key', environment: 'Staging' })
+        ).rejects.toThrow('Environment not found in workspace Workspace: Staging');
+    });
+
+    test('should skip collections whose revision matches the manifest without downloading them', async () => {
+        fs.existsSync.mockImplementation(file => file.endsWith('Collection_1.json'));
+        fs.readFileSync.mockImplementation(file => {
+            if (file.endsWith('.postman-export.json')) {
+                return JSON.stringify({
+                    version: 1,
+                    // Fingerprint of the default options
+                    options: hashContent({ format: 'json', resolveVariables: undefined, inferSchemas: true, environment: null }),
+                    collections: {
+                        col1: { name: 'Collection 1', updatedAt: '2024-01-01T00:00:00.000Z', hash: 'abc', file: 'Collection_1.json' }
+                    }
+                });
+            }
+            return JSON.stringify({ openapi: '3.0.0', info: { title: 'API', version: '1.0.0' }, paths: {} });
+        });
+
+        const results = await exportWorkspace('workspace', './output', { apiKey: 'test-key' });
+
+        expect(results.map(r => [r.name, Boolean(r.skipped)])).toEqual([['Collection 1', true], ['Collection 2', false]]);
+        expect(global.fetch).not.toHaveBeenCalledWith('https://api.getpostman.com/collections/col1', expect.any(Object));
+        expect(global.fetch).toHaveBeenCalledWith('https://api.getpostman.com/collections/col2', expect.any(Object));
+
+        await exportWorkspace('workspace', './output', { apiKey: 'test-key', force: true });
+        expect(global.fetch).toHaveBeenCalledWith('https://api.getpostman.com/collections/col1', expect.any(Object));
+    });
+});
+
+describe('exportAllWorkspaces', () => {
+    const workspaces = [
+        { id: 'ws-team', name: 'Team APIs', type: 'team' },
+        { id: 'ws-personal', name: 'My Workspace', type: 'personal' },
+        { id: 'ws-public', name: 'Public Samples', type: 'public' },
+        { id: 'ws-broken', name: 'Broken', type: 'team' }
+    ];
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        fs.existsSync.mockReturnValue(false);
+        postmanToOpenApi.mockResolvedValue(JSON.stringify({ openapi: '3.0.0', info: { title: 'API', version: '1.0.0' }, paths: {} }));
+        global.fetch.mockImplementation(url => {
+            if (url.endsWith('/workspaces')) {
+                return Promise.resolve(jsonResponse({ workspaces }));
+            }
+            if (url.endsWith('/workspaces/ws-broken')) {
+                return Promise.resolve(jsonResponse({ error: { name: 'instanceNotFoundError', message: 'Not found' } }, 404));
+            }
+            const workspaceMatch = url.match(/\/workspaces\/(.+)$/) || url.match(/collections\?workspace=(.+)$/);
+            if (workspaceMatch) {
+                // The personal workspace has no collections
+                const collections = workspaceMatch[1] === 'ws-personal' ? [] : [{ uid: `${workspaceMatch[1]}-col`, name: 'Users' }];
+                return Promise.resolve(jsonResponse({ workspace: { id: workspaceMatch[1], name: workspaceMatch[1], collections }, collections }));
+            }
+            return Promise.resolve(jsonResponse({ collection: { info: { name: 'Users' }, item: [] } }));
+        });
+    });
+
+    test('should filter workspaces by name and type', () => {
+        expect(filterWorkspaces(workspaces, { types: ['team'] }).map(ws => ws.id)).toEqual(['ws-team', 'ws-broken']);
+        expect(filterWorkspaces(workspaces, { include: ['samples', 'team'] }).map(ws => ws.id)).toEqual(['ws-team', 'ws-public']);
+        expect(filterWorkspaces(workspaces, { exclude: ['broken'], types: ['team', 'public'] }).map(ws => ws.id)).toEqual(['ws-team', 'ws-public']);
+    });
+
+    test('should export each workspace into its own directory and keep going after a failure', async () => {
+        const events = [];
+        const results = await exportAllWorkspaces('./output', {
+            apiKey: 'test-key',
+            onWorkspace: ({ status, workspace }) => events.push(`${status} ${workspace.name}`)
+        });
+
+        expect(results.map(entry => [entry.slug, entry.success, entry.results.length])).toEqual([
+            ['team-apis', true, 1],
+            ['my-workspace', true, 0],
+            ['public-samples', true, 1],
+            ['broken', false, 0]
+        ]);
+        expect(results[3].error).toBeInstanceOf(NotFoundError);
+        expect(results[0].results[0].file).toMatch(/output[\\/]team-apis[\\/]Users\.json$/);
+        expect(fs.mkdirSync).not.toHaveBeenCalledWith(expect.stringMatching(/my-workspace$/), expect.any(Object));
+        expect(events).toHaveLength(8);
+    });
+
+    test('should keep non-Latin workspace names in the directory names', async () => {
+        const baseImplementation = global.fetch.getMockImplementation();
+        global.fetch.mockImplementation(url => url.endsWith('/workspaces')
+            ? Promise.resolve(jsonResponse({ workspaces: [{ id: 'ws-ru', name: 'Платежи API', type: 'team' }, { id: 'ws-ja', name: '決済', type: 'team' }] }))
+            : baseImplementation(url));
+
+        const results = await exportAllWorkspaces('./output', { apiKey: 'test-key' });
+        expect(results.map(entry => entry.slug)).toEqual(['платежи-api', '決済']);
+    });
+
+    test('should reject unknown workspace types and filters that match nothing', async () => {
+        await expect(exportAllWorkspaces('./output', { apiKey: 'test-key', workspaceTypes: ['shared'] }))
+            .rejects.toThrow('Unknown workspace type(s): shared');
+        await expect(exportAllWorkspaces('./output', { apiKey: 'test-key', includeWorkspaces: ['nothing'] }))
+            .rejects.toThrow('No workspaces match the specified filters');
     });
-}); 
\ No newline at end of file
+});
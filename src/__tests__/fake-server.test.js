@@ -0,0 +1,218 @@
+// The whole export flow against a local fake of the Postman API, reached through the
+// configurable base URL, with custom headers and through an HTTP proxy
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const net = require('net');
+const { execFile } = require('child_process');
+const { exportWorkspace, AuthenticationError } = require('../exporter');
+const { makeApiRequest, getProxyUrl } = require('../http');
+const { makeCollection } = require('./helpers');
+
+const API_KEY = 'fake-api-key';
+const CLI = path.join(__dirname, '..', 'index.js');
+
+// A fake Postman API with one workspace, recording every request it gets
+function startFakeApi() {
+    const state = {
+        requests: [],
+        revisions: { 'c-users': '2024-01-01T00:00:00.000Z', 'c-orders': '2024-01-01T00:00:00.000Z' },
+        collections: {
+            'c-users': makeCollection('Users', null, null, { description: 'First' }),
+            'c-orders': makeCollection('Orders', null, null, { description: 'First' })
+        }
+    };
+    const routes = {
+        '/workspaces': () => ({ workspaces: [{ id: 'ws-1', name: 'Platform', type: 'team' }] }),
+        '/workspaces/ws-1': () => ({
+            workspace: {
+                id: 'ws-1',
+                name: 'Platform',
+                type: 'team',
+                collections: [{ uid: 'c-users', name: 'Users' }, { uid: 'c-orders', name: 'Orders' }],
+                environments: []
+            }
+        }),
+        '/collections?workspace=ws-1': () => ({
+            collections: Object.entries(state.revisions).map(([uid, updatedAt]) => ({ uid, updatedAt }))
+        }),
+        '/collections/c-users': () => ({ collection: state.collections['c-users'] }),
+        '/collections/c-orders': () => ({ collection: state.collections['c-orders'] })
+    };
+
+    const server = http.createServer((req, res) => {
+        state.requests.push({ url: req.url, headers: req.headers });
+        const send = (status, data) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(data));
+        };
+        if (req.headers['x-api-key'] !== API_KEY) {
+            return send(401, { error: { name: 'AuthenticationError', message: 'Invalid API Key' } });
+        }
+        const route = routes[req.url.replace(/^\/v1/, '')];
+        return route
+            ? send(200, route())
+            : send(404, { error: { name: 'instanceNotFoundError', message: 'Not found' } });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            state.url = `http://127.0.0.1:${server.address().port}`;
+            state.close = () => new Promise(done => server.close(done));
+            resolve(state);
+        });
+    });
+}
+
+// A tunnelling proxy that counts the connections it opened
+function startProxy() {
+    const proxy = { connections: 0 };
+    const sockets = new Set();
+    const server = http.createServer((req, res) => {
+        res.writeHead(405);
+        res.end();
+    });
+    server.on('connect', (req, socket, head) => {
+        proxy.connections++;
+        sockets.add(socket);
+        const [host, port] = req.url.split(':');
+        const upstream = net.connect(Number(port), host, () => {
+            socket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+            upstream.write(head);
+            upstream.pipe(socket);
+            socket.pipe(upstream);
+        });
+        upstream.on('error', () => socket.destroy());
+        socket.on('error', () => upstream.destroy());
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            proxy.url = `http://127.0.0.1:${server.address().port}`;
+            proxy.close = () => new Promise(done => {
+                // Tunnelled sockets are no longer tracked by the server
+                sockets.forEach(socket => socket.destroy());
+                server.close(done);
+            });
+            resolve(proxy);
+        });
+    });
+}
+
+function runCli(args, options) {
+    return new Promise(resolve => {
+        execFile(process.execPath, [CLI, ...args], { ...options, timeout: 60000 }, (error, stdout, stderr) => {
+            resolve({ code: error ? error.code : 0, stdout, stderr });
+        });
+    });
+}
+
+const PROXY_VARIABLES = ['HTTP_PROXY', 'http_proxy', 'HTTPS_PROXY', 'https_proxy', 'NO_PROXY', 'no_proxy', 'POSTMAN_API_BASE_URL'];
+
+describe('export against a fake Postman API', () => {
+    let api;
+    let dir;
+    let savedEnv;
+
+    beforeEach(async () => {
+        savedEnv = Object.fromEntries(PROXY_VARIABLES.map(name => [name, process.env[name]]));
+        PROXY_VARIABLES.forEach(name => delete process.env[name]);
+        api = await startFakeApi();
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'postman-export-'));
+    });
+
+    afterEach(async () => {
+        PROXY_VARIABLES.forEach(name => {
+            if (savedEnv[name] === undefined) delete process.env[name];
+            else process.env[name] = savedEnv[name];
+        });
+        await api.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should export a workspace from the base URL with the custom headers', async () => {
+        const results = await exportWorkspace('ws-1', dir, {
+            apiKey: API_KEY,
+            baseUrl: `${api.url}/v1/`,
+            headers: { 'X-Team': 'platform' }
+        });
+
+        expect(results.map(result => [result.name, result.success])).toEqual([['Users', true], ['Orders', true]]);
+        expect(JSON.parse(fs.readFileSync(path.join(dir, 'Users.json'), 'utf8')).paths['/users']).toBeDefined();
+        expect(api.requests.map(request => request.url)).toEqual(expect.arrayContaining(['/v1/workspaces/ws-1', '/v1/collections/c-users']));
+        expect(api.requests.every(request => request.headers['x-team'] === 'platform')).toBe(true);
+    });
+
+    test('should take the base URL from POSTMAN_API_BASE_URL and skip unchanged collections', async () => {
+        process.env.POSTMAN_API_BASE_URL = api.url;
+        await exportWorkspace('ws-1', dir, { apiKey: API_KEY });
+
+        api.requests = [];
+        api.revisions['c-orders'] = '2024-02-01T00:00:00.000Z';
+        api.collections['c-orders'] = makeCollection('Orders', null, null, { description: 'Second' });
+        const results = await exportWorkspace('ws-1', dir, { apiKey: API_KEY });
+
+        expect(results.map(result => [result.name, Boolean(result.skipped)])).toEqual([['Users', true], ['Orders', false]]);
+        expect(api.requests.map(request => request.url)).not.toContain('/collections/c-users');
+        expect(JSON.parse(fs.readFileSync(path.join(dir, 'Orders.json'), 'utf8')).info.description).toBe('Second');
+    });
+
+    test('should fail with an authentication error for a rejected API key', async () => {
+        await expect(exportWorkspace('ws-1', dir, { apiKey: 'wrong-key', baseUrl: api.url }))
+            .rejects.toBeInstanceOf(AuthenticationError);
+    });
+
+    test('should send the requests through HTTP_PROXY unless NO_PROXY excludes the host', async () => {
+        const proxy = await startProxy();
+        try {
+            process.env.HTTP_PROXY = proxy.url;
+            await makeApiRequest('/workspaces', API_KEY, { baseUrl: api.url, maxAttempts: 1 });
+            expect(proxy.connections).toBe(1);
+            expect(api.requests).toHaveLength(1);
+
+            process.env.NO_PROXY = 'localhost,127.0.0.1';
+            await makeApiRequest('/workspaces', API_KEY, { baseUrl: api.url, maxAttempts: 1 });
+            expect(proxy.connections).toBe(1);
+            expect(api.requests).toHaveLength(2);
+        } finally {
+            await proxy.close();
+        }
+    });
+
+    test('should export from the command line with the base URL flag and headers', async () => {
+        const env = { ...process.env, POSTMAN_API_KEY: '', DEBUG: '' };
+        const args = ['-w', 'ws-1', '-o', 'out', '--api-base-url', api.url, '-H', 'X-Team: platform', '--report', 'report.json', '--no-interactive'];
+
+        const run = await runCli(['-k', API_KEY, ...args], { cwd: dir, env });
+        expect(run.code).toBe(0);
+        expect(fs.existsSync(path.join(dir, 'out', 'Users.json'))).toBe(true);
+        expect(JSON.parse(fs.readFileSync(path.join(dir, 'report.json'), 'utf8')).summary).toMatchObject({ total: 2, exported: 2 });
+        expect(api.requests.every(request => request.headers['x-team'] === 'platform')).toBe(true);
+
+        const rejected = await runCli(['-k', 'wrong-key', ...args], { cwd: dir, env });
+        expect(rejected.code).toBe(3);
+        expect(JSON.parse(fs.readFileSync(path.join(dir, 'report.json'), 'utf8')).error.type).toBe('AuthenticationError');
+    }, 60000);
+});
+
+describe('request settings', () => {
+    test('should pick the proxy from the environment', () => {
+        expect(getProxyUrl('https://api.getpostman.com/workspaces', { HTTPS_PROXY: 'proxy.internal:3128' })).toBe('http://proxy.internal:3128');
+        expect(getProxyUrl('https://api.getpostman.com/workspaces', { https_proxy: 'http://a:1', HTTPS_PROXY: 'http://b:1' })).toBe('http://a:1');
+        expect(getProxyUrl('http://localhost:3000/workspaces', { HTTPS_PROXY: 'http://proxy:3128' })).toBeNull();
+        expect(getProxyUrl('https://api.getpostman.com/workspaces', { HTTPS_PROXY: 'http://proxy:3128', NO_PROXY: '.getpostman.com' })).toBeNull();
+        expect(getProxyUrl('https://api.getpostman.com/workspaces', { HTTPS_PROXY: 'http://proxy:3128', NO_PROXY: 'api.getpostman.com:8443' })).toBe('http://proxy:3128');
+        expect(getProxyUrl('https://api.getpostman.com/workspaces', { HTTPS_PROXY: 'http://proxy:3128', NO_PROXY: '*' })).toBeNull();
+    });
+
+    test('should reject base URLs that are not http(s)', async () => {
+        await expect(makeApiRequest('/workspaces', API_KEY, { baseUrl: 'ftp://example.com' }))
+            .rejects.toThrow('Invalid API base URL: ftp://example.com');
+    });
+
+    test('should report CA certificate files that cannot be read', async () => {
+        await expect(makeApiRequest('/workspaces', API_KEY, { baseUrl: 'https://127.0.0.1:9', caCerts: ['/nonexistent/ca.pem'] }))
+            .rejects.toThrow('Could not read CA certificate /nonexistent/ca.pem');
+    });
+});
@@ -0,0 +1,83 @@
+const { matchesFilters, filterCollectionItems, getCollectionItemFilters, exactPathPattern } = require('../filters');
+
+function request(name) {
+    return { name, request: { method: 'GET', url: `https://api.example.com/${name}` } };
+}
+
+const collectionData = {
+    collection: {
+        info: { name: 'Platform API' },
+        item: [
+            { name: 'Users', item: [request('list'), { name: 'admin', item: [request('ban')] }, request('internal-stats')] },
+            { name: 'internal', item: [request('health')] },
+            { name: 'Orders', item: [request('list'), request('export')] },
+            { name: 'Empty', item: [] },
+            request('ping')
+        ]
+    }
+};
+
+function paths(items, parent = '') {
+    return items.flatMap(item => {
+        const itemPath = parent ? `${parent}/${item.name}` : item.name;
+        return item.item ? [`${itemPath}/`, ...paths(item.item, itemPath)] : [itemPath];
+    });
+}
+
+describe('matchesFilters', () => {
+    test('should match collection names with globs and regexes', () => {
+        expect(matchesFilters('User API', {})).toBe(true);
+        expect(matchesFilters('User API', { include: ['user*'] })).toBe(true);
+        expect(matchesFilters('User API', { include: ['/^Order/'] })).toBe(false);
+        expect(matchesFilters('Legacy User API', { include: ['*API'], exclude: ['legacy *'] })).toBe(false);
+        expect(() => matchesFilters('User API', { include: ['/(/'] })).toThrow('Invalid filter pattern /(/');
+    });
+
+    test('should reject the stateful g and y regex flags', () => {
+        expect(() => matchesFilters('User API', { include: ['/user/gi'] })).toThrow('the g and y flags are not supported');
+        expect(() => matchesFilters('User API', { exclude: ['/user/y'] })).toThrow('Invalid filter pattern /user/y');
+    });
+});
+
+describe('filterCollectionItems', () => {
+    test('should leave out excluded folders at any depth', () => {
+        const filtered = filterCollectionItems(collectionData, { exclude: ['internal', 'admin'] });
+        expect(paths(filtered.collection.item)).toEqual([
+            'Users/', 'Users/list', 'Users/internal-stats', 'Orders/', 'Orders/list', 'Orders/export', 'Empty/', 'ping'
+        ]);
+        // The original collection is not modified
+        expect(collectionData.collection.item).toHaveLength(5);
+    });
+
+    test('should keep only included folders and requests and drop folders they empty', () => {
+        expect(paths(filterCollectionItems(collectionData, { include: ['Users'] }).collection.item)).toEqual([
+            'Users/', 'Users/list', 'Users/admin/', 'Users/admin/ban', 'Users/internal-stats'
+        ]);
+        expect(paths(filterCollectionItems(collectionData, { include: ['*/list', '/export$/'], exclude: ['Orders/list'] }).collection.item)).toEqual([
+            'Users/', 'Users/list', 'Orders/', 'Orders/export'
+        ]);
+        expect(paths(filterCollectionItems(collectionData, { include: ['**/ban'] }).collection.item)).toEqual([
+            'Users/', 'Users/admin/', 'Users/admin/ban'
+        ]);
+    });
+
+    test('should match every item against the same regex', () => {
+        // One compiled pattern tests each list request in turn
+        expect(paths(filterCollectionItems(collectionData, { include: ['/list$/i'] }).collection.item)).toEqual([
+            'Users/', 'Users/list', 'Orders/', 'Orders/list'
+        ]);
+    });
+
+    test('should match exact paths and combine per-collection filters', () => {
+        const filters = getCollectionItemFilters(
+            { exclude: ['internal'] },
+            { 'col-uid': { exclude: [exactPathPattern('Users/admin')] } },
+            { uid: 'col-uid', name: 'Platform API' }
+        );
+        expect(filters).toEqual({ include: [], exclude: ['internal', '/^Users\\/admin$/'] });
+        expect(paths(filterCollectionItems(collectionData, filters).collection.item)).toEqual([
+            'Users/', 'Users/list', 'Users/internal-stats', 'Orders/', 'Orders/list', 'Orders/export', 'Empty/', 'ping'
+        ]);
+        expect(filterCollectionItems(collectionData, { include: [], exclude: [] })).toBe(collectionData);
+    });
+});
@@ -0,0 +1,26 @@
+// Fixtures and fetch mocks shared by the test suites (not a test suite itself, see jest.config.js)
+const COLLECTION_SCHEMA = 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json';
+
+// A v2.1 collection with one request unless items are given; info adds to or overrides its info
+function makeCollection(name, id, items, info = {}) {
+    return {
+        info: { ...(id ? { _postman_id: id } : {}), name, schema: COLLECTION_SCHEMA, ...info },
+        item: items || [{ name: 'List users', request: { method: 'GET', url: 'https://api.example.com/users' } }]
+    };
+}
+
+// What a mocked fetch resolves to for a JSON response
+function jsonResponse(data, status = 200, headers = {}) {
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        headers: new Headers(headers),
+        json: () => Promise.resolve(data)
+    };
+}
+
+module.exports = {
+    COLLECTION_SCHEMA,
+    makeCollection,
+    jsonResponse
+};
@@ -0,0 +1,119 @@
+const { makeApiRequest, parseRetryAfter, getBackoffDelay } = require('../http');
+const { PostmanApiError, RateLimitError, NetworkError, NotFoundError } = require('../errors');
+const { jsonResponse } = require('./helpers');
+
+global.fetch = jest.fn();
+
+describe('makeApiRequest', () => {
+    const url = 'https://api.getpostman.com/workspaces';
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(Math, 'random').mockReturnValue(0);
+    });
+
+    afterEach(() => {
+        Math.random.mockRestore();
+    });
+
+    test('should send the API key and return the response body', async () => {
+        global.fetch.mockResolvedValueOnce(jsonResponse({ workspaces: [] }));
+
+        await expect(makeApiRequest(url, 'test-key')).resolves.toEqual({ workspaces: [] });
+        expect(global.fetch).toHaveBeenCalledWith(url, expect.objectContaining({
+            headers: expect.objectContaining({ 'X-Api-Key': 'test-key' }),
+            signal: expect.any(AbortSignal)
+        }));
+    });
+
+    test('should retry server errors and succeed', async () => {
+        global.fetch
+            .mockResolvedValueOnce(jsonResponse({}, 503))
+            .mockResolvedValueOnce(jsonResponse({ ok: true }));
+
+        await expect(makeApiRequest(url, 'test-key')).resolves.toEqual({ ok: true });
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('should honor Retry-After on 429 responses', async () => {
+        global.fetch
+            .mockResolvedValueOnce(jsonResponse({}, 429, { 'Retry-After': '0' }))
+            .mockResolvedValueOnce(jsonResponse({ ok: true }));
+
+        await expect(makeApiRequest(url, 'test-key')).resolves.toEqual({ ok: true });
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('should not wait out rate limit windows longer than the maximum retry delay', async () => {
+        global.fetch.mockResolvedValue(jsonResponse({}, 429, { 'Retry-After': '3600' }));
+
+        const promise = makeApiRequest(url, 'test-key');
+        await expect(promise).rejects.toThrow(RateLimitError);
+        await expect(promise).rejects.toMatchObject({ status: 429, retryAfter: 3600000 });
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('should give up after the maximum number of attempts', async () => {
+        global.fetch.mockResolvedValue(jsonResponse({}, 502));
+
+        const promise = makeApiRequest(url, 'test-key', { maxAttempts: 2 });
+        await expect(promise).rejects.toThrow(PostmanApiError);
+        await expect(promise).rejects.toMatchObject({ status: 502 });
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('should not retry client errors', async () => {
+        global.fetch.mockResolvedValueOnce(jsonResponse({
+            error: { name: 'instanceNotFoundError', message: 'Not found' }
+        }, 404));
+
+        await expect(makeApiRequest(url, 'test-key')).rejects.toThrow(NotFoundError);
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('should abort requests that exceed the timeout', async () => {
+        global.fetch.mockImplementation((_url, { signal }) => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => {
+                const error = new Error('This operation was aborted');
+                error.name = 'AbortError';
+                reject(error);
+            });
+        }));
+
+        const promise = makeApiRequest(url, 'test-key', { timeout: 10, maxAttempts: 2 });
+        await expect(promise).rejects.toThrow(NetworkError);
+        await expect(promise).rejects.toThrow('Network error: Request timed out after 10ms');
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('should retry transient network errors', async () => {
+        global.fetch
+            .mockRejectedValueOnce(new TypeError('fetch failed', { cause: { code: 'ECONNRESET' } }))
+            .mockResolvedValueOnce(jsonResponse({ ok: true }));
+
+        await expect(makeApiRequest(url, 'test-key')).resolves.toEqual({ ok: true });
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+});
+
+describe('retry delays', () => {
+    test('should parse Retry-After seconds and dates', () => {
+        expect(parseRetryAfter(jsonResponse({}, 429, { 'Retry-After': '2' }))).toBe(2000);
+        const date = new Date(Date.now() + 5000).toUTCString();
+        expect(parseRetryAfter(jsonResponse({}, 429, { 'Retry-After': date }))).toBeGreaterThan(3000);
+    });
+
+    test('should fall back to the rate-limit reset header', () => {
+        expect(parseRetryAfter(jsonResponse({}, 429, { 'X-RateLimit-Reset': '3' }))).toBe(3000);
+        expect(parseRetryAfter(jsonResponse({}, 429))).toBeUndefined();
+    });
+
+    test('should grow exponentially with jitter', () => {
+        jest.spyOn(Math, 'random').mockReturnValue(1);
+        expect(getBackoffDelay(1)).toBe(500);
+        expect(getBackoffDelay(3)).toBe(2000);
+        Math.random.mockReturnValue(0);
+        expect(getBackoffDelay(3)).toBe(1000);
+        Math.random.mockRestore();
+    });
+});
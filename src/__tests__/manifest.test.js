@@ -0,0 +1,115 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { exportFromFiles } = require('../exporter');
+const { MANIFEST_FILE } = require('../manifest');
+const { makeCollection } = require('./helpers');
+
+function writeCollection(dir, file, name, id, paths = ['users']) {
+    const items = paths.map(p => ({ name: `Get ${p}`, request: { method: 'GET', url: `https://api.example.com/${p}` } }));
+    fs.writeFileSync(path.join(dir, file), JSON.stringify(makeCollection(name, id, items)));
+}
+
+describe('incremental export manifest', () => {
+    let dir;
+    let sourceDir;
+    let outputDir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'postman-export-'));
+        sourceDir = path.join(dir, 'collections');
+        outputDir = path.join(dir, 'out');
+        fs.mkdirSync(sourceDir);
+        writeCollection(sourceDir, 'users.json', 'User API', 'id-users');
+        writeCollection(sourceDir, 'orders.json', 'Order API', 'id-orders', ['orders']);
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should record every exported collection in the manifest', async () => {
+        await exportFromFiles(sourceDir, outputDir);
+
+        const manifest = JSON.parse(fs.readFileSync(path.join(outputDir, MANIFEST_FILE), 'utf8'));
+        expect(manifest.version).toBe(1);
+        expect(manifest.collections['id-users']).toEqual({
+            name: 'User API',
+            updatedAt: null,
+            hash: expect.stringMatching(/^[a-f0-9]{64}$/),
+            file: 'User_API.json'
+        });
+        expect(Object.keys(manifest.collections).sort()).toEqual(['id-orders', 'id-users']);
+    });
+
+    test('should skip unchanged collections unless forced', async () => {
+        await exportFromFiles(sourceDir, outputDir);
+        writeCollection(sourceDir, 'orders.json', 'Order API', 'id-orders', ['orders', 'refunds']);
+
+        const second = await exportFromFiles(sourceDir, outputDir);
+        expect(second.map(r => [r.name, Boolean(r.skipped)])).toEqual([['Order API', false], ['User API', true]]);
+        expect(fs.readFileSync(path.join(outputDir, 'Order_API.json'), 'utf8')).toContain('/refunds');
+
+        const forced = await exportFromFiles(sourceDir, outputDir, { force: true });
+        expect(forced.some(r => r.skipped)).toBe(false);
+    });
+
+    test('should re-export when the output options change', async () => {
+        await exportFromFiles(sourceDir, outputDir);
+        const results = await exportFromFiles(sourceDir, outputDir, { resolveVariables: true });
+        expect(results.some(r => r.skipped)).toBe(false);
+    });
+
+    test('should re-export when a plugin module or a redaction pattern changes', async () => {
+        const pluginFile = path.join(dir, 'title.js');
+        fs.writeFileSync(pluginFile, 'module.exports = { afterConvert: spec => { spec.info.title += \' v1\'; } };');
+        await exportFromFiles(sourceDir, outputDir, { plugins: [pluginFile] });
+
+        fs.writeFileSync(pluginFile, 'module.exports = { afterConvert: spec => { spec.info.title += \' v2\'; } };');
+        const edited = await exportFromFiles(sourceDir, outputDir, { plugins: [pluginFile] });
+        expect(edited.some(r => r.skipped)).toBe(false);
+
+        const redaction = pattern => ({ rules: [{ name: 'internal', pattern }] });
+        await exportFromFiles(sourceDir, outputDir, { redaction: redaction(/internal-[a-z]+/) });
+        const unchanged = await exportFromFiles(sourceDir, outputDir, { redaction: redaction(/internal-[a-z]+/) });
+        expect(unchanged.every(r => r.skipped)).toBe(true);
+        const changed = await exportFromFiles(sourceDir, outputDir, { redaction: redaction(/internal-[0-9]+/) });
+        expect(changed.some(r => r.skipped)).toBe(false);
+    });
+
+    test('should offer to remove output files of deleted and renamed collections', async () => {
+        await exportFromFiles(sourceDir, outputDir);
+        fs.unlinkSync(path.join(sourceDir, 'orders.json'));
+        writeCollection(sourceDir, 'users.json', 'Users', 'id-users');
+
+        const onStaleFiles = jest.fn().mockResolvedValue(true);
+        await exportFromFiles(sourceDir, outputDir, { onStaleFiles });
+
+        expect(onStaleFiles).toHaveBeenCalledWith([
+            { uid: 'id-users', name: 'User API', file: path.join(outputDir, 'User_API.json'), reason: 'renamed' },
+            { uid: 'id-orders', name: 'Order API', file: path.join(outputDir, 'Order_API.json'), reason: 'deleted' }
+        ].sort((a, b) => a.uid.localeCompare(b.uid)));
+        expect(fs.readdirSync(outputDir).sort()).toEqual([MANIFEST_FILE, 'Users.json']);
+        const manifest = JSON.parse(fs.readFileSync(path.join(outputDir, MANIFEST_FILE), 'utf8'));
+        expect(Object.keys(manifest.collections)).toEqual(['id-users']);
+        expect(manifest.collections['id-users'].file).toBe('Users.json');
+    });
+
+    test('should keep stale files when removal is declined', async () => {
+        await exportFromFiles(sourceDir, outputDir);
+        fs.unlinkSync(path.join(sourceDir, 'orders.json'));
+
+        const onStaleFiles = jest.fn().mockResolvedValue(false);
+        await exportFromFiles(sourceDir, outputDir, { onStaleFiles });
+
+        expect(onStaleFiles).toHaveBeenCalledTimes(1);
+        expect(fs.existsSync(path.join(outputDir, 'Order_API.json'))).toBe(true);
+    });
+
+    test('should not treat collections left out by filters as deleted', async () => {
+        await exportFromFiles(sourceDir, outputDir);
+        const onStaleFiles = jest.fn();
+        await exportFromFiles(sourceDir, outputDir, { names: ['User'], onStaleFiles });
+        expect(onStaleFiles).not.toHaveBeenCalled();
+    });
+});
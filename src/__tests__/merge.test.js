@@ -0,0 +1,217 @@
+const { mergeSpecs, MergeConflictError } = require('../merge');
+
+function usersSpec() {
+    return {
+        openapi: '3.0.0',
+        info: { title: 'User API', description: 'Manage users', version: '1.0.0' },
+        servers: [{ url: 'https://api.example.com' }],
+        security: [{ bearerAuth: [] }],
+        paths: {
+            '/users': {
+                get: {
+                    tags: ['User API'],
+                    operationId: 'listUsers',
+                    responses: { 200: { description: 'OK', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } } }
+                }
+            },
+            '/health': { get: { tags: ['User API'], operationId: 'health', responses: { 200: { description: 'OK' } } } }
+        },
+        components: {
+            securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer' } },
+            schemas: { Error: { type: 'object', properties: { message: { type: 'string' } } } }
+        }
+    };
+}
+
+function ordersSpec() {
+    return {
+        openapi: '3.0.0',
+        info: { title: 'Order API', version: '1.0.0' },
+        servers: [{ url: 'https://api.example.com' }],
+        paths: {
+            '/orders': { post: { tags: ['Orders'], operationId: 'createOrder', responses: { 201: { description: 'Created' } } } },
+            '/health': {
+                get: {
+                    tags: ['Order API'],
+                    operationId: 'health',
+                    responses: { 200: { description: 'OK', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } } }
+                }
+            }
+        },
+        components: {
+            securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer' } },
+            schemas: { Error: { type: 'object', properties: { code: { type: 'integer' } } } }
+        }
+    };
+}
+
+const entries = () => [
+    { name: 'User API', spec: usersSpec() },
+    { name: 'Order API', spec: ordersSpec() }
+];
+
+describe('mergeSpecs', () => {
+    test('should combine paths, servers and identical components with one tag per collection', () => {
+        const { spec, conflicts } = mergeSpecs(entries().map(({ name, spec }) => {
+            delete spec.paths['/health'];
+            delete spec.components.schemas;
+            return { name, spec };
+        }), { title: 'Gateway', strategy: 'fail' });
+
+        expect(conflicts).toEqual([]);
+        expect(spec.info.title).toBe('Gateway');
+        expect(Object.keys(spec.paths)).toEqual(['/users', '/orders']);
+        expect(spec.servers).toEqual([{ url: 'https://api.example.com' }]);
+        expect(spec.components.securitySchemes).toEqual({ bearerAuth: { type: 'http', scheme: 'bearer' } });
+        expect(spec.tags).toEqual([
+            { name: 'User API', description: 'Manage users' },
+            { name: 'Order API' },
+            { name: 'Orders' }
+        ]);
+        expect(spec.paths['/orders'].post.tags).toEqual(['Order API', 'Orders']);
+        // Collection-wide security moves onto the collection's own operations
+        expect(spec.paths['/users'].get.security).toEqual([{ bearerAuth: [] }]);
+        expect(spec.paths['/orders'].post.security).toBeUndefined();
+        expect(spec.security).toBeUndefined();
+    });
+
+    test('should fail with every conflict listed by default', () => {
+        let error;
+        try {
+            mergeSpecs(entries());
+        } catch (e) {
+            error = e;
+        }
+
+        expect(error).toBeInstanceOf(MergeConflictError);
+        expect(error.conflicts.map(c => `${c.type} ${c.key}`)).toEqual([
+            'component #/components/schemas/Error',
+            'path GET /health',
+            'operationId health'
+        ]);
+        expect(error.message).toContain('path GET /health: User API vs Order API');
+    });
+
+    test('should prefix colliding paths, operationIds and components', () => {
+        const { spec, conflicts } = mergeSpecs(entries(), { strategy: 'prefix' });
+
+        expect(Object.keys(spec.paths)).toEqual(['/users', '/health', '/orders', '/order-api/health']);
+        expect(spec.paths['/order-api/health'].get.operationId).toBe('orderApi_health');
+        expect(spec.paths['/health'].get.operationId).toBe('health');
+        expect(spec.components.schemas.OrderApiError).toEqual(ordersSpec().components.schemas.Error);
+        expect(spec.paths['/order-api/health'].get.responses[200].content['application/json'].schema)
+            .toEqual({ $ref: '#/components/schemas/OrderApiError' });
+        expect(conflicts.every(c => c.resolution === 'prefixed')).toBe(true);
+        expect(conflicts).toHaveLength(3);
+    });
+
+    test('should keep prefixing until the path and operationId are free', () => {
+        const { spec, conflicts } = mergeSpecs([
+            ...entries(),
+            { name: 'Order API', spec: ordersSpec() }
+        ], { strategy: 'prefix' });
+
+        expect(Object.keys(spec.paths)).toEqual(['/users', '/health', '/orders', '/order-api/health', '/order-api/orders', '/order-api-2/health']);
+        expect(spec.paths['/order-api/health'].get.operationId).toBe('orderApi_health');
+        expect(spec.paths['/order-api-2/health'].get.operationId).toBe('orderApi_health2');
+        expect(spec.paths['/order-api/orders'].post.operationId).toBe('orderApi_createOrder');
+        expect(conflicts.map(c => c.renamedTo)).toContain('GET /order-api-2/health');
+    });
+
+    test('should carry prefixed names into component refs and security requirements', () => {
+        const account = { type: 'object', properties: { home: { $ref: '#/components/schemas/Address' } } };
+        const usersEntry = usersSpec();
+        usersEntry.components.schemas = { Address: { type: 'string' }, Account: account };
+        const ordersEntry = ordersSpec();
+        ordersEntry.security = [{ bearerAuth: [] }];
+        ordersEntry.paths['/orders'].post.security = [{ bearerAuth: ['write'] }, {}];
+        ordersEntry.components.securitySchemes.bearerAuth = { type: 'apiKey', in: 'header', name: 'X-Token' };
+        ordersEntry.components.schemas = { Address: { type: 'object' }, Account: account };
+
+        const { spec, conflicts } = mergeSpecs([
+            { name: 'User API', spec: usersEntry },
+            { name: 'Order API', spec: ordersEntry }
+        ], { strategy: 'prefix' });
+
+        // Account is the same text in both, but refers to a different Address
+        expect(spec.components.schemas.Account.properties.home).toEqual({ $ref: '#/components/schemas/Address' });
+        expect(spec.components.schemas.OrderApiAccount.properties.home).toEqual({ $ref: '#/components/schemas/OrderApiAddress' });
+        expect(spec.components.securitySchemes.OrderApibearerAuth).toEqual(ordersEntry.components.securitySchemes.bearerAuth);
+        expect(spec.paths['/users'].get.security).toEqual([{ bearerAuth: [] }]);
+        expect(spec.paths['/order-api/health'].get.security).toEqual([{ OrderApibearerAuth: [] }]);
+        expect(spec.paths['/orders'].post.security).toEqual([{ OrderApibearerAuth: ['write'] }, {}]);
+        expect(conflicts.filter(c => c.type === 'component').map(c => c.renamedTo)).toEqual([
+            '#/components/securitySchemes/OrderApibearerAuth',
+            '#/components/schemas/OrderApiAddress',
+            '#/components/schemas/OrderApiAccount'
+        ]);
+    });
+
+    test('should keep each collection\'s servers on its operations when they differ', () => {
+        const ordersEntry = ordersSpec();
+        ordersEntry.servers = [{ url: 'https://orders.example.com' }];
+        ordersEntry.paths['/orders'].post.servers = [{ url: 'https://write.example.com' }];
+
+        const { spec } = mergeSpecs([
+            { name: 'User API', spec: usersSpec() },
+            { name: 'Order API', spec: ordersEntry }
+        ], { strategy: 'prefix' });
+
+        expect(spec.servers).toBeUndefined();
+        expect(spec.paths['/users'].get.servers).toEqual([{ url: 'https://api.example.com' }]);
+        expect(spec.paths['/order-api/health'].get.servers).toEqual([{ url: 'https://orders.example.com' }]);
+        expect(spec.paths['/orders'].post.servers).toEqual([{ url: 'https://write.example.com' }]);
+    });
+
+    test('should keep path-level parameters, servers and summaries', () => {
+        const ordersEntry = ordersSpec();
+        Object.assign(ordersEntry.paths['/health'], {
+            summary: 'Health checks',
+            servers: [{ url: 'https://status.example.com' }],
+            parameters: [
+                { name: 'verbose', in: 'query', schema: { type: 'boolean' } },
+                { name: 'region', in: 'query', schema: { type: 'string' } }
+            ]
+        });
+        ordersEntry.paths['/health'].get.parameters = [{ name: 'region', in: 'query', required: true, schema: { type: 'string' } }];
+
+        const { spec } = mergeSpecs([
+            { name: 'User API', spec: usersSpec() },
+            { name: 'Order API', spec: ordersEntry }
+        ], { strategy: 'prefix' });
+
+        const health = spec.paths['/order-api/health'];
+        expect(health.summary).toBe('Health checks');
+        expect(health.parameters).toBeUndefined();
+        expect(health.get.servers).toEqual([{ url: 'https://status.example.com' }]);
+        expect(health.get.parameters).toEqual([
+            { name: 'verbose', in: 'query', schema: { type: 'boolean' } },
+            { name: 'region', in: 'query', required: true, schema: { type: 'string' } }
+        ]);
+        expect(spec.paths['/health'].summary).toBeUndefined();
+    });
+
+    test('should use the newest OpenAPI version of the merged specs', () => {
+        const ordersEntry = ordersSpec();
+        ordersEntry.openapi = '3.0.3';
+
+        expect(mergeSpecs(entries(), { strategy: 'prefix' }).spec.openapi).toBe('3.0.0');
+        expect(mergeSpecs([
+            { name: 'User API', spec: usersSpec() },
+            { name: 'Order API', spec: ordersEntry }
+        ], { strategy: 'prefix' }).spec.openapi).toBe('3.0.3');
+    });
+
+    test('should let the last collection win', () => {
+        const { spec, conflicts } = mergeSpecs(entries(), { strategy: 'last-wins' });
+
+        expect(spec.paths['/health'].get.tags).toEqual(['Order API']);
+        expect(spec.paths['/health'].get.operationId).toBe('health');
+        expect(spec.components.schemas.Error).toEqual(ordersSpec().components.schemas.Error);
+        expect(conflicts.map(c => c.resolution)).toEqual(['overwritten', 'overwritten']);
+    });
+
+    test('should reject unknown strategies', () => {
+        expect(() => mergeSpecs(entries(), { strategy: 'random' })).toThrow('Unknown conflict strategy: random');
+    });
+});
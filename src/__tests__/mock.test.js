@@ -0,0 +1,217 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const { startMockServer, parsePrefer, synthesize } = require('../mock');
+const { writeSplitSpec } = require('../split');
+const { makeCollection } = require('./helpers');
+
+const SPEC = {
+    openapi: '3.0.0',
+    info: { title: 'User API', version: '1.0.0' },
+    servers: [{ url: 'https://api.example.com/v1' }],
+    paths: {
+        '/users': {
+            get: {
+                parameters: [{ name: 'limit', in: 'query', schema: { type: 'integer' } }],
+                responses: {
+                    200: { description: 'OK', content: { 'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/User' } } } } }
+                }
+            },
+            post: {
+                requestBody: { required: true, content: { 'application/json': { schema: { $ref: '#/components/schemas/User' } } } },
+                responses: {
+                    201: { description: 'Created', content: { 'application/json': { example: { id: 7, name: 'Ada' } } } },
+                    409: {
+                        description: 'Conflict',
+                        content: { 'application/json': { examples: { taken: { value: { error: 'Name taken' } }, locked: { value: { error: 'Locked' } } } } }
+                    }
+                }
+            }
+        },
+        '/users/me': {
+            get: { responses: { 200: { description: 'OK', content: { 'application/json': { example: { id: 1, name: 'Me' } } } } } }
+        },
+        '/users/{id}': {
+            get: {
+                responses: {
+                    200: {
+                        description: 'OK',
+                        headers: { 'X-Rate-Limit': { schema: { type: 'integer', minimum: 100 } } },
+                        content: { 'application/json': { schema: { $ref: '#/components/schemas/User' } } }
+                    },
+                    404: { $ref: '#/components/responses/NotFound' }
+                }
+            }
+        }
+    },
+    components: {
+        schemas: {
+            User: {
+                type: 'object',
+                required: ['name'],
+                properties: {
+                    id: { type: 'integer' },
+                    name: { type: 'string', nullable: true },
+                    email: { type: 'string', format: 'email' },
+                    manager: { $ref: '#/components/schemas/User' }
+                }
+            }
+        },
+        responses: {
+            NotFound: { description: 'Not found', content: { 'application/json': { example: { error: 'Not found' } } } }
+        }
+    }
+};
+
+async function request(mock, url, options = {}) {
+    const response = await fetch(`${mock.url}${url}`, options);
+    const text = await response.text();
+    return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : undefined };
+}
+
+function waitFor(condition, timeout = 5000) {
+    const startedAt = Date.now();
+    return new Promise((resolve, reject) => {
+        const check = () => {
+            if (condition()) return resolve();
+            if (Date.now() - startedAt > timeout) return reject(new Error('Timed out'));
+            setTimeout(check, 20);
+        };
+        check();
+    });
+}
+
+describe('mock server', () => {
+    let dir;
+    let mock;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'postman-export-'));
+        fs.writeFileSync(path.join(dir, 'spec.yaml'), yaml.dump(SPEC));
+    });
+
+    afterEach(async () => {
+        if (mock) await mock.close();
+        mock = null;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should route by path template and answer with examples or synthesized bodies', async () => {
+        mock = await startMockServer(path.join(dir, 'spec.yaml'), { port: 0 });
+
+        expect(await request(mock, '/users/me')).toMatchObject({ status: 200, body: { id: 1, name: 'Me' } });
+        const user = await request(mock, '/v1/users/42');
+        expect(user.status).toBe(200);
+        expect(user.body).toEqual({ id: 0, name: 'string', email: 'user@example.com' });
+        expect(user.headers.get('x-rate-limit')).toBe('100');
+        expect(user.headers.get('content-type')).toBe('application/json');
+        expect((await request(mock, '/users')).body).toEqual([{ id: 0, name: 'string', email: 'user@example.com' }]);
+
+        expect(await request(mock, '/orders')).toMatchObject({ status: 404, body: { error: 'No path matches /orders' } });
+        const notAllowed = await request(mock, '/users/me', { method: 'DELETE' });
+        expect(notAllowed).toMatchObject({ status: 405, body: { error: 'DELETE is not allowed for /users/me' } });
+        expect(notAllowed.headers.get('allow')).toBe('GET');
+    });
+
+    test('should pick the response through the Prefer header', async () => {
+        mock = await startMockServer(path.join(dir, 'spec.yaml'), { port: 0 });
+        const post = prefer => request(mock, '/users', { method: 'POST', headers: { prefer }, body: '{}' });
+
+        expect(await post('code=409')).toMatchObject({ status: 409, body: { error: 'Name taken' } });
+        const locked = await post('code=409, example=locked');
+        expect(locked).toMatchObject({ status: 409, body: { error: 'Locked' } });
+        expect(locked.headers.get('preference-applied')).toBe('code=409, example=locked');
+        expect(await post('dynamic=true')).toMatchObject({ status: 201, body: undefined });
+        expect(await request(mock, '/users/1', { headers: { prefer: 'code=404' } })).toMatchObject({ status: 404, body: { error: 'Not found' } });
+        expect(await post('code=500')).toMatchObject({ status: 400, body: { error: 'No 500 response for POST /users', details: { available: ['201', '409'] } } });
+        expect(await post('code=409, example=missing')).toMatchObject({ status: 400, body: { error: 'No example named missing for POST /users' } });
+    });
+
+    test('should validate requests when asked to', async () => {
+        mock = await startMockServer(path.join(dir, 'spec.yaml'), { port: 0, validate: true });
+        const post = body => request(mock, '/users', { method: 'POST', headers: { 'content-type': 'application/json' }, body });
+
+        expect((await request(mock, '/users?limit=10')).status).toBe(200);
+        expect(await request(mock, '/users?limit=ten')).toMatchObject({
+            status: 400,
+            body: { error: 'Request validation failed', details: ['query parameter limit must be integer'] }
+        });
+        expect((await post('{"name":null}')).status).toBe(201);
+        expect((await post('{"id":"x"}')).body.details).toEqual(['request body must have required property \'name\'', 'request body/id must be integer']);
+        expect((await post('{')).body.details[0]).toMatch(/^request body is not valid JSON/);
+        expect((await request(mock, '/users', { method: 'POST' })).body.details).toEqual(['request body is required']);
+    });
+
+    test('should not blame the request body for schemas that do not compile', async () => {
+        const broken = { requestBody: { content: { 'application/json': { schema: { $ref: '#/components/schemas/Missing' } } } }, responses: { 204: { description: 'Done' } } };
+        fs.writeFileSync(path.join(dir, 'spec.yaml'), yaml.dump({ ...SPEC, paths: { '/broken': { post: broken } } }));
+        mock = await startMockServer(path.join(dir, 'spec.yaml'), { port: 0, validate: true });
+
+        const response = await request(mock, '/broken', { method: 'POST', headers: { 'content-type': 'application/json' }, body: '{}' });
+        expect(response.status).toBe(500);
+        expect(response.body.error).toContain('#/components/schemas/Missing');
+    });
+
+    test('should answer CORS preflight requests', async () => {
+        mock = await startMockServer(path.join(dir, 'spec.yaml'), { port: 0 });
+        const response = await fetch(`${mock.url}/users`, {
+            method: 'OPTIONS',
+            headers: { origin: 'http://localhost:3000', 'access-control-request-headers': 'content-type' }
+        });
+        expect(response.status).toBe(204);
+        expect(response.headers.get('access-control-allow-origin')).toBe('http://localhost:3000');
+        expect(response.headers.get('access-control-allow-methods')).toBe('GET, POST');
+        expect(response.headers.get('access-control-allow-headers')).toBe('content-type');
+    });
+
+    test('should mock a Postman collection', async () => {
+        fs.writeFileSync(path.join(dir, 'collection.json'), JSON.stringify(makeCollection('User API', 'id-users', [
+            { name: 'Create user', request: { method: 'POST', url: 'https://api.example.com/users', body: { mode: 'raw', raw: '{"name":"Ada"}', options: { raw: { language: 'json' } } } } }
+        ])));
+        mock = await startMockServer(path.join(dir, 'collection.json'), { port: 0 });
+        expect((await request(mock, '/users', { method: 'POST', body: '{}' })).status).toBe(200);
+    });
+
+    test('should reload when a file of a split spec changes', async () => {
+        const rootFile = path.join(dir, 'split', 'openapi.json');
+        writeSplitSpec(rootFile, SPEC, 'json');
+        const reloads = [];
+        const errors = [];
+        mock = await startMockServer(rootFile, {
+            port: 0,
+            watch: true,
+            interval: 20,
+            onReload: event => reloads.push(event),
+            onError: error => errors.push(error.message)
+        });
+
+        const schemaFile = path.join(dir, 'split', 'components', 'schemas', 'User.json');
+        const schema = JSON.parse(fs.readFileSync(schemaFile, 'utf8'));
+        fs.writeFileSync(schemaFile, JSON.stringify({ ...schema, example: { id: 2, name: 'Grace' } }));
+        await waitFor(() => reloads.length === 1);
+        expect((await request(mock, '/users/2')).body).toEqual({ id: 2, name: 'Grace' });
+
+        // A broken file leaves the last good spec in place
+        fs.writeFileSync(schemaFile, '{');
+        await waitFor(() => errors.length === 1);
+        expect(errors[0]).toMatch(/^Could not parse/);
+        expect((await request(mock, '/users/2')).body).toEqual({ id: 2, name: 'Grace' });
+    });
+
+    test('should fail on files that are neither a spec nor a collection', async () => {
+        fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify({ name: 'app' }));
+        await expect(startMockServer(path.join(dir, 'package.json'), { port: 0 }))
+            .rejects.toThrow('Not an OpenAPI 3 document or Postman collection');
+    });
+
+    test('should parse preferences and synthesize values', () => {
+        expect(parsePrefer('code=404; example="gone", dynamic=true')).toEqual({ code: '404', example: 'gone', dynamic: 'true' });
+        expect(synthesize({}, {
+            allOf: [
+                { type: 'object', properties: { id: { type: 'string', format: 'uuid' } } },
+                { properties: { tags: { type: 'array', items: { enum: ['a', 'b'] } }, active: { type: 'boolean' } } }
+            ]
+        })).toEqual({ id: '00000000-0000-4000-8000-000000000000', tags: ['a'], active: true });
+    });
+});
@@ -0,0 +1,55 @@
+const { compileFilenameTemplate, planFileNames } = require('../naming');
+
+const collections = [
+    { uid: '111-user', name: 'User API' },
+    { uid: '222-user', name: 'User-API' },
+    { uid: '333-orders', name: 'Заказы API' },
+    { uid: '444-billing', name: 'Billing (v2)' }
+];
+
+describe('file name templates', () => {
+    test('should keep the old names of Latin collections by default', () => {
+        expect(planFileNames([collections[0], collections[3]], { extension: '.json' })).toEqual(['User_API.json', 'Billing__v2_.json']);
+    });
+
+    test('should keep letters of every script', () => {
+        expect(planFileNames([collections[2]], { template: '{slug}' })).toEqual(['заказы-api']);
+        expect(planFileNames([collections[2]])).toEqual(['Заказы_API']);
+    });
+
+    test('should fill every token and create subdirectories', () => {
+        const files = planFileNames([collections[3]], {
+            template: '{workspace}/{slug}-{version}_{uid}',
+            workspace: 'Platform Team',
+            getVersion: () => '2.1.0',
+            extension: '.yaml'
+        });
+        expect(files).toEqual(['platform-team/billing-v2-2.1.0_444-billing.yaml']);
+    });
+
+    test('should leave out segments that render empty', () => {
+        expect(planFileNames([collections[0]], { template: '{workspace}/{slug}' })).toEqual(['user-api']);
+    });
+
+    test('should append the uid to every collection of a collision, ignoring case', () => {
+        expect(planFileNames(collections.slice(0, 2), { extension: '.json' })).toEqual(['User_API-111-user.json', 'User_API-222-user.json']);
+        expect(planFileNames([{ uid: 'a', name: 'Users' }, { uid: 'b', name: 'users' }])).toEqual(['Users-a', 'users-b']);
+    });
+
+    test('should number collisions that share a uid', () => {
+        expect(planFileNames([{ uid: 'same', name: 'Users' }, { uid: 'same', name: 'Users' }])).toEqual(['Users-same', 'Users-same-2']);
+    });
+
+    test('should fail on collisions with the fail strategy', () => {
+        expect(() => planFileNames(collections, { strategy: 'fail', extension: '.json' }))
+            .toThrow('Collections would overwrite each other\'s files:\n  "User API", "User-API" → User_API.json');
+        expect(planFileNames(collections, { template: '{slug}-{uid}', strategy: 'fail' })).toHaveLength(4);
+    });
+
+    test('should reject unknown tokens, strategies and paths outside the output directory', () => {
+        expect(() => compileFilenameTemplate('{name}-{date}')).toThrow('Unknown file name token(s) in "{name}-{date}": {date}');
+        expect(() => compileFilenameTemplate('../{name}')).toThrow('Invalid file name template');
+        expect(() => compileFilenameTemplate('/tmp/{name}')).toThrow('Invalid file name template');
+        expect(() => planFileNames(collections, { strategy: 'overwrite' })).toThrow('Unknown file name collision strategy: overwrite');
+    });
+});
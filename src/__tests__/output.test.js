@@ -0,0 +1,43 @@
+const yaml = require('js-yaml');
+const { normalizeFormat, getFileExtension, serializeSpec } = require('../output');
+
+describe('output formats', () => {
+    const spec = {
+        openapi: '3.0.0',
+        info: { title: 'Test API', version: '1.0.0', description: undefined },
+        paths: {
+            '/users': { get: { summary: 'List users', responses: { 200: { description: 'OK' } } } }
+        }
+    };
+
+    test('should default to json and accept yml as an alias', () => {
+        expect(normalizeFormat()).toBe('json');
+        expect(normalizeFormat('JSON')).toBe('json');
+        expect(normalizeFormat('yml')).toBe('yaml');
+    });
+
+    test('should reject unknown formats', () => {
+        expect(() => normalizeFormat('xml')).toThrow('Unsupported output format: xml');
+    });
+
+    test('should use the matching file extension', () => {
+        expect(getFileExtension('json')).toBe('.json');
+        expect(getFileExtension('yaml')).toBe('.yaml');
+    });
+
+    test('should serialize valid YAML that round-trips to the same document', () => {
+        const output = serializeSpec(spec, 'yaml');
+        expect(output).toContain('openapi: 3.0.0');
+        expect(yaml.load(output)).toEqual(JSON.parse(JSON.stringify(spec)));
+    });
+
+    test('should not emit YAML anchors for shared objects', () => {
+        const shared = { type: 'string' };
+        const output = serializeSpec({ a: shared, b: shared }, 'yaml');
+        expect(output).not.toMatch(/[&*]ref_/);
+    });
+
+    test('should serialize JSON by default', () => {
+        expect(JSON.parse(serializeSpec(spec))).toEqual(JSON.parse(JSON.stringify(spec)));
+    });
+});
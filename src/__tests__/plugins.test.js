@@ -0,0 +1,119 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const { loadPlugins, runHook, createPluginContext } = require('../plugins');
+const { exportFromFiles } = require('../exporter');
+const { convertCollection } = require('../api');
+const { makeCollection } = require('./helpers');
+
+const ITEMS = [
+    { name: 'List users', request: { method: 'GET', url: 'https://api.example.com/users' } },
+    { name: 'Internal stats', request: { method: 'GET', url: 'https://api.example.com/internal/stats' } }
+];
+
+// A local plugin module that records every hook it ran in the shared state
+const RECORDING_PLUGIN = `
+module.exports = options => ({
+    name: 'recorder',
+    beforeConvert(collection, context) {
+        context.state.calls = [...(context.state.calls || []), 'beforeConvert ' + collection.info.name];
+        collection.item.push({ name: 'Ping', request: { method: 'GET', url: 'https://api.example.com/ping' } });
+    },
+    afterConvert(spec, collection, context) {
+        context.state.calls.push('afterConvert ' + collection.info.name);
+        return { ...spec, 'x-team': options.team };
+    },
+    beforeWrite(file, spec, context) {
+        context.state.calls.push('beforeWrite ' + require('path').basename(file));
+        spec.info['x-calls'] = context.state.calls.slice();
+    }
+});
+`;
+
+describe('plugins', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'postman-export-'));
+        fs.writeFileSync(path.join(dir, 'recorder.js'), RECORDING_PLUGIN);
+        fs.mkdirSync(path.join(dir, 'collections'));
+        fs.writeFileSync(path.join(dir, 'collections', 'users.json'), JSON.stringify(makeCollection('User API', 'id-users', ITEMS)));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should run the hooks of every plugin in order with a shared context', async () => {
+        const outputDir = path.join(dir, 'out');
+        const [result] = await exportFromFiles(path.join(dir, 'collections'), outputDir, {
+            plugins: [
+                { plugin: path.join(dir, 'recorder.js'), options: { team: 'identity' } },
+                { plugin: 'info', options: { contact: { name: 'API Team', email: 'api@example.com' } } },
+                { plugin: 'remove-paths', options: { paths: ['/internal/**'] } },
+                { plugin: 'extensions', options: { operations: { 'x-internal': false } } }
+            ]
+        });
+
+        const spec = JSON.parse(fs.readFileSync(result.file, 'utf8'));
+        expect(spec['x-team']).toBe('identity');
+        expect(spec.info.contact).toEqual({ name: 'API Team', email: 'api@example.com' });
+        expect(Object.keys(spec.paths)).toEqual(['/ping', '/users']);
+        expect(spec.paths['/users'].get['x-internal']).toBe(false);
+        expect(spec.info['x-calls']).toEqual(['beforeConvert User API', 'afterConvert User API', 'beforeWrite User_API.json']);
+    });
+
+    test('should leave the collection itself alone', async () => {
+        const outputDir = path.join(dir, 'out');
+        await exportFromFiles(path.join(dir, 'collections'), outputDir, { plugins: [path.join(dir, 'recorder.js')] });
+        // The manifest hashes the collection as it is, not as the plugin changed it
+        const again = await exportFromFiles(path.join(dir, 'collections'), outputDir, { plugins: [path.join(dir, 'recorder.js')] });
+        expect(again[0].skipped).toBe(true);
+    });
+
+    test('should run beforeWrite once for a merged document', async () => {
+        const seen = [];
+        fs.writeFileSync(path.join(dir, 'collections', 'orders.json'), JSON.stringify(makeCollection('Order API', 'id-orders', ITEMS)));
+        await exportFromFiles(path.join(dir, 'collections'), path.join(dir, 'out'), {
+            merge: 'gateway.yaml',
+            conflictStrategy: 'prefix',
+            plugins: [{ name: 'files', beforeWrite: file => { seen.push(path.basename(file)); } }]
+        });
+        expect(seen).toEqual(['gateway.yaml']);
+        expect(yaml.load(fs.readFileSync(path.join(dir, 'out', 'gateway.yaml'), 'utf8')).openapi).toBeDefined();
+    });
+
+    test('should fail the collection when a hook throws', async () => {
+        const results = await exportFromFiles(path.join(dir, 'collections'), path.join(dir, 'out'), {
+            throwOnFailure: false,
+            plugins: [{ name: 'broken', afterConvert: () => { throw new Error('no contact'); } }]
+        });
+        expect(results[0]).toMatchObject({ success: false, error: 'Failed to export collection: Plugin broken failed in afterConvert: no contact' });
+    });
+
+    test('should apply plugins in the library conversion', async () => {
+        const spec = await convertCollection(makeCollection('User API', 'id-users', ITEMS), { plugins: ['remove-paths'] });
+        expect(Object.keys(spec.paths)).toEqual(['/internal/stats', '/users']);
+
+        const trimmed = await convertCollection(makeCollection('User API', 'id-users', ITEMS), {
+            plugins: [{ plugin: 'remove-paths', options: { paths: ['/INTERNAL/*'] } }]
+        });
+        expect(Object.keys(trimmed.paths)).toEqual(['/users']);
+    });
+
+    test('should reject plugins that cannot be used', () => {
+        expect(() => loadPlugins(['contact'])).toThrow('Unknown built-in plugin: contact (available: info, extensions, remove-paths; local modules need a path such as ./contact.js)');
+        expect(() => loadPlugins([path.join(dir, 'missing.js')])).toThrow(`Could not load plugin ${path.join(dir, 'missing.js')}`);
+        fs.writeFileSync(path.join(dir, 'empty.js'), 'module.exports = { name: "empty" };');
+        expect(() => loadPlugins([path.join(dir, 'empty.js')])).toThrow('has no hooks');
+        expect(() => loadPlugins([{ plugin: 'extensions', options: { root: { owner: 'x' } } }])).toThrow('root keys must start with x-: owner');
+        expect(() => loadPlugins([42])).toThrow('Invalid plugin entry: 42');
+    });
+
+    test('should only accept objects from spec hooks', async () => {
+        const plugins = loadPlugins([{ name: 'bad', afterConvert: () => 'spec' }]);
+        await expect(runHook(plugins, 'afterConvert', {}, { context: createPluginContext() }))
+            .rejects.toThrow('Plugin bad returned string from afterConvert (expected an object or nothing)');
+    });
+});
@@ -0,0 +1,37 @@
+const { runWithConcurrency } = require('../pool');
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('runWithConcurrency', () => {
+    test('should never run more than the limit at once', async () => {
+        let running = 0;
+        let maxRunning = 0;
+
+        await runWithConcurrency([1, 2, 3, 4, 5, 6], 2, async () => {
+            running++;
+            maxRunning = Math.max(maxRunning, running);
+            await delay(5);
+            running--;
+        });
+
+        expect(maxRunning).toBe(2);
+    });
+
+    test('should keep results in input order', async () => {
+        const results = await runWithConcurrency([30, 10, 20], 3, async (ms, index) => {
+            await delay(ms);
+            return `${index}:${ms}`;
+        });
+
+        expect(results).toEqual(['0:30', '1:10', '2:20']);
+    });
+
+    test('should run sequentially without a limit and handle empty input', async () => {
+        const order = [];
+        await runWithConcurrency(['a', 'b'], undefined, async item => order.push(item));
+        expect(order).toEqual(['a', 'b']);
+        await expect(runWithConcurrency([], 4, jest.fn())).resolves.toEqual([]);
+    });
+});
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AuthenticationError, NotFoundError, RateLimitError } = require('../errors');
+const {
+    EXIT_CODES,
+    getErrorExitCode,
+    getResultsExitCode,
+    buildRunReport,
+    formatJUnitReport,
+    getReportFormat,
+    writeRunReport
+} = require('../report');
+
+const startedAt = new Date('2024-05-01T10:00:00.000Z');
+const finishedAt = new Date('2024-05-01T10:00:02.500Z');
+
+const results = [
+    { name: 'User API', success: true, file: 'out/User_API.json', duration: 1200 },
+    { name: 'Order API', success: true, skipped: true, file: 'out/Order_API.json' },
+    { name: 'Billing <v2>', success: false, error: 'Failed to export collection: Generated spec is invalid (1 error(s)):\n  /paths "x" & more', errorType: 'SpecValidationError', duration: 300 },
+    { name: 'Admin API', success: false, aborted: true, error: 'Not exported: stopped after 1 failure(s)' }
+];
+
+describe('exit codes', () => {
+    test('should tell fatal errors apart', () => {
+        expect(getErrorExitCode(new AuthenticationError('Invalid API key'))).toBe(EXIT_CODES.authentication);
+        expect(getErrorExitCode(new NotFoundError('Workspace not found'))).toBe(EXIT_CODES.notFound);
+        expect(getErrorExitCode(new RateLimitError('Too many requests'))).toBe(EXIT_CODES.error);
+        expect(getErrorExitCode(new Error('Invalid config'))).toBe(EXIT_CODES.error);
+    });
+
+    test('should tell validation failures apart from other failures', () => {
+        expect(getResultsExitCode(results)).toBe(EXIT_CODES.validation);
+        expect(getResultsExitCode([...results, { name: 'Other', success: false, error: 'Boom', errorType: 'Error' }])).toBe(EXIT_CODES.partialFailure);
+        expect(getResultsExitCode(results.slice(0, 2))).toBe(EXIT_CODES.success);
+    });
+
+    test('should only report breaking changes when nothing failed, and ignore failures with continueOnError', () => {
+        expect(getResultsExitCode(results.slice(0, 2), { breaking: 1 })).toBe(EXIT_CODES.breakingChanges);
+        expect(getResultsExitCode(results, { breaking: 1 })).toBe(EXIT_CODES.validation);
+        expect(getResultsExitCode(results, { continueOnError: true })).toBe(EXIT_CODES.success);
+    });
+});
+
+describe('run reports', () => {
+    test('should record every collection with its status, timing, file and error', () => {
+        const report = buildRunReport({ name: 'ws-1', results, startedAt, finishedAt, exitCode: EXIT_CODES.validation });
+
+        expect(report).toMatchObject({
+            name: 'ws-1',
+            startedAt: '2024-05-01T10:00:00.000Z',
+            duration: 2500,
+            success: false,
+            exitCode: 6,
+            summary: { total: 4, exported: 1, unchanged: 1, failed: 1, aborted: 1 }
+        });
+        expect(report.collections).toEqual([
+            { name: 'User API', status: 'exported', duration: 1200, file: 'out/User_API.json' },
+            { name: 'Order API', status: 'unchanged', duration: 0, file: 'out/Order_API.json' },
+            { name: 'Billing <v2>', status: 'failed', duration: 300, error: results[2].error, errorType: 'SpecValidationError' },
+            { name: 'Admin API', status: 'aborted', duration: 0, error: 'Not exported: stopped after 1 failure(s)' }
+        ]);
+    });
+
+    test('should record the error of a run that failed as a whole', () => {
+        const report = buildRunReport({ startedAt, finishedAt, exitCode: 3, error: new AuthenticationError('Invalid API key') });
+        expect(report.error).toEqual({ message: 'Invalid API key', type: 'AuthenticationError' });
+        expect(report.summary.total).toBe(0);
+        expect(formatJUnitReport(report)).toContain('<error message="Invalid API key">Invalid API key</error>');
+    });
+
+    test('should write escaped JUnit XML', () => {
+        const xml = formatJUnitReport(buildRunReport({ name: 'ws-1', results, startedAt, finishedAt, exitCode: 6 }));
+
+        expect(xml).toContain('<testsuites name="postman-export" tests="4" failures="1" time="2.500">');
+        expect(xml).toContain('<testsuite name="ws-1" tests="4" failures="1" errors="0" skipped="2" time="1.500" timestamp="2024-05-01T10:00:00.000Z">');
+        expect(xml).toContain('<testcase name="User API" classname="ws-1" time="1.200">\n      <system-out>out/User_API.json</system-out>');
+        expect(xml).toContain('<testcase name="Billing &lt;v2&gt;" classname="ws-1" time="0.300">');
+        expect(xml).toContain('<failure message="Failed to export collection: Generated spec is invalid (1 error(s)):" type="SpecValidationError">');
+        expect(xml).toContain('/paths &quot;x&quot; &amp; more</failure>');
+        expect(xml).toContain('<skipped message="Not exported: stopped after 1 failure(s)"/>');
+    });
+
+    test('should group collections by workspace', () => {
+        const report = buildRunReport({
+            workspaces: [
+                { name: 'Platform', results: results.slice(0, 1) },
+                { name: 'Partners', results: [], error: new NotFoundError('Workspace not found') }
+            ],
+            startedAt,
+            finishedAt,
+            exitCode: EXIT_CODES.partialFailure
+        });
+
+        expect(report.collections).toEqual([expect.objectContaining({ name: 'User API', workspace: 'Platform' })]);
+        expect(report.workspaces).toEqual([
+            { name: 'Platform', success: true },
+            { name: 'Partners', success: false, error: 'Workspace not found' }
+        ]);
+        const xml = formatJUnitReport(report);
+        expect(xml).toContain('<testsuite name="Platform" tests="1" failures="0" errors="0"');
+        expect(xml).toContain('<testsuite name="Partners" tests="0" failures="0" errors="1"');
+    });
+
+    test('should pick the format from the file extension unless given', () => {
+        expect(getReportFormat('report.xml')).toBe('junit');
+        expect(getReportFormat('report.json')).toBe('json');
+        expect(getReportFormat('report.xml', 'json')).toBe('json');
+        expect(() => getReportFormat('report.txt', 'html')).toThrow('Invalid report format: html');
+    });
+
+    test('should create the report directory', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'postman-export-'));
+        try {
+            const file = path.join(dir, 'reports', 'export.json');
+            expect(writeRunReport(file, buildRunReport({ results, startedAt, finishedAt, exitCode: 6 }))).toBe('json');
+            expect(JSON.parse(fs.readFileSync(file, 'utf8')).summary.failed).toBe(1);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,195 @@
+const { inferSchema, mergeSchemas, addInferredSchemas } = require('../schemas');
+
+function jsonMedia(...values) {
+    return {
+        'application/json': {
+            schema: { type: 'object' },
+            examples: Object.fromEntries(values.map((value, index) => [`example-${index}`, { summary: `Example ${index}`, value }]))
+        }
+    };
+}
+
+describe('inferSchema', () => {
+    test('should infer types, required fields and common string formats', () => {
+        expect(inferSchema({
+            id: '7c9e6679-7425-40de-944b-e07fc1f90ae7',
+            email: 'ada@example.com',
+            createdAt: '2024-01-01T10:00:00Z',
+            birthday: '1990-05-01',
+            website: 'https://example.com',
+            age: 36,
+            score: 9.5,
+            active: true,
+            nickname: null,
+            tags: ['a', 'b']
+        })).toEqual({
+            type: 'object',
+            properties: {
+                id: { type: 'string', format: 'uuid' },
+                email: { type: 'string', format: 'email' },
+                createdAt: { type: 'string', format: 'date-time' },
+                birthday: { type: 'string', format: 'date' },
+                website: { type: 'string', format: 'uri' },
+                age: { type: 'integer' },
+                score: { type: 'number' },
+                active: { type: 'boolean' },
+                nickname: { nullable: true },
+                tags: { type: 'array', items: { type: 'string' } }
+            },
+            required: ['id', 'email', 'createdAt', 'birthday', 'website', 'age', 'score', 'active', 'nickname', 'tags']
+        });
+    });
+
+    test('should merge array items into one schema', () => {
+        expect(inferSchema([{ id: 1, name: 'a' }, { id: 2.5 }])).toEqual({
+            type: 'array',
+            items: { type: 'object', properties: { id: { type: 'number' }, name: { type: 'string' } }, required: ['id'] }
+        });
+        expect(inferSchema([])).toEqual({ type: 'array', items: {} });
+    });
+});
+
+describe('mergeSchemas', () => {
+    test('should make fields nullable when an example has null', () => {
+        expect(mergeSchemas(inferSchema('a'), inferSchema(null))).toEqual({ type: 'string', nullable: true });
+        expect(mergeSchemas(inferSchema(null), inferSchema({ a: 1 }))).toEqual({
+            type: 'object', properties: { a: { type: 'integer' } }, required: ['a'], nullable: true
+        });
+    });
+
+    test('should keep formats only when every example agrees', () => {
+        expect(mergeSchemas(inferSchema('ada@example.com'), inferSchema('bob@example.com'))).toEqual({ type: 'string', format: 'email' });
+        expect(mergeSchemas(inferSchema('ada@example.com'), inferSchema('Ada'))).toEqual({ type: 'string' });
+    });
+
+    test('should use oneOf for values of different types', () => {
+        expect(mergeSchemas(mergeSchemas(inferSchema('a'), inferSchema(1)), inferSchema('b'))).toEqual({
+            oneOf: [{ type: 'string' }, { type: 'integer' }]
+        });
+    });
+
+    test('should widen integers and numbers into one number variant', () => {
+        expect(mergeSchemas(mergeSchemas(inferSchema('a'), inferSchema(1)), inferSchema(2.5))).toEqual({
+            oneOf: [{ type: 'string' }, { type: 'number' }]
+        });
+    });
+});
+
+describe('addInferredSchemas', () => {
+    test('should lift body schemas and repeated shapes into components', () => {
+        const spec = {
+            openapi: '3.0.0',
+            paths: {
+                '/users': {
+                    post: {
+                        summary: 'Create user',
+                        requestBody: {
+                            content: {
+                                'application/json': { schema: { type: 'object', example: { name: 'Ada', address: { city: 'London' } } } }
+                            }
+                        },
+                        responses: {
+                            201: {
+                                description: 'Created',
+                                content: jsonMedia({ id: 1, name: 'Ada', address: { city: 'London' } }, { id: 2, name: null, address: { city: 'Paris' } })
+                            },
+                            400: { description: 'Bad request', content: jsonMedia({ error: 'invalid' }) }
+                        }
+                    },
+                    get: {
+                        operationId: 'listUsers',
+                        responses: {
+                            200: { description: 'OK', content: jsonMedia([{ id: 1, name: 'Ada', address: { city: 'London' } }]) }
+                        }
+                    }
+                }
+            }
+        };
+
+        addInferredSchemas(spec);
+
+        const post = spec.paths['/users'].post;
+        expect(post.requestBody.content['application/json']).toEqual({
+            schema: { $ref: '#/components/schemas/CreateUserRequest' },
+            example: { name: 'Ada', address: { city: 'London' } }
+        });
+        expect(post.responses[201].content['application/json'].schema).toEqual({ $ref: '#/components/schemas/CreateUserResponse' });
+        expect(post.responses[400].content['application/json'].schema).toEqual({ $ref: '#/components/schemas/CreateUser400Response' });
+        expect(spec.paths['/users'].get.responses[200].content['application/json'].schema).toEqual({
+            type: 'array',
+            items: { $ref: '#/components/schemas/ListUsersResponseItem' }
+        });
+
+        const { schemas } = spec.components;
+        expect(Object.keys(schemas).sort()).toEqual([
+            'Address',
+            'CreateUser400Response',
+            'CreateUserRequest',
+            'CreateUserResponse',
+            'ListUsersResponseItem'
+        ]);
+        expect(schemas.CreateUserResponse).toEqual({
+            type: 'object',
+            properties: {
+                id: { type: 'integer' },
+                name: { type: 'string', nullable: true },
+                address: { $ref: '#/components/schemas/Address' }
+            },
+            required: ['id', 'name', 'address']
+        });
+        expect(schemas.CreateUserRequest.properties.address).toEqual({ $ref: '#/components/schemas/Address' });
+    });
+
+    test('should reuse identical shapes and keep schemas that are more than a bare type', () => {
+        const custom = { type: 'object', properties: { id: { type: 'string' } } };
+        const spec = {
+            openapi: '3.0.0',
+            paths: {
+                '/a': { get: { summary: 'Get A', responses: { 200: { description: 'OK', content: jsonMedia({ id: 1 }) } } } },
+                '/b': { get: { summary: 'Get B', responses: { 200: { description: 'OK', content: jsonMedia({ id: 2 }) } } } },
+                '/c': {
+                    get: {
+                        summary: 'Get C',
+                        responses: { 200: { description: 'OK', content: { 'application/json': { schema: custom, example: { id: 3 } } } } }
+                    }
+                },
+                '/d': {
+                    get: {
+                        summary: 'Get D',
+                        responses: { 200: { description: 'OK', content: { 'text/plain': { schema: { type: 'string' }, example: '{"id":1}' } } } }
+                    }
+                }
+            }
+        };
+
+        addInferredSchemas(spec);
+
+        expect(spec.paths['/a'].get.responses[200].content['application/json'].schema).toEqual({ $ref: '#/components/schemas/GetAResponse' });
+        expect(spec.paths['/b'].get.responses[200].content['application/json'].schema).toEqual({ $ref: '#/components/schemas/GetAResponse' });
+        expect(spec.paths['/c'].get.responses[200].content['application/json'].schema).toBe(custom);
+        expect(spec.paths['/d'].get.responses[200].content['text/plain'].schema).toEqual({ type: 'string' });
+        expect(Object.keys(spec.components.schemas)).toEqual(['GetAResponse']);
+    });
+
+    test('should not write typeless nullable schemas for fields that are always null', () => {
+        const spec = {
+            openapi: '3.0.0',
+            paths: {
+                '/users': { get: { summary: 'List users', responses: { 200: { description: 'OK', content: jsonMedia([{ id: 1, deletedAt: null, tags: [null] }]) } } } }
+            }
+        };
+
+        addInferredSchemas(spec);
+
+        expect(spec.components.schemas.ListUsersResponseItem.properties).toEqual({
+            id: { type: 'integer' },
+            deletedAt: {},
+            tags: { type: 'array', items: {} }
+        });
+    });
+
+    test('should leave specs without JSON examples untouched', () => {
+        const spec = { openapi: '3.0.0', paths: { '/a': { get: { responses: { 204: { description: 'No content' } } } } } };
+        expect(addInferredSchemas(spec)).toEqual({ openapi: '3.0.0', paths: { '/a': { get: { responses: { 204: { description: 'No content' } } } } } });
+    });
+});
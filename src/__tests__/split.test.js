@@ -0,0 +1,143 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const { splitSpec, writeSplitSpec } = require('../split');
+const { bundleFile } = require('../bundle');
+const { canonicalizeSpec } = require('../canonical');
+const { exportFromFiles } = require('../exporter');
+const { makeCollection } = require('./helpers');
+
+const SPEC = {
+    openapi: '3.0.0',
+    info: { title: 'User API', version: '1.0.0' },
+    paths: {
+        '/users': {
+            get: {
+                summary: 'List users',
+                responses: { 200: { description: 'OK', content: { 'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/User' } } } } } }
+            }
+        },
+        '/users/{id}': {
+            get: {
+                summary: 'Get user',
+                responses: { 200: { $ref: '#/components/responses/UserResponse' } }
+            }
+        },
+        '/': { get: { summary: 'Root', responses: { 200: { description: 'OK' } } } }
+    },
+    components: {
+        schemas: {
+            User: { type: 'object', properties: { id: { type: 'integer' }, manager: { $ref: '#/components/schemas/User' } } }
+        },
+        responses: {
+            UserResponse: { description: 'A user', content: { 'application/json': { schema: { $ref: '#/components/schemas/User' } } } }
+        }
+    }
+};
+
+const ITEMS = [
+    {
+        name: 'Create user',
+        request: {
+            method: 'POST',
+            url: 'https://api.example.com/users',
+            body: { mode: 'raw', raw: '{"name":"Ada"}', options: { raw: { language: 'json' } } }
+        }
+    },
+    { name: 'List orders', request: { method: 'GET', url: 'https://api.example.com/orders' } }
+];
+
+function listFiles(dir) {
+    return fs.readdirSync(dir, { recursive: true })
+        .filter(file => fs.statSync(path.join(dir, file)).isFile())
+        .map(file => file.split(path.sep).join('/'))
+        .sort();
+}
+
+describe('split', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'postman-export-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should put path groups and schemas in files of their own', () => {
+        const files = splitSpec(SPEC, 'yaml');
+
+        expect(Object.keys(files)).toEqual(['openapi.yaml', 'paths/users.yaml', 'paths/root.yaml', 'components/schemas/User.yaml']);
+        const root = files['openapi.yaml'];
+        expect(root.paths['/users/{id}']).toEqual({ $ref: 'paths/users.yaml#/~1users~1%7Bid%7D' });
+        expect(root.components.schemas.User).toEqual({ $ref: 'components/schemas/User.yaml' });
+        expect(root.components.responses.UserResponse.content['application/json'].schema).toEqual({ $ref: 'components/schemas/User.yaml' });
+
+        const users = files['paths/users.yaml'];
+        expect(Object.keys(users)).toEqual(['/users', '/users/{id}']);
+        expect(users['/users'].get.responses[200].content['application/json'].schema.items).toEqual({ $ref: '../components/schemas/User.yaml' });
+        expect(users['/users/{id}'].get.responses[200]).toEqual({ $ref: '../openapi.yaml#/components/responses/UserResponse' });
+        expect(files['components/schemas/User.yaml'].properties.manager).toEqual({ $ref: 'User.yaml' });
+    });
+
+    test('should bundle a split spec back into the same document', () => {
+        const rootFile = path.join(dir, 'user-api', 'openapi.yaml');
+        writeSplitSpec(rootFile, SPEC, 'yaml');
+        expect(listFiles(path.join(dir, 'user-api'))).toEqual(['components/schemas/User.yaml', 'openapi.yaml', 'paths/root.yaml', 'paths/users.yaml']);
+
+        expect(bundleFile(rootFile)).toEqual(canonicalizeSpec(SPEC));
+    });
+
+    test('should remove files of paths and schemas that are gone', () => {
+        const rootFile = path.join(dir, 'user-api', 'openapi.json');
+        writeSplitSpec(rootFile, SPEC, 'json');
+        writeSplitSpec(rootFile, { ...SPEC, paths: { '/users': SPEC.paths['/users'] } }, 'json');
+        expect(listFiles(path.join(dir, 'user-api'))).toEqual(['components/schemas/User.json', 'openapi.json', 'paths/users.json']);
+    });
+
+    test('should export collections as split trees', async () => {
+        fs.mkdirSync(path.join(dir, 'collections'));
+        fs.writeFileSync(path.join(dir, 'collections', 'users.json'), JSON.stringify(makeCollection('User API', 'id-users', ITEMS)));
+        const outputDir = path.join(dir, 'out');
+
+        const [result] = await exportFromFiles(path.join(dir, 'collections'), outputDir, { split: true, format: 'yaml' });
+        expect(result.file).toBe(path.join(outputDir, 'User_API', 'openapi.yaml'));
+        expect(listFiles(path.join(outputDir, 'User_API'))).toEqual([
+            'components/schemas/CreateUserRequest.yaml',
+            'openapi.yaml',
+            'paths/orders.yaml',
+            'paths/users.yaml'
+        ]);
+        const root = yaml.load(fs.readFileSync(result.file, 'utf8'));
+        expect(root.paths['/orders']).toEqual({ $ref: 'paths/orders.yaml#/~1orders' });
+
+        const again = await exportFromFiles(path.join(dir, 'collections'), outputDir, { split: true, format: 'yaml', diff: true });
+        expect(again[0].skipped).toBe(true);
+        const forced = await exportFromFiles(path.join(dir, 'collections'), outputDir, { split: true, format: 'yaml', diff: true, force: true });
+        expect(forced[0].diff.summary).toMatchObject({ breaking: 0, nonBreaking: 0 });
+    });
+
+    test('should prune the split tree of a deleted collection', async () => {
+        fs.mkdirSync(path.join(dir, 'collections'));
+        fs.writeFileSync(path.join(dir, 'collections', 'users.json'), JSON.stringify(makeCollection('User API', 'id-users', ITEMS)));
+        fs.writeFileSync(path.join(dir, 'collections', 'orders.json'), JSON.stringify(makeCollection('Order API', 'id-orders', ITEMS)));
+        const outputDir = path.join(dir, 'out');
+        await exportFromFiles(path.join(dir, 'collections'), outputDir, { split: true });
+
+        fs.unlinkSync(path.join(dir, 'collections', 'orders.json'));
+        await exportFromFiles(path.join(dir, 'collections'), outputDir, { split: true, pruneStale: true });
+        expect(fs.readdirSync(outputDir).sort()).toEqual(['.postman-export.json', 'User_API']);
+    });
+
+    test('should split a merged document', async () => {
+        fs.mkdirSync(path.join(dir, 'collections'));
+        fs.writeFileSync(path.join(dir, 'collections', 'users.json'), JSON.stringify(makeCollection('User API', 'id-users', ITEMS)));
+        const outputDir = path.join(dir, 'out');
+
+        const [result] = await exportFromFiles(path.join(dir, 'collections'), outputDir, { split: true, merge: 'gateway.yaml' });
+        expect(result.file).toBe(path.join(outputDir, 'gateway', 'openapi.yaml'));
+        expect(Object.keys(bundleFile(result.file).paths)).toEqual(['/orders', '/users']);
+    });
+});
@@ -0,0 +1,124 @@
+const { normalizeTagOptions, markRequestNames, applyTags } = require('../tags');
+const { convertCollection } = require('../api');
+const { COLLECTION_SCHEMA } = require('./helpers');
+
+function request(name, method, url) {
+    return { name, request: { method, url: `https://api.example.com${url}` } };
+}
+
+function makeCollection() {
+    return {
+        info: {
+            _postman_id: 'id-shop',
+            name: 'Shop API',
+            description: 'Everything in the shop',
+            schema: COLLECTION_SCHEMA
+        },
+        item: [
+            request('Health check', 'GET', '/health'),
+            {
+                name: 'Users',
+                description: 'User accounts',
+                item: [
+                    request('List users [listAllUsers]', 'GET', '/users'),
+                    request('Get user', 'GET', '/users/:id'),
+                    {
+                        name: 'Admin',
+                        description: { content: 'Admin only', type: 'text/plain' },
+                        item: [request('Get user', 'GET', '/admin/users/:id')]
+                    }
+                ]
+            },
+            {
+                name: 'Orders',
+                item: [request('List orders', 'GET', '/users/:id/orders')]
+            }
+        ]
+    };
+}
+
+describe('tags', () => {
+    test('should tag operations by their top-level folder', async () => {
+        const spec = await convertCollection(makeCollection(), { tagStrategy: 'top' });
+
+        expect(spec.paths['/health'].get.tags).toEqual(['Shop API']);
+        expect(spec.paths['/users'].get.tags).toEqual(['Users']);
+        expect(spec.paths['/admin/users/{id}'].get.tags).toEqual(['Users']);
+        expect(spec.tags).toEqual([
+            { name: 'Shop API', description: 'Everything in the shop' },
+            { name: 'Users', description: 'User accounts' },
+            { name: 'Orders' }
+        ]);
+        // Summaries lose the markers and the explicit operationIds
+        expect(spec.paths['/users'].get.summary).toBe('List users');
+        expect(spec.paths['/users'].get.operationId).toBeUndefined();
+    });
+
+    test('should tag operations by their full folder path with tag groups', async () => {
+        const spec = await convertCollection(makeCollection(), { tagStrategy: 'groups' });
+
+        expect(spec.paths['/admin/users/{id}'].get.tags).toEqual(['Users > Admin']);
+        expect(spec.tags).toContainEqual({ name: 'Users > Admin', description: 'Admin only' });
+        expect(spec['x-tagGroups']).toEqual([
+            { name: 'Shop API', tags: ['Shop API'] },
+            { name: 'Users', tags: ['Users', 'Users > Admin'] },
+            { name: 'Orders', tags: ['Orders'] }
+        ]);
+        expect(Object.keys(spec).indexOf('x-tagGroups')).toBe(Object.keys(spec).indexOf('tags') + 1);
+    });
+
+    test('should use the configured folder separator for full paths', async () => {
+        const spec = await convertCollection(makeCollection(), { tagStrategy: 'full', converter: { folders: { separator: '/' } } });
+        expect(spec.paths['/admin/users/{id}'].get.tags).toEqual(['Users/Admin']);
+        expect(spec['x-tagGroups']).toBeUndefined();
+    });
+
+    test('should generate unique operationIds from request names', async () => {
+        const spec = await convertCollection(makeCollection(), { operationIds: 'name' });
+
+        expect(spec.paths['/health'].get.operationId).toBe('healthCheck');
+        // An explicit [id] in the name wins
+        expect(spec.paths['/users'].get.operationId).toBe('listAllUsers');
+        // Names used twice are qualified with their folders
+        expect(spec.paths['/users/{id}'].get.operationId).toBe('usersGetUser');
+        expect(spec.paths['/admin/users/{id}'].get.operationId).toBe('usersAdminGetUser');
+        // Tags are the converter's unless a strategy is set
+        expect(spec.paths['/admin/users/{id}'].get.tags).toEqual(['Users > Admin']);
+    });
+
+    test('should generate operationIds from method and path in either style', async () => {
+        const camel = await convertCollection(makeCollection(), { operationIds: 'method-path' });
+        expect(camel.paths['/users/{id}/orders'].get.operationId).toBe('getUsersByIdOrders');
+
+        const snake = await convertCollection(makeCollection(), { operationIds: 'method-path', operationIdStyle: 'snake' });
+        expect(snake.paths['/users/{id}/orders'].get.operationId).toBe('get_users_by_id_orders');
+        expect(snake.paths['/health'].get.operationId).toBe('get_health');
+    });
+
+    test('should number operationIds that are still the same', () => {
+        const marked = markRequestNames({
+            info: { name: 'API' },
+            item: [request('Ping', 'GET', '/a'), request('Ping', 'GET', '/b'), request('Ping [ping]', 'GET', '/c')]
+        });
+        const names = marked.collection.item.map(item => item.name);
+        const spec = {
+            paths: {
+                '/a': { get: { summary: names[0] } },
+                '/b': { get: { summary: names[1] } },
+                '/c': { get: { summary: names[2] } }
+            }
+        };
+
+        applyTags(spec, marked, { operationIds: 'name', operationIdStyle: 'snake' });
+        expect(spec.paths['/c'].get.operationId).toBe('ping');
+        expect(spec.paths['/a'].get.operationId).toBe('ping_2');
+        expect(spec.paths['/b'].get.operationId).toBe('ping_3');
+        expect(spec.paths['/a'].get.summary).toBe('Ping');
+    });
+
+    test('should reject unknown strategies', () => {
+        expect(normalizeTagOptions({})).toEqual({ tagStrategy: undefined, operationIds: undefined, operationIdStyle: 'camel' });
+        expect(() => normalizeTagOptions({ tagStrategy: 'folder' })).toThrow('Unknown tag strategy: folder (expected one of: top, full, groups)');
+        expect(() => normalizeTagOptions({ operationIdStyle: 'kebab' })).toThrow('Unknown operationId style: kebab');
+    });
+});
@@ -0,0 +1,142 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateSchema, lintSpec, validateSpec, normalizeLintRules, buildValidationReport } = require('../validate');
+const { exportFromFiles } = require('../exporter');
+const { makeCollection } = require('./helpers');
+
+function validSpec() {
+    return {
+        openapi: '3.0.0',
+        info: { title: 'User API', version: '1.0.0' },
+        paths: {
+            '/users/{id}': {
+                get: {
+                    summary: 'Get user',
+                    operationId: 'getUser',
+                    parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+                    responses: {
+                        200: { description: 'OK', content: { 'application/json': { schema: { type: 'object' } } } },
+                        204: { description: 'No content' }
+                    }
+                }
+            }
+        }
+    };
+}
+
+describe('validateSchema', () => {
+    test('should accept a valid spec', () => {
+        expect(validateSchema(validSpec())).toEqual([]);
+    });
+
+    test('should report schema errors without the noise of oneOf alternatives', () => {
+        const spec = validSpec();
+        delete spec.info.version;
+        delete spec.paths['/users/{id}'].get.responses[200].description;
+
+        expect(validateSchema(spec)).toEqual([
+            { rule: 'openapi-schema', severity: 'error', location: '/info', message: 'must have required property \'version\'' },
+            {
+                rule: 'openapi-schema',
+                severity: 'error',
+                location: '/paths/~1users~1{id}/get/responses/200',
+                message: 'must have required property \'description\''
+            }
+        ]);
+    });
+});
+
+describe('lintSpec', () => {
+    test('should pass a clean spec', () => {
+        expect(lintSpec(validSpec())).toEqual([]);
+    });
+
+    test('should report every rule with its severity', () => {
+        const spec = validSpec();
+        const operation = spec.paths['/users/{id}'].get;
+        delete operation.summary;
+        operation.parameters = [];
+        delete operation.responses[200].content;
+        spec.paths['/users'] = {
+            post: { summary: 'Create user', operationId: 'getUser', responses: { 201: { description: 'Created', content: { 'application/json': {} } } } }
+        };
+
+        expect(lintSpec(spec).map(issue => `${issue.severity} ${issue.rule} ${issue.location}: ${issue.message}`)).toEqual([
+            'warn operation-summary GET /users/{id}: operation has no summary',
+            'error operation-id-unique POST /users: operationId getUser is also used by GET /users/{id}',
+            'error path-params-documented GET /users/{id}: path parameter {id} is not documented',
+            'warn response-schema GET /users/{id} 200: response has no content schema',
+            'warn response-schema POST /users 201: application/json response has no schema'
+        ]);
+    });
+
+    test('should apply configured severities', () => {
+        const spec = validSpec();
+        delete spec.paths['/users/{id}'].get.summary;
+
+        const rules = normalizeLintRules({ 'operation-summary': 'error', 'response-schema': 'off' });
+        expect(validateSpec(spec, { lintRules: { 'operation-summary': 'error' } }).errors).toHaveLength(1);
+        expect(lintSpec(spec, rules).map(issue => issue.severity)).toEqual(['error']);
+        expect(lintSpec(spec, normalizeLintRules({ 'operation-summary': 'off' }))).toEqual([]);
+    });
+
+    test('should reject unknown rules and severities', () => {
+        expect(() => normalizeLintRules({ 'no-such-rule': 'warn' })).toThrow('Unknown lint rule: no-such-rule');
+        expect(() => normalizeLintRules({ 'operation-summary': 'fatal' })).toThrow('Invalid severity for operation-summary: fatal');
+    });
+});
+
+describe('export validation', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'postman-export-'));
+        fs.writeFileSync(path.join(dir, 'users.json'), JSON.stringify(makeCollection('User API', 'id-users', [{
+            name: 'Get user',
+            request: { method: 'GET', url: 'https://api.example.com/users/:id' },
+            response: [{
+                name: 'Found',
+                code: 200,
+                body: '{"id":"1"}',
+                originalRequest: { method: 'GET', url: 'https://api.example.com/users/1' }
+            }]
+        }])));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should write valid specs and report lint results', async () => {
+        const outputDir = path.join(dir, 'out');
+        const [result] = await exportFromFiles(path.join(dir, 'users.json'), outputDir);
+
+        // Saved examples convert to responses without a description, which the schema requires
+        const spec = JSON.parse(fs.readFileSync(result.file, 'utf8'));
+        expect(spec.paths['/users/{id}'].get.responses['200'].description).toBe('OK');
+        expect(result.validation.errors).toEqual([]);
+        expect(buildValidationReport([result]).summary).toEqual({ errors: 0, warnings: 0, failed: 0 });
+    });
+
+    test('should fail lint errors in strict mode without writing the spec', async () => {
+        const outputDir = path.join(dir, 'out');
+        const options = { lintRules: { 'operation-summary': 'error' }, strict: true };
+        fs.writeFileSync(path.join(dir, 'users.json'), fs.readFileSync(path.join(dir, 'users.json'), 'utf8').replace('"Get user"', '""'));
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        const error = await exportFromFiles(path.join(dir, 'users.json'), outputDir, options).catch(e => e);
+
+        expect(error.message).toBe('Some collections failed to export');
+        expect(error.results[0].success).toBe(false);
+        expect(error.results[0].error).toContain('operation has no summary (operation-summary)');
+        expect(error.results[0].validation.errors[0].rule).toBe('operation-summary');
+        expect(fs.existsSync(path.join(outputDir, 'User_API.json'))).toBe(false);
+
+        const relaxed = await exportFromFiles(path.join(dir, 'users.json'), outputDir, { ...options, strict: false });
+        expect(relaxed[0].success).toBe(true);
+        expect(relaxed[0].validation.errors.map(issue => issue.rule)).toEqual(['operation-summary']);
+    });
+});
@@ -0,0 +1,89 @@
+const { buildVariableContext, replaceVariables, buildServers } = require('../variables');
+
+describe('variables', () => {
+    const collection = {
+        info: { name: 'Tenant API' },
+        variable: [
+            { key: 'baseUrl', value: 'https://{{tenant}}.example.com' },
+            { key: 'tenant', value: 'default' },
+            { key: 'version', value: 'v1' }
+        ],
+        item: [
+            {
+                name: 'Users',
+                item: [
+                    { name: 'List users', request: { method: 'GET', url: { raw: '{{baseUrl}}/{{version}}/users' } } },
+                    { name: 'Get user', request: { method: 'GET', url: '{{baseUrl}}/{{version}}/users/:id' } }
+                ]
+            },
+            {
+                name: 'Login',
+                request: {
+                    method: 'POST',
+                    url: 'https://auth.example.com/login',
+                    header: [{ key: 'Authorization', value: 'Bearer {{token}}' }]
+                }
+            }
+        ]
+    };
+    const environment = {
+        name: 'Production',
+        values: [
+            { key: 'tenant', value: 'acme', enabled: true, type: 'default' },
+            { key: 'token', value: 'super-secret-token', enabled: true, type: 'secret' },
+            { key: 'version', value: 'v2', enabled: false }
+        ]
+    };
+
+    test('should let environment values override collection variables', () => {
+        const context = buildVariableContext(collection, environment);
+        expect(context.tenant).toEqual({ value: 'acme', secret: false, source: 'environment' });
+        expect(context.version).toEqual({ value: 'v1', secret: false, source: 'collection' });
+        expect(context.token).toEqual({ secret: true, source: 'environment' });
+    });
+
+    test('should build servers with variables and resolved defaults', () => {
+        const servers = buildServers(collection, buildVariableContext(collection, environment), 'Production');
+        expect(servers).toEqual([
+            {
+                url: '{baseUrl}',
+                variables: {
+                    baseUrl: { default: 'https://acme.example.com', description: 'From collection variables' }
+                }
+            },
+            { url: 'https://auth.example.com' }
+        ]);
+    });
+
+    test('should mark unresolved and secret server variables without writing values', () => {
+        const servers = buildServers({
+            item: [
+                { request: { url: 'https://{{region}}.example.com/a' } },
+                { request: { url: '{{token}}/b' } }
+            ]
+        }, buildVariableContext({}, environment), 'Production');
+
+        expect(servers[0].variables.region).toEqual({
+            default: '',
+            description: 'No value found in the collection or environment variables'
+        });
+        expect(servers[1].variables.token).toEqual({ default: '', description: 'Secret value omitted' });
+        expect(JSON.stringify(servers)).not.toContain('super-secret-token');
+    });
+
+    test('should replace variables inline but keep secrets and unknown variables', () => {
+        const resolved = replaceVariables(collection, buildVariableContext(collection, environment));
+        const [users, login] = resolved.item;
+
+        expect(users.item[0].request.url.raw).toBe('https://acme.example.com/v1/users');
+        expect(users.item[1].request.url).toBe('https://acme.example.com/v1/users/:id');
+        expect(login.request.header[0].value).toBe('Bearer {{token}}');
+        expect(JSON.stringify(resolved)).not.toContain('super-secret-token');
+    });
+
+    test('should escape values that contain JSON special characters', () => {
+        const context = buildVariableContext({ variable: [{ key: 'quote', value: 'say "hi"\\n' }] });
+        const resolved = replaceVariables({ description: 'Value: {{quote}}' }, context);
+        expect(resolved.description).toBe('Value: say "hi"\\n');
+    });
+});
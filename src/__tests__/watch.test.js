@@ -0,0 +1,106 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { watchWorkspace, runCommand } = require('../watch');
+const { makeCollection, jsonResponse } = require('./helpers');
+
+describe('watchWorkspace', () => {
+    let dir;
+    let revisions;
+    let failNext;
+    const originalFetch = global.fetch;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'postman-export-'));
+        revisions = { users: '2024-01-01T00:00:00.000Z', orders: '2024-01-01T00:00:00.000Z' };
+        failNext = null;
+        global.fetch = jest.fn(url => {
+            if (failNext) {
+                const status = failNext;
+                failNext = null;
+                return Promise.resolve(jsonResponse({ error: { name: 'error', message: `HTTP ${status}` } }, status));
+            }
+            if (url.endsWith('/workspaces/ws')) {
+                return Promise.resolve(jsonResponse({
+                    workspace: { id: 'ws', name: 'Workspace', collections: [{ uid: 'users', name: 'Users' }, { uid: 'orders', name: 'Orders' }] }
+                }));
+            }
+            if (url.endsWith('/collections?workspace=ws')) {
+                return Promise.resolve(jsonResponse({
+                    collections: Object.entries(revisions).map(([uid, updatedAt]) => ({ uid, updatedAt }))
+                }));
+            }
+            const uid = url.split('/').pop();
+            return Promise.resolve(jsonResponse({ collection: makeCollection(uid === 'users' ? 'Users' : 'Orders', null, null, { description: `Revision ${revisions[uid]}` }) }));
+        });
+    });
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should re-export only collections whose revision changed and survive transient failures', async () => {
+        const syncs = [];
+        const errors = [];
+        const watcher = watchWorkspace('ws', dir, {
+            apiKey: 'key',
+            interval: 5,
+            maxAttempts: 1,
+            onSync: ({ number, changed, unchanged }) => {
+                syncs.push([number, changed.map(result => result.name), unchanged.length]);
+                if (number === 2) {
+                    // The next poll fails, the one after sees the edited collection
+                    failNext = 503;
+                    revisions.orders = '2024-02-01T00:00:00.000Z';
+                }
+                if (number === 4) watcher.stop();
+            },
+            onError: ({ number, error, failures, retryIn }) => errors.push([number, error.status, failures, retryIn])
+        });
+
+        await watcher.done;
+
+        expect(syncs).toEqual([
+            [1, ['Users', 'Orders'], 0],
+            [2, [], 2],
+            [4, ['Orders'], 1]
+        ]);
+        expect(errors).toEqual([[3, 503, 1, 10]]);
+        expect(fs.existsSync(path.join(dir, 'Users.json'))).toBe(true);
+        // Unchanged collections are not downloaded again
+        expect(global.fetch.mock.calls.filter(([url]) => url.endsWith('/collections/users'))).toHaveLength(1);
+    });
+
+    test('should stop on authentication errors', async () => {
+        failNext = 401;
+        const watcher = watchWorkspace('ws', dir, { apiKey: 'bad-key', interval: 5 });
+        await expect(watcher.done).rejects.toThrow('Invalid API key or insufficient permissions');
+    });
+
+    test('should run the command after syncs that changed files', async () => {
+        const commands = [];
+        const marker = path.join(dir, 'synced.txt');
+        const watcher = watchWorkspace('ws', dir, {
+            apiKey: 'key',
+            interval: 5,
+            command: `node -e "require('fs').appendFileSync(process.argv[1], process.env.POSTMAN_EXPORT_CHANGED + '|')" "${marker}"`,
+            onSync: ({ number }) => {
+                if (number === 2) watcher.stop();
+            },
+            onCommand: event => commands.push([event.status, event.code])
+        });
+
+        await watcher.done;
+
+        // The second sync changed nothing, so the command ran once
+        expect(commands).toEqual([['started', undefined], ['finished', 0]]);
+        expect(fs.readFileSync(marker, 'utf8')).toBe(`${path.join(dir, 'Users.json')}\n${path.join(dir, 'Orders.json')}|`);
+    });
+});
+
+describe('runCommand', () => {
+    test('should resolve to the exit code of the command', async () => {
+        await expect(runCommand('node -e "process.exit(3)"')).resolves.toBe(3);
+    });
+});
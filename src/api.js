@@ -0,0 +1,99 @@
+// Library entry point. Nothing here prints to the console, and the convert* functions
+// never write files: collections are converted in memory and results are returned.
+const exporter = require('./exporter');
+const { isCollection } = require('./collection-files');
+const { serializeSpec } = require('./output');
+const { validateSpec } = require('./validate');
+const { diffSpecs } = require('./diff');
+const { mergeSpecs } = require('./merge');
+const definitions = require('./definitions');
+const { redactSpec } = require('./redact');
+const { loadPlugins } = require('./plugins');
+const { splitSpec } = require('./split');
+const { bundleFile } = require('./bundle');
+const { startMockServer } = require('./mock');
+
+// Convert one collection object (as exported from Postman, with or without the
+// { collection } wrapper, or as a JSON string) to an OpenAPI document
+async function convertCollection(input, options = {}) {
+    const data = typeof input === 'string' ? JSON.parse(input) : input;
+    if (!isCollection(data)) {
+        throw new Error('Not a Postman collection: expected an object with info.name and item');
+    }
+
+    const { includeItems, excludeItems, redaction, ...rest } = options;
+    const spec = await exporter.convertCollection({ collection: data.collection || data }, {
+        ...rest,
+        plugins: loadPlugins(options.plugins),
+        converter: options.converter || {},
+        items: { include: includeItems, exclude: excludeItems }
+    });
+    redactSpec(spec, redaction);
+    return spec;
+}
+
+// Settle an export into { success, collections, summary, error } instead of throwing
+async function settle(run) {
+    let collections = [];
+    let error;
+    try {
+        collections = await run();
+    } catch (e) {
+        error = e;
+        collections = e.results || [];
+    }
+
+    const failed = collections.filter(result => !result.success).length;
+    return {
+        success: !error && failed === 0,
+        collections,
+        summary: {
+            total: collections.length,
+            succeeded: collections.length - failed,
+            failed,
+            skipped: collections.filter(result => result.skipped).length
+        },
+        ...(error ? { error } : {})
+    };
+}
+
+// Convert the collections of a workspace; each result carries its spec
+function convertWorkspace(workspaceId, options = {}) {
+    return settle(() => exporter.exportWorkspace(workspaceId, null, { ...options, write: false, throwOnFailure: false }));
+}
+
+// Convert local collection files (file, directory or glob); each result carries its spec
+function convertFiles(sources, options = {}) {
+    return settle(() => exporter.exportFromFiles(sources, null, { ...options, write: false, throwOnFailure: false }));
+}
+
+module.exports = {
+    convertCollection,
+    convertWorkspace,
+    convertFiles,
+    exportWorkspace: exporter.exportWorkspace,
+    exportAllWorkspaces: exporter.exportAllWorkspaces,
+    exportApiDefinitions: definitions.exportApiDefinitions,
+    getWorkspaceApis: definitions.getWorkspaceApis,
+    exportFromFiles: exporter.exportFromFiles,
+    getAllWorkspaces: exporter.getAllWorkspaces,
+    getWorkspaceCollections: exporter.getWorkspaceCollections,
+    getWorkspaceEnvironments: exporter.getWorkspaceEnvironments,
+    getEnvironment: exporter.getEnvironment,
+    serializeSpec,
+    validateSpec,
+    diffSpecs,
+    mergeSpecs,
+    redactSpec,
+    splitSpec,
+    bundleFile,
+    startMockServer,
+    PostmanApiError: exporter.PostmanApiError,
+    AuthenticationError: exporter.AuthenticationError,
+    NotFoundError: exporter.NotFoundError,
+    RateLimitError: exporter.RateLimitError,
+    NetworkError: exporter.NetworkError,
+    MergeConflictError: exporter.MergeConflictError,
+    SpecValidationError: exporter.SpecValidationError,
+    SecretsFoundError: exporter.SecretsFoundError
+};
@@ -0,0 +1,215 @@
+// Postman auth to OpenAPI security. Auth is set on the collection, on folders and on
+// requests, where a missing auth or `inherit` takes the parent's and `noauth` turns it off.
+// Only the shape of the auth is used (type, parameter names, OAuth URLs and scopes), the
+// credentials themselves are never read.
+const debug = require('./debug');
+const { replaceVariables } = require('./variables');
+
+// Auth types that are sent as a scheme of the Authorization header
+const HTTP_SCHEMES = {
+    basic: 'basic',
+    digest: 'digest',
+    bearer: 'bearer',
+    asap: 'bearer',
+    oauth1: 'oauth',
+    hawk: 'hawk',
+    ntlm: 'ntlm',
+    awsv4: 'aws4-hmac-sha256',
+    edgegrid: 'eg1-hmac-sha256'
+};
+
+const SCHEME_NAMES = { apikey: 'apiKeyAuth', oauth2: 'oauth2Auth' };
+
+// Postman grant types and the OpenAPI flow with the URLs it requires
+const OAUTH2_FLOWS = {
+    authorization_code: { flow: 'authorizationCode', urls: ['authorizationUrl', 'tokenUrl'] },
+    authorization_code_with_pkce: { flow: 'authorizationCode', urls: ['authorizationUrl', 'tokenUrl'] },
+    implicit: { flow: 'implicit', urls: ['authorizationUrl'] },
+    password_credentials: { flow: 'password', urls: ['tokenUrl'] },
+    client_credentials: { flow: 'clientCredentials', urls: ['tokenUrl'] }
+};
+
+// The converter turns a request's auth type into a `<type>Auth` security requirement, so a
+// marker type tells which operation came from which request
+const MARKER_PREFIX = 'postman-export-request-';
+const MARKER_PATTERN = new RegExp(`^${MARKER_PREFIX}(\\d+)Auth$`);
+
+// Collection format v2.1 lists attributes as [{ key, value }], v2.0 as an object
+function getAttributes(auth) {
+    const attributes = auth[auth.type];
+    if (Array.isArray(attributes)) {
+        return Object.fromEntries(attributes.filter(entry => entry && entry.key).map(entry => [entry.key, entry.value]));
+    }
+    return attributes && typeof attributes === 'object' ? attributes : {};
+}
+
+function resolveAuth(auth, inherited) {
+    if (!auth || !auth.type || auth.type === 'inherit') return inherited;
+    return auth.type === 'noauth' ? null : auth;
+}
+
+function resolveText(value, context) {
+    return typeof value === 'string' && value.trim() ? replaceVariables(value.trim(), context) : undefined;
+}
+
+function buildOAuth2Scheme(attributes, context) {
+    const grantType = attributes.grant_type || 'authorization_code';
+    const definition = OAUTH2_FLOWS[grantType];
+    const urls = {
+        authorizationUrl: resolveText(attributes.authUrl, context),
+        tokenUrl: resolveText(attributes.accessTokenUrl, context),
+        refreshUrl: resolveText(attributes.refreshTokenUrl, context)
+    };
+    const scopes = String(attributes.scope || '').split(/[\s,]+/).filter(Boolean);
+
+    // Without the URLs of its grant type there is no flow to describe, only the access token
+    if (!definition || definition.urls.some(url => !urls[url])) {
+        debug(`OAuth 2.0 grant type ${grantType} has no URLs to describe, documenting it as a bearer token`);
+        return { scheme: { type: 'http', scheme: 'bearer', description: 'OAuth 2.0 access token' }, scopes: [] };
+    }
+
+    const flow = {};
+    definition.urls.forEach(url => {
+        flow[url] = urls[url];
+    });
+    if (urls.refreshUrl && definition.flow !== 'implicit') flow.refreshUrl = urls.refreshUrl;
+    flow.scopes = Object.fromEntries(scopes.map(scope => [scope, '']));
+    return { scheme: { type: 'oauth2', flows: { [definition.flow]: flow } }, scopes };
+}
+
+// The security scheme of one Postman auth and the OAuth scopes it asks for, or null when
+// the type has no OpenAPI equivalent
+function buildScheme(auth, context) {
+    const attributes = getAttributes(auth);
+    switch (auth.type) {
+    case 'apikey':
+        return {
+            scheme: {
+                type: 'apiKey',
+                in: attributes.in === 'query' ? 'query' : 'header',
+                name: resolveText(attributes.key, context) || 'X-API-Key'
+            },
+            scopes: []
+        };
+    case 'jwt':
+        if (/^query/i.test(attributes.addTokenTo || '')) {
+            return { scheme: { type: 'apiKey', in: 'query', name: resolveText(attributes.queryParamKey, context) || 'token' }, scopes: [] };
+        }
+        return { scheme: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }, scopes: [] };
+    case 'oauth2':
+        return buildOAuth2Scheme(attributes, context);
+    default:
+        if (HTTP_SCHEMES[auth.type]) {
+            return { scheme: { type: 'http', scheme: HTTP_SCHEMES[auth.type] }, scopes: [] };
+        }
+        debug(`Auth type ${auth.type} has no OpenAPI security scheme, leaving it out`);
+        return null;
+    }
+}
+
+// OAuth 2.0 schemes that only differ in scopes are the same scheme with all their scopes
+function getSchemeIdentity(scheme) {
+    if (scheme.type !== 'oauth2') return JSON.stringify(scheme);
+    const flows = Object.fromEntries(Object.entries(scheme.flows).map(([name, flow]) => [name, { ...flow, scopes: undefined }]));
+    return JSON.stringify({ ...scheme, flows });
+}
+
+// Add a scheme to components.securitySchemes, reusing an identical one, and return its name
+function registerScheme(schemes, auth, scheme) {
+    const identity = getSchemeIdentity(scheme);
+    let name = Object.keys(schemes).find(key => getSchemeIdentity(schemes[key]) === identity);
+    if (name) {
+        if (scheme.type === 'oauth2') {
+            for (const [flowName, flow] of Object.entries(scheme.flows)) {
+                Object.assign(schemes[name].flows[flowName].scopes, flow.scopes);
+            }
+        }
+        return name;
+    }
+
+    const base = SCHEME_NAMES[auth.type] || `${auth.type}Auth`;
+    name = base;
+    for (let i = 2; schemes[name]; i++) {
+        name = `${base}${i}`;
+    }
+    schemes[name] = scheme;
+    return name;
+}
+
+// The security requirement of an effective auth: [] when there is none
+function getRequirement(auth, schemes, context) {
+    const built = auth && buildScheme(auth, context);
+    if (!built) return [];
+    return [{ [registerScheme(schemes, auth, built.scheme)]: built.scopes }];
+}
+
+function markItems(items, inherited, requests) {
+    return (items || []).map(item => {
+        if (Array.isArray(item.item)) {
+            const { auth, ...folder } = item;
+            return { ...folder, item: markItems(item.item, resolveAuth(auth, inherited), requests) };
+        }
+        if (!item.request || typeof item.request !== 'object') return item;
+
+        requests.push(resolveAuth(item.request.auth, inherited));
+        return { ...item, request: { ...item.request, auth: { type: `${MARKER_PREFIX}${requests.length - 1}` } } };
+    });
+}
+
+// A copy of the collection for the converter, where every request's auth is replaced by a
+// marker, with the effective auth of every request
+function markRequestAuth(collection) {
+    const { auth, ...rest } = collection;
+    const collectionAuth = resolveAuth(auth, null);
+    const requests = [];
+    return {
+        collection: { ...rest, item: markItems(collection.item, collectionAuth, requests) },
+        collectionAuth,
+        requests
+    };
+}
+
+// Replace the converter's marker requirements with the real ones. The collection's auth
+// becomes the top-level security, and operations only set their own when it differs.
+function applySecurity(openApiData, marked, context = {}) {
+    const schemes = {};
+    const global = getRequirement(marked.collectionAuth, schemes, context);
+    const globalKey = JSON.stringify(global);
+
+    for (const pathItem of Object.values(openApiData.paths || {})) {
+        for (const operation of Object.values(pathItem || {})) {
+            if (!operation || !Array.isArray(operation.security)) continue;
+            const marker = operation.security.map(requirement => Object.keys(requirement)[0]).find(key => MARKER_PATTERN.test(key));
+            if (!marker) continue;
+
+            const requirement = getRequirement(marked.requests[Number(marker.match(MARKER_PATTERN)[1])], schemes, context);
+            if (JSON.stringify(requirement) === globalKey) {
+                delete operation.security;
+            } else {
+                operation.security = requirement;
+            }
+        }
+    }
+
+    const components = openApiData.components || {};
+    const existing = Object.fromEntries(Object.entries(components.securitySchemes || {}).filter(([name]) => !MARKER_PATTERN.test(name)));
+    const securitySchemes = { ...existing, ...schemes };
+    if (Object.keys(securitySchemes).length > 0) {
+        openApiData.components = { ...components, securitySchemes };
+    } else if (openApiData.components) {
+        delete components.securitySchemes;
+        if (Object.keys(components).length === 0) delete openApiData.components;
+    }
+
+    if (global.length > 0) {
+        openApiData.security = global;
+    } else {
+        delete openApiData.security;
+    }
+    return openApiData;
+}
+
+module.exports = {
+    markRequestAuth,
+    applySecurity
+};
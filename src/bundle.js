@@ -0,0 +1,145 @@
+// Bundle a spec split over several files, e.g. by --split, back into one document.
+// Components defined as a $ref to another file, like the schemas of a split tree, are
+// internalized: their content moves into the document and every $ref to them becomes an
+// internal #/components/... one. Any other $ref to another file is replaced by what it
+// points to. With `dereference`, internal $refs are replaced by their targets too.
+const fs = require('fs');
+const path = require('path');
+const debug = require('./debug');
+const { parseSpec } = require('./output');
+const { canonicalizeSpec } = require('./canonical');
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function parsePointer(fragment) {
+    const pointer = decodeURIComponent(fragment || '');
+    if (pointer === '' || pointer === '/') return pointer === '/' ? [''] : [];
+    if (!pointer.startsWith('/')) {
+        throw new Error(`Invalid JSON pointer: #${fragment}`);
+    }
+    return pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function getByPointer(document, tokens, ref) {
+    return tokens.reduce((value, token) => {
+        if (value === null || typeof value !== 'object' || !(token in value)) {
+            throw new Error(`$ref target not found: ${ref}`);
+        }
+        return value[token];
+    }, document);
+}
+
+function createLoader(onLoad) {
+    const documents = new Map();
+    return file => {
+        if (!documents.has(file)) {
+            let content;
+            try {
+                content = fs.readFileSync(file, 'utf8');
+            } catch (error) {
+                throw new Error(`Could not read ${file}: ${error.message}`);
+            }
+            try {
+                documents.set(file, parseSpec(content));
+            } catch (error) {
+                throw new Error(`Could not parse ${file}: ${error.message}`);
+            }
+            debug(`Loaded ${file}`);
+            onLoad(file);
+        }
+        return documents.get(file);
+    };
+}
+
+// Where a $ref in `file` points: the absolute file and the fragment
+function resolveRef(ref, file) {
+    const index = ref.indexOf('#');
+    const target = index === -1 ? ref : ref.slice(0, index);
+    const fragment = index === -1 ? '' : ref.slice(index + 1);
+    if (/^[a-z][a-z0-9+.-]*:/i.test(target)) {
+        throw new Error(`Remote $ref is not supported: ${ref} (in ${file})`);
+    }
+    const targetFile = target ? path.resolve(path.dirname(file), decodeURIComponent(target)) : file;
+    return { targetFile, fragment, key: `${targetFile}#${parsePointer(fragment).join('/')}` };
+}
+
+function internalize(node, file, state, stack) {
+    if (Array.isArray(node)) return node.map(item => internalize(item, file, state, stack));
+    if (!isObject(node)) return node;
+
+    if (typeof node.$ref !== 'string') {
+        return Object.fromEntries(Object.entries(node).map(([key, value]) => [key, internalize(value, file, state, stack)]));
+    }
+
+    const { targetFile, fragment, key } = resolveRef(node.$ref, file);
+    // The document being bundled and its components are referenced internally
+    if (targetFile === state.rootFile) return { ...node, $ref: `#${fragment}` };
+    if (state.components.has(key)) return { ...node, $ref: state.components.get(key) };
+
+    if (stack.includes(key)) {
+        throw new Error(`Circular $ref cannot be inlined: ${node.$ref} (in ${file}); define its target under components`);
+    }
+    const target = getByPointer(state.load(targetFile), parsePointer(fragment), node.$ref);
+    return internalize(target, targetFile, state, [...stack, key]);
+}
+
+// Replace internal $refs by copies of their targets
+function dereferenceSpec(spec) {
+    const resolve = (node, stack) => {
+        if (Array.isArray(node)) return node.map(item => resolve(item, stack));
+        if (!isObject(node)) return node;
+        if (typeof node.$ref !== 'string' || !node.$ref.startsWith('#')) {
+            return Object.fromEntries(Object.entries(node).map(([key, value]) => [key, resolve(value, stack)]));
+        }
+        if (stack.includes(node.$ref)) {
+            throw new Error(`Circular $ref cannot be dereferenced: ${node.$ref}`);
+        }
+        const target = getByPointer(spec, parsePointer(node.$ref.slice(1)), node.$ref);
+        return resolve(target, [...stack, node.$ref]);
+    };
+    return resolve(spec, []);
+}
+
+// `onLoad` is called with every file read, e.g. to watch them
+function bundleFile(rootFile, options = {}) {
+    const { dereference = false, onLoad = () => {} } = options;
+    const state = {
+        rootFile: path.resolve(rootFile),
+        load: createLoader(onLoad),
+        components: new Map()
+    };
+    const root = state.load(state.rootFile);
+    if (!isObject(root)) {
+        throw new Error(`Not an OpenAPI document: ${rootFile}`);
+    }
+
+    // Components that live in other files are moved into the document
+    const external = [];
+    for (const [type, entries] of Object.entries(isObject(root.components) ? root.components : {})) {
+        for (const [name, value] of Object.entries(isObject(entries) ? entries : {})) {
+            if (!isObject(value) || typeof value.$ref !== 'string' || value.$ref.startsWith('#')) continue;
+            const { key } = resolveRef(value.$ref, state.rootFile);
+            if (!state.components.has(key)) {
+                state.components.set(key, `#/components/${type}/${name.replace(/~/g, '~0').replace(/\//g, '~1')}`);
+                external.push({ type, name, key, ref: value.$ref });
+            }
+        }
+    }
+
+    const bundled = internalize(root, state.rootFile, state, []);
+    for (const { type, name, key, ref } of external) {
+        const { targetFile, fragment } = resolveRef(ref, state.rootFile);
+        const target = getByPointer(state.load(targetFile), parsePointer(fragment), ref);
+        bundled.components[type][name] = internalize(target, targetFile, state, [key]);
+    }
+    debug(`Bundled ${rootFile} (${external.length} external components)`);
+
+    return canonicalizeSpec(dereference ? dereferenceSpec(bundled) : bundled);
+}
+
+module.exports = {
+    bundleFile,
+    dereferenceSpec
+};
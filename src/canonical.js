@@ -0,0 +1,175 @@
+// A stable order for everything in a spec that has no meaningful order of its own: paths,
+// methods, status codes, media types, components and the keys of the objects in between.
+// Exporting the same collection twice then gives byte-identical files, and diffs of the
+// output only show real changes. Schema properties, parameters, tags and examples keep
+// their order, which is part of how the API reads.
+
+const TOP_LEVEL_KEYS = ['openapi', 'info', 'externalDocs', 'servers', 'security', 'tags', 'x-tagGroups', 'paths', 'components'];
+const INFO_KEYS = ['title', 'version', 'description', 'termsOfService', 'contact', 'license'];
+const PATH_ITEM_KEYS = ['$ref', 'summary', 'description', 'servers', 'parameters', 'get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+const OPERATION_KEYS = ['tags', 'summary', 'description', 'operationId', 'deprecated', 'security', 'servers', 'parameters', 'requestBody', 'responses', 'callbacks', 'externalDocs'];
+const PARAMETER_KEYS = ['$ref', 'name', 'in', 'description', 'required', 'deprecated', 'allowEmptyValue', 'style', 'explode', 'schema', 'content', 'example', 'examples'];
+const REQUEST_BODY_KEYS = ['$ref', 'description', 'required', 'content'];
+const RESPONSE_KEYS = ['$ref', 'description', 'headers', 'content', 'links'];
+const MEDIA_TYPE_KEYS = ['schema', 'example', 'examples', 'encoding'];
+const SECURITY_SCHEME_KEYS = ['type', 'description', 'name', 'in', 'scheme', 'bearerFormat', 'flows', 'openIdConnectUrl'];
+const OAUTH_FLOW_KEYS = ['implicit', 'password', 'clientCredentials', 'authorizationCode'];
+const OAUTH_URL_KEYS = ['authorizationUrl', 'tokenUrl', 'refreshUrl', 'scopes'];
+const COMPONENT_KEYS = ['schemas', 'responses', 'parameters', 'examples', 'requestBodies', 'headers', 'securitySchemes', 'links', 'callbacks'];
+const SCHEMA_KEYS = [
+    '$ref', 'title', 'description', 'type', 'format', 'nullable', 'enum', 'default',
+    'allOf', 'oneOf', 'anyOf', 'not', 'items', 'properties', 'additionalProperties', 'required',
+    'minimum', 'exclusiveMinimum', 'maximum', 'exclusiveMaximum', 'multipleOf',
+    'minLength', 'maxLength', 'pattern', 'minItems', 'maxItems', 'uniqueItems', 'minProperties', 'maxProperties',
+    'readOnly', 'writeOnly', 'deprecated', 'example'
+];
+
+// Code point order, so the result never depends on the locale
+function compareText(a, b) {
+    if (a === b) return 0;
+    return a < b ? -1 : 1;
+}
+
+// Numeric status codes first, then ranges such as 2XX, then default
+function compareStatus(a, b) {
+    const rank = status => (/^\d+$/.test(status) ? 0 : status === 'default' ? 2 : 1);
+    return rank(a) - rank(b) || compareText(a, b);
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Known keys in the given order, the others after them sorted by name
+function orderKeys(object, order, transform = (key, value) => value) {
+    const keys = Object.keys(object);
+    const known = order.filter(key => keys.includes(key));
+    const rest = keys.filter(key => !order.includes(key)).sort(compareText);
+    return Object.fromEntries([...known, ...rest].map(key => [key, transform(key, object[key])]));
+}
+
+// Every entry sorted by name, its value canonicalized by `canonicalize`
+function sortEntries(object, canonicalize = value => value, compare = compareText) {
+    if (!isObject(object)) return object;
+    return Object.fromEntries(Object.keys(object).sort(compare).map(key => [key, canonicalize(object[key])]));
+}
+
+function mapObject(object, canonicalize) {
+    if (!isObject(object)) return object;
+    return Object.fromEntries(Object.entries(object).map(([key, value]) => [key, canonicalize(value)]));
+}
+
+function canonicalizeSchema(schema) {
+    if (Array.isArray(schema)) return schema.map(canonicalizeSchema);
+    if (!isObject(schema)) return schema;
+    return orderKeys(schema, SCHEMA_KEYS, (key, value) => {
+        switch (key) {
+        case 'properties':
+            return mapObject(value, canonicalizeSchema);
+        case 'items':
+        case 'not':
+        case 'additionalProperties':
+        case 'allOf':
+        case 'oneOf':
+        case 'anyOf':
+            return canonicalizeSchema(value);
+        default:
+            return value;
+        }
+    });
+}
+
+function canonicalizeContent(content) {
+    return sortEntries(content, media => (isObject(media)
+        ? orderKeys(media, MEDIA_TYPE_KEYS, (key, value) => (key === 'schema' ? canonicalizeSchema(value) : value))
+        : media));
+}
+
+function canonicalizeParameter(parameter) {
+    if (!isObject(parameter)) return parameter;
+    return orderKeys(parameter, PARAMETER_KEYS, (key, value) => {
+        if (key === 'schema') return canonicalizeSchema(value);
+        if (key === 'content') return canonicalizeContent(value);
+        return value;
+    });
+}
+
+function canonicalizeResponse(response) {
+    if (!isObject(response)) return response;
+    return orderKeys(response, RESPONSE_KEYS, (key, value) => {
+        if (key === 'content') return canonicalizeContent(value);
+        if (key === 'headers') return sortEntries(value, canonicalizeParameter);
+        return value;
+    });
+}
+
+function canonicalizeRequestBody(requestBody) {
+    if (!isObject(requestBody)) return requestBody;
+    return orderKeys(requestBody, REQUEST_BODY_KEYS, (key, value) => (key === 'content' ? canonicalizeContent(value) : value));
+}
+
+function canonicalizeOperation(operation) {
+    if (!isObject(operation)) return operation;
+    return orderKeys(operation, OPERATION_KEYS, (key, value) => {
+        switch (key) {
+        case 'parameters':
+            return Array.isArray(value) ? value.map(canonicalizeParameter) : value;
+        case 'requestBody':
+            return canonicalizeRequestBody(value);
+        case 'responses':
+            return sortEntries(value, canonicalizeResponse, compareStatus);
+        default:
+            return value;
+        }
+    });
+}
+
+function canonicalizePathItem(pathItem) {
+    if (!isObject(pathItem)) return pathItem;
+    return orderKeys(pathItem, PATH_ITEM_KEYS, (key, value) => {
+        if (key === 'parameters') return Array.isArray(value) ? value.map(canonicalizeParameter) : value;
+        return PATH_ITEM_KEYS.indexOf(key) > PATH_ITEM_KEYS.indexOf('parameters') ? canonicalizeOperation(value) : value;
+    });
+}
+
+function canonicalizeSecurityScheme(scheme) {
+    if (!isObject(scheme)) return scheme;
+    return orderKeys(scheme, SECURITY_SCHEME_KEYS, (key, value) => (key === 'flows' && isObject(value)
+        ? orderKeys(value, OAUTH_FLOW_KEYS, (flowName, flow) => (isObject(flow) ? orderKeys(flow, OAUTH_URL_KEYS) : flow))
+        : value));
+}
+
+const COMPONENT_CANONICALIZERS = {
+    schemas: canonicalizeSchema,
+    responses: canonicalizeResponse,
+    parameters: canonicalizeParameter,
+    requestBodies: canonicalizeRequestBody,
+    headers: canonicalizeParameter,
+    securitySchemes: canonicalizeSecurityScheme
+};
+
+function canonicalizeComponents(components) {
+    if (!isObject(components)) return components;
+    return orderKeys(components, COMPONENT_KEYS, (key, value) => sortEntries(value, COMPONENT_CANONICALIZERS[key]));
+}
+
+// A copy of the spec in canonical order; the spec itself is left alone
+function canonicalizeSpec(spec) {
+    if (!isObject(spec)) return spec;
+    return orderKeys(spec, TOP_LEVEL_KEYS, (key, value) => {
+        switch (key) {
+        case 'info':
+            return isObject(value) ? orderKeys(value, INFO_KEYS) : value;
+        case 'paths':
+            return sortEntries(value, canonicalizePathItem);
+        case 'components':
+            return canonicalizeComponents(value);
+        default:
+            return value;
+        }
+    });
+}
+
+module.exports = {
+    canonicalizeSpec
+};
@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+const fg = require('fast-glob');
+const debug = require('./debug');
+
+const SUPPORTED_SCHEMAS = ['v2.0.0', 'v2.1.0'];
+
+function isCollection(data) {
+    const collection = data && (data.collection || data);
+    return Boolean(
+        collection &&
+        collection.info &&
+        typeof collection.info.name === 'string' &&
+        Array.isArray(collection.item)
+    );
+}
+
+function getSchemaVersion(collection) {
+    const schema = collection.info.schema || '';
+    return SUPPORTED_SCHEMAS.find(version => schema.includes(`/${version}/`));
+}
+
+function loadCollectionFile(file) {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Failed to read collection file ${file}: ${error.message}`);
+    }
+
+    if (!isCollection(data)) {
+        throw new Error(`Not a Postman collection: ${file}`);
+    }
+
+    // Collections exported from the API are wrapped in { collection }, app exports are not
+    const collection = data.collection || data;
+    if (!getSchemaVersion(collection)) {
+        throw new Error(`Unsupported collection schema in ${file}: ${collection.info.schema || 'unknown'} (expected v2.0 or v2.1)`);
+    }
+
+    return { collection };
+}
+
+function loadEnvironmentFile(file) {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Failed to read environment file ${file}: ${error.message}`);
+    }
+
+    // Environments exported from the API are wrapped in { environment }, app exports are not
+    const environment = data.environment || data;
+    if (!Array.isArray(environment.values)) {
+        throw new Error(`Not a Postman environment: ${file}`);
+    }
+
+    return environment;
+}
+
+function resolveCollectionFiles(sources) {
+    const patterns = Array.isArray(sources) ? sources : [sources];
+    const files = new Set();
+
+    for (const source of patterns.filter(Boolean)) {
+        if (fs.existsSync(source) && fs.statSync(source).isDirectory()) {
+            fg.sync('**/*.json', {
+                cwd: source,
+                absolute: true,
+                ignore: ['**/node_modules/**']
+            }).sort().forEach(file => files.add(file));
+        } else if (fs.existsSync(source)) {
+            files.add(path.resolve(source));
+        } else {
+            const matches = fg.sync(source.replace(/\\/g, '/'), { absolute: true, ignore: ['**/node_modules/**'] });
+            if (matches.length === 0) {
+                throw new Error(`No files match: ${source}`);
+            }
+            matches.sort().forEach(file => files.add(file));
+        }
+    }
+
+    return Array.from(files);
+}
+
+function readLocalCollections(sources) {
+    const patterns = Array.isArray(sources) ? sources : [sources];
+    const explicitFiles = new Set(
+        patterns
+            .filter(source => fs.existsSync(source) && fs.statSync(source).isFile())
+            .map(source => path.resolve(source))
+    );
+
+    const collections = [];
+    for (const file of resolveCollectionFiles(patterns)) {
+        try {
+            const collectionData = loadCollectionFile(file);
+            const { info } = collectionData.collection;
+            collections.push({
+                uid: info._postman_id || path.basename(file, '.json'),
+                id: info._postman_id,
+                name: info.name,
+                file,
+                collectionData
+            });
+        } catch (error) {
+            // Files named directly must be collections, anything picked up by a glob or directory may not be
+            if (explicitFiles.has(file)) {
+                throw error;
+            }
+            debug(`Skipping ${file}: ${error.message}`);
+        }
+    }
+
+    debug(`Found ${collections.length} local collections:`,
+        collections.map(c => ({ id: c.uid, name: c.name, file: c.file }))
+    );
+
+    return collections;
+}
+
+module.exports = {
+    isCollection,
+    loadCollectionFile,
+    loadEnvironmentFile,
+    resolveCollectionFiles,
+    readLocalCollections
+};
@@ -0,0 +1,178 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const debug = require('./debug');
+const { resolvePluginEntry } = require('./plugins');
+
+const CONFIG_FILES = [
+    'postman-export.config.json',
+    'postman-export.config.yaml',
+    'postman-export.config.yml',
+    'postman-export.config.js'
+];
+
+// postman-to-openapi options that can be set per profile or per collection
+const CONVERTER_OPTIONS = ['info', 'servers', 'auth', 'pathDepth', 'externalDocs', 'folders', 'responseHeaders'];
+
+// Options a profile can set, named like the CLI options they default
+const PROFILE_OPTIONS = [
+    'workspace',
+    'allWorkspaces',
+    'includeWorkspaces',
+    'excludeWorkspaces',
+    'workspaceTypes',
+    'output',
+    'ids',
+    'names',
+    'includeCollections',
+    'excludeCollections',
+    'includeItems',
+    'excludeItems',
+    'format',
+    'filenameTemplate',
+    'onFilenameCollision',
+    'environment',
+    'fromFile',
+    'apiDefinitions',
+    'apis',
+    'apiVersions',
+    'schemas',
+    'collectionFallback',
+    'resolveVariables',
+    'inferSchemas',
+    'tagStrategy',
+    'operationIds',
+    'operationIdStyle',
+    'merge',
+    'split',
+    'concurrency',
+    'interval',
+    'exec',
+    'strict',
+    'lintRules',
+    'redaction',
+    'failOnSecrets',
+    'continueOnError',
+    'maxFailures',
+    'apiBaseUrl',
+    'headers',
+    'caCerts',
+    'plugins',
+    'plain',
+    'converter',
+    'collections'
+];
+
+// Options holding paths, resolved against the config file's directory
+const PATH_OPTIONS = ['output', 'fromFile', 'caCerts'];
+
+function findConfigFile(cwd = process.cwd()) {
+    for (const name of CONFIG_FILES) {
+        const file = path.join(cwd, name);
+        if (fs.existsSync(file)) return file;
+    }
+    return null;
+}
+
+function loadConfigFile(file) {
+    const absolute = path.resolve(file);
+    let config;
+    try {
+        if (absolute.endsWith('.js')) {
+            config = require(absolute);
+        } else {
+            const content = fs.readFileSync(absolute, 'utf8');
+            config = absolute.endsWith('.json') ? JSON.parse(content) : yaml.load(content);
+        }
+    } catch (error) {
+        throw new Error(`Failed to read config file ${file}: ${error.message}`);
+    }
+
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error(`Invalid config file ${file}: expected an object`);
+    }
+
+    const { profiles = {}, defaultProfile, ...base } = config;
+    validateOptions(base, file);
+    for (const [name, profile] of Object.entries(profiles)) {
+        validateOptions(profile, `${file} (profile ${name})`);
+    }
+
+    debug(`Loaded config from ${absolute}`);
+    return { file: absolute, base, profiles, defaultProfile };
+}
+
+function validateOptions(options, source) {
+    const unknown = Object.keys(options || {}).filter(key => !PROFILE_OPTIONS.includes(key));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown option(s) in ${source}: ${unknown.join(', ')}`);
+    }
+    validateConverterOptions(options.converter, source);
+    for (const [collection, overrides] of Object.entries(options.collections || {})) {
+        validateConverterOptions(overrides, `${source} (collection ${collection})`);
+    }
+}
+
+function validateConverterOptions(options, source = 'converter options') {
+    const unknown = Object.keys(options || {}).filter(key => !CONVERTER_OPTIONS.includes(key));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown converter option(s) in ${source}: ${unknown.join(', ')} (expected: ${CONVERTER_OPTIONS.join(', ')})`);
+    }
+}
+
+// Options of a profile on top of the config's top-level options. Without a name the
+// config's defaultProfile is used, or only the top-level options if it has none.
+function resolveProfile(config, name) {
+    const profileName = name || config.defaultProfile;
+    let profile = {};
+    if (profileName) {
+        if (!config.profiles[profileName]) {
+            const available = Object.keys(config.profiles);
+            throw new Error(`Profile not found: ${profileName} (available: ${available.length > 0 ? available.join(', ') : 'none'})`);
+        }
+        profile = config.profiles[profileName];
+    }
+
+    const options = {
+        ...config.base,
+        ...profile,
+        converter: { ...config.base.converter, ...profile.converter },
+        collections: { ...config.base.collections, ...profile.collections }
+    };
+
+    const baseDir = path.dirname(config.file);
+    for (const key of PATH_OPTIONS) {
+        if (options[key] === undefined) continue;
+        options[key] = Array.isArray(options[key])
+            ? options[key].map(value => path.resolve(baseDir, value))
+            : path.resolve(baseDir, options[key]);
+    }
+    if (options.plugins !== undefined) {
+        options.plugins = [].concat(options.plugins).map(entry => resolvePluginEntry(entry, baseDir));
+    }
+    // With local files the environment is a file path too
+    if (options.fromFile && typeof options.environment === 'string') {
+        options.environment = path.resolve(baseDir, options.environment);
+    }
+
+    return options;
+}
+
+// Converter options for one collection: the profile's, overridden by the ones set
+// for the collection's uid, id or exact name
+function getCollectionConverterOptions(converter = {}, collections = {}, collection) {
+    const keys = [collection.uid, collection.id, collection.name].filter(Boolean);
+    const overrides = keys.map(key => collections[key]).filter(Boolean);
+    return Object.assign({}, converter, ...overrides);
+}
+
+module.exports = {
+    CONFIG_FILES,
+    CONVERTER_OPTIONS,
+    PROFILE_OPTIONS,
+    findConfigFile,
+    loadConfigFile,
+    validateConverterOptions,
+    resolveProfile,
+    getCollectionConverterOptions
+};
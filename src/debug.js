@@ -0,0 +1,11 @@
+const chalk = require('chalk');
+
+function debug(...args) {
+    if (process.env.DEBUG !== 'true' && process.env.DEBUG !== '1') return;
+    console.log(chalk.blue('🔍 [DEBUG]'), ...args);
+    if (args[1] && typeof args[1] === 'object') {
+        console.log(JSON.stringify(args[1], null, 2));
+    }
+}
+
+module.exports = debug;
@@ -0,0 +1,306 @@
+// Postman's APIs feature: download the authored definitions (OpenAPI, AsyncAPI, GraphQL,
+// ...) of a workspace's APIs as they are, instead of converting collections
+const fs = require('fs');
+const path = require('path');
+const debug = require('./debug');
+const { makeApiRequest, getRequestOptions } = require('./http');
+const { withContext } = require('./errors');
+const { toSlug } = require('./output');
+const { exportCollectionsById } = require('./exporter');
+
+// The APIs endpoints only return the current data model with this Accept header
+const API_HEADERS = { Accept: 'application/vnd.api.v10+json' };
+
+// Selects an API's current state rather than one of its published versions
+const CURRENT_VERSION = 'current';
+
+function withQuery(url, query) {
+    const params = Object.entries(query).filter(([, value]) => value !== undefined && value !== null);
+    if (params.length === 0) return url;
+    return `${url}?${params.map(([key, value]) => `${key}=${encodeURIComponent(value)}`).join('&')}`;
+}
+
+function apiRequest(url, apiKey, requestOptions) {
+    return makeApiRequest(url, apiKey, { ...requestOptions, headers: { ...requestOptions.headers, ...API_HEADERS } });
+}
+
+// Follow meta.nextCursor until every page is read
+async function getAllPages(url, query, key, apiKey, requestOptions) {
+    const entries = [];
+    let cursor;
+    do {
+        const data = await apiRequest(withQuery(url, { ...query, cursor }), apiKey, requestOptions);
+        entries.push(...(data[key] || []));
+        cursor = data.meta && data.meta.nextCursor;
+    } while (cursor);
+    return entries;
+}
+
+async function getWorkspaceApis(workspaceId, apiKey, requestOptions = {}) {
+    try {
+        debug(`Fetching APIs of workspace: ${workspaceId}`);
+        return await getAllPages('/apis', { workspaceId }, 'apis', apiKey, requestOptions);
+    } catch (error) {
+        throw withContext(error, 'Failed to fetch APIs');
+    }
+}
+
+async function getApiVersions(apiId, apiKey, requestOptions = {}) {
+    try {
+        return await getAllPages(`/apis/${apiId}/versions`, {}, 'versions', apiKey, requestOptions);
+    } catch (error) {
+        throw withContext(error, `Failed to fetch versions of API ${apiId}`);
+    }
+}
+
+// Schemas and collections of an API's current state, or of one of its versions
+async function getApiDetails(apiId, versionId, apiKey, requestOptions = {}) {
+    try {
+        if (versionId) {
+            const data = await apiRequest(`/apis/${apiId}/versions/${versionId}`, apiKey, requestOptions);
+            return data.version || data;
+        }
+        return await apiRequest(withQuery(`/apis/${apiId}`, { include: 'schemas,collections' }), apiKey, requestOptions);
+    } catch (error) {
+        throw withContext(error, `Failed to fetch API ${apiId}`);
+    }
+}
+
+async function getSchemaFiles(apiId, schemaId, versionId, apiKey, requestOptions = {}) {
+    const url = `/apis/${apiId}/schemas/${schemaId}/files`;
+    try {
+        const data = await apiRequest(withQuery(url, { versionId }), apiKey, requestOptions);
+        const files = data.files || data.data || [];
+        // Large schemas are paginated, the first page tells whether there are more
+        if (data.meta && data.meta.nextCursor) {
+            const rest = await getAllPages(url, { versionId, cursor: data.meta.nextCursor }, data.files ? 'files' : 'data', apiKey, requestOptions);
+            files.push(...rest);
+        }
+        return files;
+    } catch (error) {
+        throw withContext(error, `Failed to fetch files of schema ${schemaId}`);
+    }
+}
+
+async function getSchemaFileContent(apiId, schemaId, filePath, versionId, apiKey, requestOptions = {}) {
+    const encodedPath = filePath.split('/').map(encodeURIComponent).join('/');
+    try {
+        const data = await apiRequest(
+            withQuery(`/apis/${apiId}/schemas/${schemaId}/files/${encodedPath}`, { versionId }),
+            apiKey,
+            requestOptions
+        );
+        return data.content || '';
+    } catch (error) {
+        throw withContext(error, `Failed to fetch schema file ${filePath}`);
+    }
+}
+
+// APIs match by ID or by a part of their name, like collections
+function matchesApi(api, filters) {
+    return filters.some(filter => filter === api.id || api.name.toLowerCase().includes(filter.toLowerCase()));
+}
+
+// Versions match by ID or exact name, so v1 does not also select v1.1
+function matchesVersion(version, filters) {
+    return filters.some(filter => filter === version.id || filter.toLowerCase() === String(version.name).toLowerCase());
+}
+
+// The API versions to pull, each { api, version, schemaIds }. version is null for the
+// API's current state. A selection from the interactive prompts is used as it is.
+async function resolveTargets(apis, options, apiKey, requestOptions) {
+    const { selection, apis: apiFilters = [], versions = [], schemas = [] } = options;
+
+    if (selection) {
+        return selection.map(entry => {
+            const api = apis.find(candidate => candidate.id === entry.apiId);
+            if (!api) throw new Error(`API not found in workspace: ${entry.apiId}`);
+            return { api, version: entry.version || null, schemaIds: entry.schemaIds || [] };
+        });
+    }
+
+    const selected = apiFilters.length > 0 ? apis.filter(api => matchesApi(api, apiFilters)) : apis;
+    const versionFilters = versions.length > 0 ? versions : [CURRENT_VERSION];
+    const targets = [];
+    for (const api of selected) {
+        if (versionFilters.some(filter => filter.toLowerCase() === CURRENT_VERSION)) {
+            targets.push({ api, version: null, schemaIds: schemas });
+        }
+        const named = versionFilters.filter(filter => filter.toLowerCase() !== CURRENT_VERSION);
+        if (named.length === 0) continue;
+
+        const apiVersions = await getApiVersions(api.id, apiKey, requestOptions);
+        apiVersions
+            .filter(version => matchesVersion(version, named))
+            .forEach(version => targets.push({ api, version, schemaIds: schemas }));
+    }
+    return targets;
+}
+
+function getTargetName(target) {
+    return target.version ? `${target.api.name} (${target.version.name})` : target.api.name;
+}
+
+// <output>/<api-slug>/ for the current state, <output>/<api-slug>/<version-slug>/ for versions
+function getTargetDir(outputDir, target) {
+    const apiDir = path.join(outputDir, toSlug(target.api.name) || target.api.id);
+    return target.version ? path.join(apiDir, toSlug(target.version.name) || target.version.id) : apiDir;
+}
+
+// Files keep the paths they have in Postman, but never end up outside the target directory
+function resolveSchemaFile(dir, filePath) {
+    const file = path.resolve(dir, filePath.replace(/^\/+/, ''));
+    if (!file.startsWith(path.resolve(dir) + path.sep)) {
+        throw new Error(`Schema file path is outside the output directory: ${filePath}`);
+    }
+    return file;
+}
+
+async function downloadSchema(target, schema, dir, context) {
+    const { apiKey, requestOptions, write } = context;
+    const versionId = target.version ? target.version.id : undefined;
+    const files = await getSchemaFiles(target.api.id, schema.id, versionId, apiKey, requestOptions);
+    if (files.length === 0) {
+        throw new Error(`Schema ${schema.id} has no files`);
+    }
+
+    const result = { name: getTargetName(target), success: true, api: target.api.id, version: versionId || null, schema: { id: schema.id, type: schema.type }, files: [] };
+    if (!write) result.contents = {};
+
+    for (const file of files) {
+        const filePath = file.path || file.name;
+        const content = await getSchemaFileContent(target.api.id, schema.id, filePath, versionId, apiKey, requestOptions);
+        if (!write) {
+            result.contents[filePath] = content;
+            continue;
+        }
+        const outputFile = resolveSchemaFile(dir, filePath);
+        fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+        fs.writeFileSync(outputFile, content);
+        result.files.push(outputFile);
+        debug(`✓ Saved ${filePath} to ${outputFile}`);
+    }
+    return result;
+}
+
+async function exportTarget(target, context) {
+    const { workspaceId, outputDir, apiKey, requestOptions, collectionFallback, collectionOptions } = context;
+    const versionId = target.version ? target.version.id : undefined;
+    const details = await getApiDetails(target.api.id, versionId, apiKey, requestOptions);
+    const dir = outputDir ? getTargetDir(outputDir, target) : null;
+
+    const schemas = (details.schemas || []).filter(schema =>
+        target.schemaIds.length === 0 || target.schemaIds.includes(schema.id)
+    );
+
+    if (schemas.length > 0) {
+        const results = [];
+        for (const schema of schemas) {
+            // APIs with several schemas get one directory per schema
+            const schemaDir = dir && schemas.length > 1 ? path.join(dir, schema.id) : dir;
+            results.push(await downloadSchema(target, schema, schemaDir, context));
+        }
+        return results;
+    }
+
+    const collectionIds = (details.collections || []).map(collection => collection.id);
+    if (!collectionFallback || collectionIds.length === 0) {
+        throw new Error(`${getTargetName(target)} has no schema${collectionIds.length > 0 ? ' (collection fallback is disabled)' : ' and no collections'}`);
+    }
+
+    debug(`${getTargetName(target)} has no schema, converting its ${collectionIds.length} collection(s)`);
+    const results = await exportCollectionsById(workspaceId, collectionIds, dir, {
+        ...collectionOptions,
+        apiKey,
+        ...requestOptions,
+        throwOnFailure: false
+    });
+    return results.map(result => ({ ...result, api: target.api.id, version: versionId || null, fallback: true }));
+}
+
+// Pull the definitions of a workspace's APIs into <output>/<api-slug>/[<version-slug>/].
+// APIs without a schema have their collections converted instead, unless
+// collectionFallback is false.
+async function exportApiDefinitions(workspaceId, outputDir, options = {}) {
+    const {
+        apiKey,
+        onProgress = () => {},
+        write = true,
+        throwOnFailure = true,
+        collectionFallback = true,
+        maxFailures,
+        selection,
+        apis: apiFilters,
+        versions,
+        schemas,
+        ...collectionOptions
+    } = options;
+
+    if (!workspaceId || !apiKey) {
+        throw new Error('Workspace ID and API key are required');
+    }
+
+    const requestOptions = getRequestOptions(options);
+    const apis = await getWorkspaceApis(workspaceId, apiKey, requestOptions);
+    if (apis.length === 0) {
+        throw new Error('No APIs found in the workspace');
+    }
+
+    const targets = await resolveTargets(apis, { selection, apis: apiFilters, versions, schemas }, apiKey, requestOptions);
+    if (targets.length === 0) {
+        throw new Error('No APIs or versions match the specified filters');
+    }
+
+    const context = {
+        workspaceId,
+        outputDir: write ? outputDir : null,
+        apiKey,
+        requestOptions,
+        write,
+        collectionFallback,
+        collectionOptions: { ...collectionOptions, write }
+    };
+    const results = [];
+    let completed = 0;
+    let failures = 0;
+    for (const target of targets) {
+        if (maxFailures && failures >= maxFailures) {
+            results.push({ name: getTargetName(target), success: false, aborted: true, api: target.api.id, error: `Not exported: stopped after ${failures} failure(s)` });
+            completed++;
+            continue;
+        }
+
+        onProgress({ status: 'started', collection: { name: getTargetName(target) }, completed, total: targets.length });
+        const startedAt = Date.now();
+        let targetResults;
+        try {
+            targetResults = await exportTarget(target, context);
+        } catch (error) {
+            debug(`Failed to export ${getTargetName(target)}: ${error.message}`);
+            targetResults = [{ name: getTargetName(target), success: false, api: target.api.id, error: error.message, errorType: error.name }];
+        }
+        failures += targetResults.filter(result => !result.success).length;
+        const duration = Date.now() - startedAt;
+        targetResults.forEach(result => {
+            if (result.duration === undefined) result.duration = duration;
+        });
+        results.push(...targetResults);
+        completed++;
+        onProgress({ status: 'finished', collection: { name: getTargetName(target) }, completed, total: targets.length, result: targetResults[0] });
+    }
+
+    if (throwOnFailure && results.some(result => !result.success)) {
+        const error = new Error('Some API definitions failed to export');
+        error.results = results;
+        throw error;
+    }
+    return results;
+}
+
+module.exports = {
+    CURRENT_VERSION,
+    getWorkspaceApis,
+    getApiVersions,
+    getApiDetails,
+    exportApiDefinitions
+};
@@ -0,0 +1,247 @@
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+const MAX_SCHEMA_DEPTH = 10;
+
+function resolveRef(spec, node, seen = new Set()) {
+    if (!node || typeof node.$ref !== 'string' || !node.$ref.startsWith('#/')) return node;
+    // Cyclic refs resolve to an empty schema instead of looping
+    if (seen.has(node.$ref)) return {};
+    seen.add(node.$ref);
+    const target = node.$ref.slice(2).split('/').reduce(
+        (current, part) => current && current[part.replace(/~1/g, '/').replace(/~0/g, '~')],
+        spec
+    );
+    return resolveRef(spec, target || {}, seen);
+}
+
+// /users/{id} and /users/{userId} are the same path to a client
+function normalizePath(pathKey) {
+    return pathKey.replace(/\{[^}]+\}/g, '{}');
+}
+
+function collectOperations(spec) {
+    const operations = new Map();
+    for (const [pathKey, rawItem] of Object.entries((spec && spec.paths) || {})) {
+        const pathItem = resolveRef(spec, rawItem);
+        for (const method of HTTP_METHODS) {
+            if (!pathItem[method]) continue;
+            operations.set(`${method} ${normalizePath(pathKey)}`, {
+                path: pathKey,
+                method,
+                operation: pathItem[method],
+                parameters: collectParameters(spec, pathItem, pathItem[method])
+            });
+        }
+    }
+    return operations;
+}
+
+function collectParameters(spec, pathItem, operation) {
+    const parameters = new Map();
+    for (const raw of [...(pathItem.parameters || []), ...(operation.parameters || [])]) {
+        const parameter = resolveRef(spec, raw);
+        // Path parameters can be renamed without affecting clients, match them by position
+        const key = parameter.in === 'path' ? 'path' : `${parameter.in}:${String(parameter.name).toLowerCase()}`;
+        if (parameter.in === 'path') {
+            parameters.set(`${key}:${parameters.size}`, parameter);
+        } else {
+            parameters.set(key, parameter);
+        }
+    }
+    return parameters;
+}
+
+function schemaType(schema) {
+    if (!schema) return undefined;
+    if (schema.type) return Array.isArray(schema.type) ? schema.type.join('|') : schema.type;
+    if (schema.properties) return 'object';
+    if (schema.items) return 'array';
+    return undefined;
+}
+
+// Compare two schemas in the direction data flows: for requests the client sends it, so new
+// constraints break; for responses the client receives it, so anything taken away breaks.
+function compareSchemas(context, oldRaw, newRaw, location, direction, depth = 0) {
+    const { oldSpec, newSpec, add } = context;
+    const oldSchema = resolveRef(oldSpec, oldRaw) || {};
+    const newSchema = resolveRef(newSpec, newRaw) || {};
+    if (depth > MAX_SCHEMA_DEPTH) return;
+
+    const oldType = schemaType(oldSchema);
+    const newType = schemaType(newSchema);
+    if (oldType && newType && oldType !== newType) {
+        add(true, 'schema-type-changed', location, `type changed from ${oldType} to ${newType}`);
+        return;
+    }
+
+    if (Array.isArray(oldSchema.enum) && Array.isArray(newSchema.enum)) {
+        const removed = oldSchema.enum.filter(value => !newSchema.enum.includes(value));
+        const added = newSchema.enum.filter(value => !oldSchema.enum.includes(value));
+        if (removed.length > 0) {
+            add(direction === 'request', 'enum-narrowed', location, `enum values removed: ${removed.join(', ')}`);
+        }
+        if (added.length > 0) {
+            add(direction === 'response', 'enum-widened', location, `enum values added: ${added.join(', ')}`);
+        }
+    }
+
+    const oldProperties = oldSchema.properties || {};
+    const newProperties = newSchema.properties || {};
+    const oldRequired = oldSchema.required || [];
+    const newRequired = newSchema.required || [];
+
+    for (const name of Object.keys(oldProperties)) {
+        const propertyLocation = `${location}.${name}`;
+        if (!(name in newProperties)) {
+            add(direction === 'response', 'property-removed', propertyLocation, 'property removed');
+            continue;
+        }
+        if (direction === 'request' && !oldRequired.includes(name) && newRequired.includes(name)) {
+            add(true, 'property-became-required', propertyLocation, 'property is now required');
+        }
+        if (direction === 'response' && oldRequired.includes(name) && !newRequired.includes(name)) {
+            add(true, 'property-became-optional', propertyLocation, 'property is no longer always returned');
+        }
+        compareSchemas(context, oldProperties[name], newProperties[name], propertyLocation, direction, depth + 1);
+    }
+
+    for (const name of Object.keys(newProperties)) {
+        if (name in oldProperties) continue;
+        const required = newRequired.includes(name);
+        add(direction === 'request' && required, 'property-added', `${location}.${name}`,
+            required ? 'required property added' : 'property added');
+    }
+
+    if (oldSchema.items || newSchema.items) {
+        compareSchemas(context, oldSchema.items, newSchema.items, `${location}[]`, direction, depth + 1);
+    }
+}
+
+function compareContent(context, oldContent, newContent, location, direction) {
+    for (const [mediaType, oldMedia] of Object.entries(oldContent || {})) {
+        const newMedia = (newContent || {})[mediaType];
+        if (!newMedia) {
+            context.add(true, 'media-type-removed', location, `${direction} media type ${mediaType} removed`);
+            continue;
+        }
+        compareSchemas(context, oldMedia.schema, newMedia.schema, `${location} ${mediaType}`, direction);
+    }
+}
+
+function compareOperations(context, oldEntry, newEntry) {
+    const { oldSpec, newSpec } = context;
+    const label = `${newEntry.method.toUpperCase()} ${newEntry.path}`;
+
+    for (const [key, parameter] of newEntry.parameters) {
+        const previous = oldEntry.parameters.get(key);
+        const location = `${label} ${parameter.in} parameter ${parameter.name}`;
+        if (!previous) {
+            context.add(Boolean(parameter.required), 'parameter-added', location,
+                parameter.required ? 'new required parameter' : 'new optional parameter');
+            continue;
+        }
+        if (!previous.required && parameter.required) {
+            context.add(true, 'parameter-became-required', location, 'parameter is now required');
+        }
+        compareSchemas(context, previous.schema, parameter.schema, location, 'request');
+    }
+    for (const [key, parameter] of oldEntry.parameters) {
+        if (!newEntry.parameters.has(key)) {
+            context.add(false, 'parameter-removed', `${label} ${parameter.in} parameter ${parameter.name}`, 'parameter removed');
+        }
+    }
+
+    const oldBody = resolveRef(oldSpec, oldEntry.operation.requestBody);
+    const newBody = resolveRef(newSpec, newEntry.operation.requestBody);
+    if (newBody && !oldBody) {
+        context.add(Boolean(newBody.required), 'request-body-added', `${label} request body`,
+            newBody.required ? 'new required request body' : 'new optional request body');
+    } else if (oldBody && newBody) {
+        if (!oldBody.required && newBody.required) {
+            context.add(true, 'request-body-became-required', `${label} request body`, 'request body is now required');
+        }
+        compareContent(context, oldBody.content, newBody.content, `${label} request body`, 'request');
+    }
+
+    const oldResponses = oldEntry.operation.responses || {};
+    const newResponses = newEntry.operation.responses || {};
+    for (const [status, rawResponse] of Object.entries(oldResponses)) {
+        const location = `${label} response ${status}`;
+        if (!(status in newResponses)) {
+            context.add(true, 'response-removed', location, 'response removed');
+            continue;
+        }
+        compareContent(context, resolveRef(oldSpec, rawResponse).content, resolveRef(newSpec, newResponses[status]).content, location, 'response');
+    }
+    for (const status of Object.keys(newResponses)) {
+        if (!(status in oldResponses)) {
+            context.add(false, 'response-added', `${label} response ${status}`, 'response added');
+        }
+    }
+}
+
+// Classify every change from oldSpec to newSpec as breaking or non-breaking for existing clients
+function diffSpecs(oldSpec, newSpec) {
+    const breaking = [];
+    const nonBreaking = [];
+    const context = {
+        oldSpec,
+        newSpec,
+        add: (isBreaking, type, location, message) => {
+            (isBreaking ? breaking : nonBreaking).push({ type, location, message });
+        }
+    };
+
+    const oldOperations = collectOperations(oldSpec);
+    const newOperations = collectOperations(newSpec);
+
+    for (const [key, oldEntry] of oldOperations) {
+        const newEntry = newOperations.get(key);
+        if (!newEntry) {
+            context.add(true, 'operation-removed', `${oldEntry.method.toUpperCase()} ${oldEntry.path}`, 'operation removed');
+            continue;
+        }
+        compareOperations(context, oldEntry, newEntry);
+    }
+    for (const [key, newEntry] of newOperations) {
+        if (!oldOperations.has(key)) {
+            context.add(false, 'operation-added', `${newEntry.method.toUpperCase()} ${newEntry.path}`, 'operation added');
+        }
+    }
+
+    return {
+        breaking,
+        nonBreaking,
+        summary: { breaking: breaking.length, nonBreaking: nonBreaking.length }
+    };
+}
+
+function formatDiff(report, title) {
+    const lines = [];
+    if (title) lines.push(title);
+    if (report.breaking.length === 0 && report.nonBreaking.length === 0) {
+        lines.push('  No changes');
+        return lines.join('\n');
+    }
+    report.breaking.forEach(change => lines.push(`  ✗ BREAKING ${change.location}: ${change.message}`));
+    report.nonBreaking.forEach(change => lines.push(`  • ${change.location}: ${change.message}`));
+    lines.push(`  ${report.summary.breaking} breaking, ${report.summary.nonBreaking} non-breaking`);
+    return lines.join('\n');
+}
+
+// JSON report over several compared specs, e.g. every collection of an export
+function buildDiffReport(entries) {
+    const collections = entries.map(({ name, file, diff }) => ({ name, file, ...diff }));
+    return {
+        collections,
+        summary: {
+            breaking: collections.reduce((total, entry) => total + entry.summary.breaking, 0),
+            nonBreaking: collections.reduce((total, entry) => total + entry.summary.nonBreaking, 0)
+        }
+    };
+}
+
+module.exports = {
+    diffSpecs,
+    formatDiff,
+    buildDiffReport
+};
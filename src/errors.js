@@ -0,0 +1,45 @@
+class PostmanApiError extends Error {
+    constructor(message, { status, response, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.response = response;
+    }
+}
+
+class AuthenticationError extends PostmanApiError {}
+
+class NotFoundError extends PostmanApiError {}
+
+class RateLimitError extends PostmanApiError {
+    constructor(message, { retryAfter, ...details } = {}) {
+        super(message, details);
+        // Milliseconds until the API accepts requests again, if it told us
+        this.retryAfter = retryAfter;
+    }
+}
+
+class NetworkError extends PostmanApiError {
+    constructor(message, { code, ...details } = {}) {
+        super(message, details);
+        this.code = code;
+    }
+}
+
+// Prefix the message with where the error happened without losing its type
+function withContext(error, context) {
+    if (error instanceof PostmanApiError) {
+        error.message = `${context}: ${error.message}`;
+        return error;
+    }
+    return new Error(`${context}: ${error.message}`);
+}
+
+module.exports = {
+    PostmanApiError,
+    AuthenticationError,
+    NotFoundError,
+    RateLimitError,
+    NetworkError,
+    withContext
+};
@@ -1,26 +1,40 @@
 const fs = require('fs');
 const path = require('path');
-const chalk = require('chalk');
+const http = require('http');
 const postmanToOpenApi = require('postman-to-openapi');
+const debug = require('./debug');
+const { normalizeFormat, toSlug, getFileExtension, serializeSpec, parseSpec } = require('./output');
+const { readLocalCollections, loadEnvironmentFile } = require('./collection-files');
+const { buildVariableContext, replaceVariables, buildServers } = require('./variables');
+const { makeApiRequest, getRequestOptions } = require('./http');
+const { runWithConcurrency } = require('./pool');
+const { mergeSpecs, normalizeStrategy, MergeConflictError } = require('./merge');
+const { diffSpecs } = require('./diff');
+const { SpecValidationError, normalizeLintRules, validateSpec, isFailedValidation } = require('./validate');
+const { addInferredSchemas } = require('./schemas');
+const { markRequestAuth, applySecurity } = require('./auth');
+const { SecretsFoundError, normalizeRedaction, redactSpec } = require('./redact');
+const { validateConverterOptions, getCollectionConverterOptions } = require('./config');
+const { compileFilters, matchesFilters, filterCollectionItems, getCollectionItemFilters } = require('./filters');
+const { hashContent, readManifest, writeManifest, findStaleEntries, removeStaleFiles } = require('./manifest');
+const { compileFilenameTemplate, normalizeCollisionStrategy, usesToken, planFileNames } = require('./naming');
+const { canonicalizeSpec } = require('./canonical');
+const { loadPlugins, getPluginsFingerprint, createPluginContext, hasHook, runHook } = require('./plugins');
+const { normalizeTagOptions, markRequestNames, applyTags } = require('./tags');
+const { getSplitRootFile, writeSplitSpec } = require('./split');
+const { bundleFile } = require('./bundle');
+const {
+    PostmanApiError,
+    AuthenticationError,
+    NotFoundError,
+    RateLimitError,
+    NetworkError,
+    withContext
+} = require('./errors');
 
-// Ensure fetch is available in Node.js versions that don't have it built-in
-let fetch;
-try {
-    fetch = globalThis.fetch;
-} catch {
-    throw new Error('This tool requires Node.js version 18 or later with built-in fetch support');
-}
 
-const API_BASE = 'https://api.getpostman.com';
-const DEBUG = process.env.DEBUG === 'true' || process.env.DEBUG === '1';
-
-function debug(...args) {
-    if (!DEBUG) return;
-    console.log(chalk.blue('🔍 [DEBUG]'), ...args);
-    if (args[1] && typeof args[1] === 'object') {
-        console.log(JSON.stringify(args[1], null, 2));
-    }
-}
+// Values of the type field of /workspaces
+const WORKSPACE_TYPES = ['personal', 'private', 'team', 'partner', 'public'];
 
 function cleanWorkspaceId(id) {
     if (!id) return id;
@@ -28,50 +42,13 @@ function cleanWorkspaceId(id) {
     return id.replace(/^(workspace-|workspace:|workspace\/|workspaces\/)/i, '').trim();
 }
 
-async function makeApiRequest(url, apiKey, options = {}) {
-    debug(`Making request to: ${url}`);
-    
-    try {
-        const response = await fetch(url, {
-            method: options.method || 'GET',
-            headers: {
-                'X-Api-Key': apiKey,
-                'Accept': 'application/json',
-                ...options.headers
-            },
-            ...(options.body && { body: options.body })
-        });
-
-        debug('Response status:', response.status);
-        debug('Response headers:', Object.fromEntries(response.headers));
-
-        const data = await response.json();
-        debug('Response data:', data);
-
-        if (!response.ok) {
-            const error = new Error(data.error ? `${data.error.name}: ${data.error.message}` : `HTTP ${response.status}`);
-            error.status = response.status;
-            error.response = data;
-            throw error;
-        }
-
-        return data;
-    } catch (error) {
-        debug('Request failed:', {
-            error: error.message,
-            status: error.status,
-            response: error.response
-        });
-        throw error;
-    }
-}
-
-async function getAllWorkspaces(apiKey) {
+async function getAllWorkspaces(apiKey, requestOptions = {}) {
     try {
         debug('Fetching workspaces');
         const data = await makeApiRequest(
-            `${API_BASE}/workspaces`,
-            apiKey
+            '/workspaces',
+            apiKey,
+            requestOptions
         );
         
         if (!data.workspaces || !Array.isArray(data.workspaces)) {
@@ -82,18 +59,19 @@ async function getAllWorkspaces(apiKey) {
         debug('Found workspaces:', data.workspaces.length);
         return data.workspaces;
     } catch (error) {
-        throw new Error(`Failed to fetch workspaces: ${error.message}`);
+        throw withContext(error, 'Failed to fetch workspaces');
     }
 }
 
-async function validateWorkspace(workspaceId, apiKey) {
+async function validateWorkspace(workspaceId, apiKey, requestOptions = {}) {
     try {
         const cleanId = cleanWorkspaceId(workspaceId);
         debug(`Validating workspace: ${cleanId}`);
         
         const data = await makeApiRequest(
-            `${API_BASE}/workspaces/${cleanId}`,
-            apiKey
+            `/workspaces/${cleanId}`,
+            apiKey,
+            requestOptions
         );
         
         if (!data.workspace) {
@@ -108,24 +86,33 @@ async function validateWorkspace(workspaceId, apiKey) {
         
         return data.workspace;
     } catch (error) {
-        if (error.status === 401) {
-            throw new Error('Invalid API key or insufficient permissions');
-        } else if (error.status === 404) {
-            throw new Error(`Workspace not found: ${workspaceId}`);
+        if (error instanceof AuthenticationError) {
+            throw new AuthenticationError('Invalid API key or insufficient permissions', {
+                status: error.status,
+                response: error.response,
+                cause: error
+            });
+        } else if (error instanceof NotFoundError) {
+            throw new NotFoundError(`Workspace not found: ${workspaceId}`, {
+                status: error.status,
+                response: error.response,
+                cause: error
+            });
         }
         throw error;
     }
 }
 
-async function getWorkspaceCollections(workspaceId, apiKey) {
+async function getWorkspaceCollections(workspaceId, apiKey, requestOptions = {}) {
     try {
         const cleanId = cleanWorkspaceId(workspaceId);
         debug(`Fetching collections for workspace: ${cleanId}`);
         
         // Get workspace data which includes collections
         const data = await makeApiRequest(
-            `${API_BASE}/workspaces/${cleanId}`,
-            apiKey
+            `/workspaces/${cleanId}`,
+            apiKey,
+            requestOptions
         );
 
         if (!data.workspace) {
@@ -160,161 +147,1034 @@ async function getWorkspaceCollections(workspaceId, apiKey) {
             response: error.response,
             stack: error.stack
         });
-        throw new Error(`Failed to fetch collections: ${error.message}`);
+        throw withContext(error, 'Failed to fetch collections');
     }
 }
 
-async function getOpenApiDefinition(collectionId, apiKey) {
+async function getWorkspaceEnvironments(workspaceId, apiKey, requestOptions = {}) {
     try {
-        debug(`Getting OpenAPI definition for collection: ${collectionId}`);
-        
-        // First get the collection
-        debug('Getting collection...');
-        const collectionData = await makeApiRequest(
-            `${API_BASE}/collections/${collectionId}`,
-            apiKey
+        const cleanId = cleanWorkspaceId(workspaceId);
+        debug(`Fetching environments for workspace: ${cleanId}`);
+
+        const data = await makeApiRequest(
+            `/workspaces/${cleanId}`,
+            apiKey,
+            requestOptions
         );
 
-        if (!collectionData || !collectionData.collection) {
-            debug('No collection data received');
-            throw new Error('Failed to get collection');
+        if (!data.workspace) {
+            debug('Invalid workspace response:', data);
+            throw new Error('Invalid workspace data received from API');
         }
 
-        // Save collection to a temporary file
-        const tempFile = path.join(process.cwd(), `temp-${collectionId}.json`);
-        const outputFile = path.join(process.cwd(), `openapi-${collectionId}.json`);
-        
-        try {
-            // Save the collection
-            fs.writeFileSync(tempFile, JSON.stringify(collectionData, null, 2));
-            
-            // Convert to OpenAPI
-            debug('Converting to OpenAPI...');
-            await postmanToOpenApi(
-                tempFile,
-                outputFile,
-                {
-                    defaultTag: collectionData.collection.info.name,
-                    outputFormat: 'json'
+        return data.workspace.environments || [];
+    } catch (error) {
+        throw withContext(error, 'Failed to fetch environments');
+    }
+}
+
+async function getEnvironment(environmentId, apiKey, requestOptions = {}) {
+    try {
+        debug(`Fetching environment: ${environmentId}`);
+
+        const data = await makeApiRequest(
+            `/environments/${environmentId}`,
+            apiKey,
+            requestOptions
+        );
+
+        if (!data.environment) {
+            debug('Invalid environment response:', data);
+            throw new Error('Invalid environment data received from API');
+        }
+
+        return data.environment;
+    } catch (error) {
+        if (error instanceof NotFoundError) {
+            throw new NotFoundError(`Environment not found: ${environmentId}`, {
+                status: error.status,
+                response: error.response,
+                cause: error
+            });
+        }
+        throw withContext(error, 'Failed to fetch environment');
+    }
+}
+
+// Match an environment of the workspace by uid, id or (case-insensitive) name
+function findEnvironment(environments, idOrName) {
+    const name = idOrName.toLowerCase();
+    return environments.find(env => env.uid === idOrName || env.id === idOrName) ||
+        environments.find(env => env.name && env.name.toLowerCase() === name);
+}
+
+async function resolveWorkspaceEnvironment(workspace, idOrName, apiKey, requestOptions) {
+    const match = findEnvironment(workspace.environments || [], idOrName);
+    if (!match) {
+        throw new NotFoundError(`Environment not found in workspace ${workspace.name}: ${idOrName}`);
+    }
+    return getEnvironment(match.uid || match.id, apiKey, requestOptions);
+}
+
+// The converter leaves out the required description on responses built from saved examples
+function addMissingResponseDescriptions(openApiData) {
+    for (const pathItem of Object.values(openApiData.paths || {})) {
+        for (const operation of Object.values(pathItem || {})) {
+            for (const [status, response] of Object.entries((operation && operation.responses) || {})) {
+                if (response && !response.$ref && typeof response.description !== 'string') {
+                    response.description = http.STATUS_CODES[status] || 'Response';
                 }
-            );
-
-            // Read the converted file
-            const openApiData = JSON.parse(fs.readFileSync(outputFile, 'utf8'));
-            
-            // Cleanup temporary files
-            fs.unlinkSync(tempFile);
-            fs.unlinkSync(outputFile);
-            
-            return openApiData;
+            }
+        }
+    }
+}
+
+// Convert in memory, so parallel runs never share files
+async function convertCollection(collectionData, options = {}) {
+    const { environment, resolveVariables = false, inferSchemas = true, converter = {}, items, plugins = [] } = options;
+    const pluginContext = options.pluginContext || createPluginContext();
+    const tagging = normalizeTagOptions(options);
+    // Plugins get a copy, the downloaded collection stays as it was for the manifest
+    if (hasHook(plugins, 'beforeConvert')) {
+        const collection = await runHook(plugins, 'beforeConvert', structuredClone(collectionData.collection), { context: pluginContext });
+        collectionData = { ...collectionData, collection };
+    }
+    // Folders and requests left out by the filters are never converted
+    collectionData = filterCollectionItems(collectionData, items);
+    const context = buildVariableContext(collectionData.collection, environment);
+
+    // Inline replacement only ever uses non-secret values
+    if (resolveVariables) {
+        collectionData = { collection: replaceVariables(collectionData.collection, context) };
+    }
+
+    // Auth set in the converter options replaces the collection's, like servers do
+    const auth = converter.auth ? null : markRequestAuth(collectionData.collection);
+    // Tags and operationIds need to know which request every operation came from
+    const marked = tagging.tagStrategy || tagging.operationIds
+        ? markRequestNames(auth ? auth.collection : collectionData.collection)
+        : null;
+    const converterCollection = marked ? marked.collection : auth ? auth.collection : collectionData.collection;
+
+    debug('Converting to OpenAPI...');
+    let openApiData;
+    try {
+        const converted = await postmanToOpenApi(
+            JSON.stringify({ ...collectionData, collection: converterCollection }),
+            null,
+            {
+                defaultTag: collectionData.collection.info.name,
+                ...converter,
+                outputFormat: 'json'
+            }
+        );
+        openApiData = JSON.parse(converted);
+    } catch (error) {
+        debug('Conversion failed:', error);
+        throw error;
+    }
+
+    if (auth) {
+        applySecurity(openApiData, auth, context);
+    }
+    if (marked) {
+        const { info } = collectionData.collection;
+        applyTags(openApiData, marked, {
+            ...tagging,
+            collectionName: info.name,
+            collectionDescription: info.description,
+            separator: converter.folders && converter.folders.separator
+        });
+    }
+    addMissingResponseDescriptions(openApiData);
+    if (inferSchemas) {
+        addInferredSchemas(openApiData);
+    }
+
+    // The converter lowercases hosts and mangles {{variables}} in them, so derive servers
+    // ourselves unless they are configured
+    const servers = converter.servers ? [] : buildServers(collectionData.collection, context, environment && environment.name);
+    if (servers.length > 0) {
+        openApiData.servers = servers;
+    }
+
+    openApiData = await runHook(plugins, 'afterConvert', openApiData, { collection: collectionData.collection, context: pluginContext });
+    return canonicalizeSpec(openApiData);
+}
+
+// One file, or with --split a tree of files next to the root file
+function writeSpecFile(file, spec, format, split) {
+    if (split) {
+        writeSplitSpec(file, spec, format);
+        return;
+    }
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, serializeSpec(spec, format));
+}
+
+// beforeWrite hooks have the last word on a file, so what they return is what gets validated
+async function prepareForWrite(spec, file, plugins, pluginContext) {
+    if (!hasHook(plugins, 'beforeWrite')) return spec;
+    return canonicalizeSpec(await runHook(plugins, 'beforeWrite', spec, { file, context: pluginContext }));
+}
+
+async function getCollection(collectionId, apiKey, requestOptions = {}) {
+    debug(`Getting collection: ${collectionId}`);
+    const collectionData = await makeApiRequest(
+        `/collections/${collectionId}`,
+        apiKey,
+        requestOptions
+    );
+
+    if (!collectionData || !collectionData.collection) {
+        debug('No collection data received');
+        throw new Error('Failed to get collection');
+    }
+
+    return collectionData;
+}
+
+// Map of collection uid to updatedAt, used to skip unchanged collections without downloading them
+async function getCollectionRevisions(workspaceId, apiKey, requestOptions = {}) {
+    try {
+        const cleanId = cleanWorkspaceId(workspaceId);
+        const data = await makeApiRequest(
+            `/collections?workspace=${encodeURIComponent(cleanId)}`,
+            apiKey,
+            requestOptions
+        );
+        return Object.fromEntries((data.collections || []).map(c => [c.uid, c.updatedAt]));
+    } catch (error) {
+        debug(`Could not fetch collection revisions, comparing content instead: ${error.message}`);
+        return {};
+    }
+}
+
+// The version the spec will get, the same way the converter picks it: the converter
+// options' info.version, the collection's version variable or 1.0.0
+function getSpecVersion(collection, collectionData, conversionOptions) {
+    const converter = getCollectionConverterOptions(conversionOptions.converter, conversionOptions.collectionConverters, collection) || {};
+    if (converter.info && converter.info.version) return converter.info.version;
+    const variable = (collectionData.collection.variable || []).find(entry => entry && entry.key === 'version');
+    return variable && variable.value ? String(variable.value) : '1.0.0';
+}
+
+// {version} is part of the collection itself, so templates using it download every
+// collection before naming them. A download that fails fails its collection later on.
+async function preloadCollections(collections, loadCollection, concurrency) {
+    const loaded = new Map();
+    await runWithConcurrency(collections, concurrency, async collection => {
+        try {
+            loaded.set(collection, { collectionData: await loadCollection(collection) });
         } catch (error) {
-            debug('Conversion failed:', error);
-            // Cleanup temporary files if they exist
-            if (fs.existsSync(tempFile)) fs.unlinkSync(tempFile);
-            if (fs.existsSync(outputFile)) fs.unlinkSync(outputFile);
-            throw error;
+            loaded.set(collection, { error });
         }
+    });
+    return loaded;
+}
+
+// Everything besides the collection itself that changes the output
+function getOptionsFingerprint(format, conversionOptions) {
+    const { environment, plugins, ...rest } = conversionOptions;
+    return hashContent({
+        format,
+        ...rest,
+        plugins: plugins && getPluginsFingerprint(plugins),
+        environment: environment
+            ? (environment.values || []).map(({ key, value, type, enabled }) => ({
+                key,
+                enabled,
+                value: type === 'secret' ? undefined : value
+            }))
+            : null
+    });
+}
+
+// Compare with the spec already on disk, null when there is none yet
+function diffWithExisting(file, spec, split) {
+    if (!fs.existsSync(file)) return null;
+    try {
+        return diffSpecs(split ? bundleFile(file) : parseSpec(fs.readFileSync(file, 'utf8')), spec);
     } catch (error) {
-        debug('Export failed:', error);
-        throw new Error(`Failed to export collection: ${error.message}`);
+        debug(`Could not compare with ${file}: ${error.message}`);
+        return null;
+    }
+}
+
+async function exportCollection(collection, context) {
+    const {
+        outputDir,
+        format,
+        write,
+        merge,
+        force,
+        diff,
+        strict,
+        lintRules,
+        failOnSecrets,
+        manifest,
+        optionsChanged,
+        loadCollection,
+        conversionOptions,
+        fileNames,
+        split,
+        plugins,
+        pluginContext
+    } = context;
+    const outputFile = outputDir ? path.join(outputDir, fileNames.get(collection)) : null;
+    const relativeFile = outputFile && path.relative(outputDir, outputFile);
+    const previous = manifest && manifest.collections[collection.uid];
+    const reusable = Boolean(
+        previous && !force && !optionsChanged &&
+        previous.file === relativeFile && fs.existsSync(outputFile)
+    );
+
+    if (reusable && collection.updatedAt && previous.updatedAt === collection.updatedAt) {
+        debug(`Skipping unchanged collection: ${collection.name} (updated ${collection.updatedAt})`);
+        return { result: { name: collection.name, success: true, skipped: true, file: outputFile }, entry: previous };
+    }
+
+    const collectionData = await loadCollection(collection);
+    const hash = hashContent(collectionData.collection);
+    const entry = {
+        name: collection.name,
+        updatedAt: collection.updatedAt || collectionData.collection.info.updatedAt || null,
+        hash,
+        file: relativeFile,
+        ...(split ? { split: true } : {})
+    };
+
+    if (reusable && previous.hash === hash) {
+        debug(`Skipping unchanged collection: ${collection.name} (same content)`);
+        return { result: { name: collection.name, success: true, skipped: true, file: outputFile }, entry };
+    }
+
+    const { converter, collectionConverters, includeItems, excludeItems, collectionItems, redaction, ...collectionOptions } = conversionOptions;
+    let openApiData = await convertCollection(collectionData, {
+        ...collectionOptions,
+        plugins,
+        pluginContext,
+        converter: getCollectionConverterOptions(converter, collectionConverters, collection),
+        items: getCollectionItemFilters({ include: includeItems, exclude: excludeItems }, collectionItems, collection)
+    });
+
+    // Secrets never reach a file, merged or not
+    const redactions = redactSpec(openApiData, redaction);
+    if (failOnSecrets && redactions.length > 0) {
+        throw new SecretsFoundError(redactions);
+    }
+
+    if (merge) {
+        // Written once all collections are converted
+        return { result: { name: collection.name, success: true, redactions }, spec: openApiData };
+    }
+
+    if (write && outputFile) {
+        openApiData = await prepareForWrite(openApiData, outputFile, plugins, pluginContext);
+    }
+
+    // Never write a spec that would fail later in codegen
+    const validation = validateSpec(openApiData, { lintRules });
+    if (isFailedValidation(validation, strict)) {
+        throw new SpecValidationError(validation, strict);
+    }
+
+    const result = { name: collection.name, success: true, validation, redactions };
+    if (diff && outputFile) {
+        result.diff = diffWithExisting(outputFile, openApiData, split);
     }
+
+    if (!write) {
+        result.spec = openApiData;
+        return { result };
+    }
+
+    // Save to file, templates may put it in a subdirectory
+    result.file = outputFile;
+    writeSpecFile(outputFile, openApiData, format, split);
+    debug(`✓ Saved to ${outputFile}`);
+
+    return { result, entry };
+}
+
+async function exportCollections(collections, outputDir, options) {
+    const {
+        format,
+        write = true,
+        throwOnFailure = true,
+        loadCollection,
+        conversionOptions = {},
+        concurrency = 1,
+        onProgress = () => {},
+        merge,
+        conflictStrategy,
+        mergeTitle,
+        force = false,
+        diff = false,
+        strict = false,
+        lintRules,
+        failOnSecrets = false,
+        maxFailures,
+        continueOnError = false,
+        filenameTemplate,
+        filenameCollision,
+        split = false,
+        workspace,
+        knownUids,
+        pruneStale = false,
+        onStaleFiles = () => false
+    } = options;
+    const total = collections.length;
+    const specs = new Map();
+    const exported = {};
+    let completed = 0;
+    let failures = 0;
+
+    if (merge) {
+        normalizeStrategy(conflictStrategy);
+    }
+    normalizeLintRules(lintRules);
+    normalizeRedaction(conversionOptions.redaction);
+    normalizeTagOptions(conversionOptions);
+    validateConverterOptions(conversionOptions.converter);
+    for (const [key, overrides] of Object.entries(conversionOptions.collectionConverters || {})) {
+        validateConverterOptions(overrides, `converter options of ${key}`);
+    }
+    const template = compileFilenameTemplate(filenameTemplate);
+    const strategy = normalizeCollisionStrategy(filenameCollision);
+
+    const plugins = loadPlugins(conversionOptions.plugins);
+    const pluginContext = createPluginContext({ outputDir, format, workspace });
+
+    const loaded = usesToken(template, 'version') ? await preloadCollections(collections, loadCollection, concurrency) : null;
+    // Every file name is known before the first one is written, so collisions fail early
+    const fileNames = new Map(planFileNames(collections, {
+        template,
+        strategy,
+        workspace,
+        extension: getFileExtension(format),
+        getVersion: collection => {
+            const entry = loaded.get(collection);
+            return entry.collectionData ? getSpecVersion(collection, entry.collectionData, conversionOptions) : undefined;
+        }
+    }).map((file, index) => [collections[index], split ? getSplitRootFile(file) : file]));
+
+    // A merged document needs every spec, so incremental export only applies to single files
+    const manifest = merge || !write ? null : readManifest(outputDir);
+    const fingerprint = getOptionsFingerprint(format, conversionOptions);
+    const context = {
+        outputDir,
+        format,
+        write,
+        merge,
+        force,
+        diff,
+        strict,
+        lintRules,
+        failOnSecrets,
+        manifest,
+        optionsChanged: Boolean(manifest && manifest.options !== fingerprint),
+        loadCollection: loaded
+            ? collection => {
+                const entry = loaded.get(collection);
+                if (entry.error) throw entry.error;
+                return entry.collectionData;
+            }
+            : loadCollection,
+        conversionOptions,
+        fileNames,
+        split,
+        plugins,
+        pluginContext
+    };
+
+    debug(`Exporting ${total} collections (concurrency: ${concurrency})...`);
+
+    // Export the collections in parallel, results stay in collection order
+    const results = await runWithConcurrency(collections, concurrency, async collection => {
+        // Past the failure limit the remaining collections are not attempted
+        if (maxFailures && failures >= maxFailures) {
+            const result = { name: collection.name, success: false, aborted: true, error: `Not exported: stopped after ${failures} failure(s)` };
+            completed++;
+            onProgress({ status: 'finished', collection, result, completed, total });
+            return result;
+        }
+
+        debug(`\nExporting collection: ${collection.name} (${collection.uid})`);
+        onProgress({ status: 'started', collection, completed, total });
+
+        const startedAt = Date.now();
+        let result;
+        try {
+            const outcome = await exportCollection(collection, context);
+            result = outcome.result;
+            if (outcome.spec) specs.set(collection, outcome.spec);
+            if (outcome.entry) exported[collection.uid] = outcome.entry;
+        } catch (error) {
+            debug('Export failed:', error);
+            const message = withContext(error, 'Failed to export collection').message;
+            result = { name: collection.name, success: false, error: message, errorType: error.name };
+            if (error.validation) result.validation = error.validation;
+            if (error.redactions) result.redactions = error.redactions;
+            failures++;
+        }
+        result.duration = Date.now() - startedAt;
+
+        completed++;
+        onProgress({ status: 'finished', collection, result, completed, total });
+        return result;
+    });
+
+    if (manifest) {
+        await updateManifest(outputDir, manifest, { fingerprint, exported, knownUids, pruneStale, onStaleFiles });
+    }
+
+    const failed = results.filter(r => !r.success).length;
+    debug(`Exported ${results.length - failed} collections, ${failed} failed`);
+
+    // A merged document needs every collection, unless the failed ones may be left out
+    if (merge && specs.size > 0 && (failed === 0 || continueOnError)) {
+        await writeMergedSpec(collections, specs, results, outputDir, {
+            merge, format, write, throwOnFailure, conflictStrategy, mergeTitle, diff, strict, lintRules, split, plugins, pluginContext
+        });
+    } else if (merge) {
+        // Converted, but never written since the merged document was skipped
+        results.filter((result, index) => specs.has(collections[index])).forEach(result => Object.assign(result, {
+            success: false,
+            aborted: true,
+            error: `Not written: merged spec skipped after ${failed} failure(s)`
+        }));
+    }
+
+    if (failed > 0 && throwOnFailure) {
+        const error = new Error('Some collections failed to export');
+        // Lets callers still report on every collection
+        error.results = results;
+        throw error;
+    }
+
+    return results;
+}
+
+async function updateManifest(outputDir, manifest, options) {
+    const { fingerprint, exported, knownUids, pruneStale, onStaleFiles } = options;
+    const stale = knownUids ? findStaleEntries(outputDir, manifest, knownUids, exported) : [];
+    const collections = { ...manifest.collections, ...exported };
+
+    if (stale.length > 0 && (pruneStale || await onStaleFiles(stale))) {
+        removeStaleFiles(stale);
+        stale.filter(entry => entry.reason === 'deleted').forEach(entry => delete collections[entry.uid]);
+    }
+
+    writeManifest(outputDir, { options: fingerprint, collections });
+}
+
+async function writeMergedSpec(collections, specs, results, outputDir, options) {
+    const { merge, write, throwOnFailure, conflictStrategy, mergeTitle, diff, strict, lintRules, split, plugins, pluginContext } = options;
+    const mergeFile = outputDir ? path.resolve(outputDir, merge) : null;
+    const outputFile = mergeFile && split ? getSplitRootFile(mergeFile) : mergeFile;
+    const extension = typeof merge === 'string' ? path.extname(merge).toLowerCase() : '';
+    // The merge file's own extension decides the format, if it names one
+    const format = ['.json', '.yaml', '.yml'].includes(extension) ? normalizeFormat(extension.slice(1)) : options.format;
+
+    // Collections that failed on their own are left out
+    const included = collections.filter(collection => specs.has(collection));
+    const mergedResults = results.filter((result, index) => specs.has(collections[index]));
+    let merged;
+    try {
+        merged = mergeSpecs(
+            included.map(collection => ({ name: collection.name, spec: specs.get(collection) })),
+            { strategy: conflictStrategy, title: mergeTitle }
+        );
+    } catch (error) {
+        if (!(error instanceof MergeConflictError)) throw error;
+        mergedResults.forEach(result => Object.assign(result, {
+            success: false,
+            error: error.message,
+            errorType: error.name,
+            conflicts: error.conflicts.filter(conflict => conflict.collections[1] === result.name)
+        }));
+        if (!throwOnFailure) return;
+        error.results = results;
+        throw error;
+    }
+    let spec = canonicalizeSpec(merged.spec);
+    const { conflicts } = merged;
+    if (write) {
+        spec = await prepareForWrite(spec, outputFile, plugins, pluginContext);
+    }
+
+    const validation = validateSpec(spec, { lintRules });
+    if (isFailedValidation(validation, strict)) {
+        const error = new SpecValidationError(validation, strict);
+        mergedResults.forEach(result => Object.assign(result, {
+            success: false,
+            ...(write ? { file: outputFile } : {}),
+            error: error.message,
+            errorType: error.name,
+            validation
+        }));
+        if (!throwOnFailure) return;
+        error.results = results;
+        throw error;
+    }
+
+    const changes = diff && outputFile ? diffWithExisting(outputFile, spec, split) : undefined;
+
+    if (write) {
+        writeSpecFile(outputFile, spec, format, split);
+        debug(`✓ Saved merged spec to ${outputFile}`, { conflicts });
+    }
+
+    // Report each conflict on the collection that ran into it
+    mergedResults.forEach(result => {
+        if (write) {
+            result.file = outputFile;
+        } else {
+            // One document, so every collection shares the same spec
+            result.spec = spec;
+        }
+        result.conflicts = conflicts.filter(conflict => conflict.collections[1] === result.name);
+        result.validation = validation;
+        if (diff) {
+            // One document, so every collection shares the same diff
+            result.diff = changes;
+        }
+    });
 }
 
 async function exportWorkspace(workspaceId, outputDir, options = {}) {
     const {
         apiKey,
         ids = [],
-        names = []
+        names = [],
+        concurrency,
+        onProgress,
+        merge,
+        conflictStrategy,
+        force,
+        diff,
+        strict,
+        lintRules,
+        includeCollections,
+        excludeCollections,
+        write = true,
+        throwOnFailure,
+        allowEmpty,
+        pruneStale,
+        onStaleFiles
     } = options;
 
     if (!workspaceId || !apiKey) {
         throw new Error('Workspace ID and API key are required');
     }
 
+    const requestOptions = getRequestOptions(options);
+
+    const format = normalizeFormat(options.format);
+    // Invalid patterns fail before anything is fetched
+    compileFilters({ include: includeCollections, exclude: excludeCollections });
+    compileFilters({ include: options.includeItems, exclude: options.excludeItems });
+
+    // First validate the workspace and API key
+    const workspace = await validateWorkspace(workspaceId, apiKey, requestOptions);
+    debug(`Workspace validated: ${workspace.name}`);
+
+    // Resolve the environment first so a bad name fails before any collection is exported
+    let environment = options.environment;
+    if (typeof environment === 'string') {
+        environment = await resolveWorkspaceEnvironment(workspace, environment, apiKey, requestOptions);
+        debug(`Using environment: ${environment.name}`);
+    }
+
+    // The validated workspace already lists its collections
+    const collections = workspace.collections;
+    
+    if (!collections || collections.length === 0) {
+        if (allowEmpty) return [];
+        throw new Error('No collections found in the workspace');
+    }
+
+    debug(`Found ${collections.length} collections`);
+
+    // Filter collections based on IDs and names
+    const filteredCollections = filterCollections(collections, {
+        ids,
+        names,
+        include: includeCollections,
+        exclude: excludeCollections
+    });
+
+    if (filteredCollections.length === 0) {
+        if (allowEmpty) return [];
+        throw new Error('No collections match the specified filters');
+    }
+
     // Create output directory if it doesn't exist
-    if (!fs.existsSync(outputDir)) {
+    if (write && !fs.existsSync(outputDir)) {
         fs.mkdirSync(outputDir, { recursive: true });
     }
 
-    try {
-        // First validate the workspace and API key
-        const workspace = await validateWorkspace(workspaceId, apiKey);
-        debug(`Workspace validated: ${workspace.name}`);
+    // Revisions let unchanged collections be skipped before they are downloaded
+    const revisions = force || merge ? {} : await getCollectionRevisions(workspaceId, apiKey, requestOptions);
 
-        // Get all collections in the workspace
-        const collections = await getWorkspaceCollections(workspaceId, apiKey);
-        
-        if (!collections || collections.length === 0) {
-            throw new Error('No collections found in the workspace');
+    return exportCollections(
+        filteredCollections.map(collection => ({ ...collection, updatedAt: revisions[collection.uid] })),
+        outputDir,
+        {
+            format,
+            write,
+            throwOnFailure,
+            concurrency,
+            onProgress,
+            merge,
+            conflictStrategy,
+            mergeTitle: workspace.name,
+            force,
+            diff,
+            strict,
+            lintRules,
+            failOnSecrets: options.failOnSecrets,
+            maxFailures: options.maxFailures,
+            continueOnError: options.continueOnError,
+            filenameTemplate: options.filenameTemplate,
+            filenameCollision: options.filenameCollision,
+            split: options.split,
+            workspace: workspace.name,
+            knownUids: new Set(collections.map(collection => collection.uid)),
+            pruneStale,
+            onStaleFiles,
+            loadCollection: collection => getCollection(collection.uid, apiKey, requestOptions),
+            conversionOptions: getConversionOptions(options, environment)
         }
+    );
+}
 
-        debug(`Found ${collections.length} collections`);
+// Export collections by ID, e.g. the ones linked to an API, with the workspace they
+// belong to providing the environment
+async function exportCollectionsById(workspaceId, collectionIds, outputDir, options = {}) {
+    const {
+        apiKey,
+        concurrency,
+        onProgress,
+        merge,
+        conflictStrategy,
+        force,
+        diff,
+        strict,
+        lintRules,
+        write = true,
+        throwOnFailure,
+        pruneStale,
+        onStaleFiles
+    } = options;
 
-        // Filter collections based on IDs and names
-        const filteredCollections = filterCollections(collections, ids, names);
+    if (!workspaceId || !apiKey) {
+        throw new Error('Workspace ID and API key are required');
+    }
 
-        if (filteredCollections.length === 0) {
-            throw new Error('No collections match the specified filters');
-        }
+    const requestOptions = getRequestOptions(options);
+    const format = normalizeFormat(options.format);
+    compileFilters({ include: options.includeItems, exclude: options.excludeItems });
 
-        debug(`Exporting ${filteredCollections.length} collections...`);
-
-        // Export each collection
-        const results = [];
-        for (const collection of filteredCollections) {
-            debug(`\nExporting collection: ${collection.name} (${collection.uid})`);
-            try {
-                // Get the OpenAPI definition for this collection
-                const openApiData = await getOpenApiDefinition(collection.uid, apiKey);
-                
-                // Save to file
-                const outputFile = path.join(outputDir, `${collection.name.replace(/[^a-zA-Z0-9]/g, '_')}.json`);
-                fs.writeFileSync(outputFile, JSON.stringify(openApiData, null, 2));
-                debug(`✓ Saved to ${outputFile}`);
-                
-                results.push({ name: collection.name, success: true, file: outputFile });
-            } catch (error) {
-                console.error(`✗ Failed to export collection ${collection.name}: ${error.message}`);
-                results.push({ name: collection.name, success: false, error: error.message });
-            }
+    const workspace = await validateWorkspace(workspaceId, apiKey, requestOptions);
+    let environment = options.environment;
+    if (typeof environment === 'string') {
+        environment = await resolveWorkspaceEnvironment(workspace, environment, apiKey, requestOptions);
+    }
+
+    // The output file is named after the collection, so download them first. A failed
+    // download only fails its own collection, reported under its ID.
+    const collections = await runWithConcurrency(collectionIds, concurrency, async id => {
+        try {
+            const collectionData = await getCollection(id, apiKey, requestOptions);
+            return { uid: id, name: collectionData.collection.info.name, collectionData };
+        } catch (error) {
+            debug(`Failed to download collection ${id}: ${error.message}`);
+            return { uid: id, name: id, error };
         }
+    });
 
-        // Report summary
-        const successful = results.filter(r => r.success).length;
-        const failed = results.filter(r => !r.success).length;
-        
-        if (failed > 0) {
-            console.log(`\nExport Summary:\nSuccessful: ${successful}\nFailed: ${failed}`);
-            throw new Error('Some collections failed to export');
+    if (write && !fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+    }
+
+    return exportCollections(collections, outputDir, {
+        format,
+        write,
+        throwOnFailure,
+        concurrency,
+        onProgress,
+        merge,
+        conflictStrategy,
+        mergeTitle: workspace.name,
+        force,
+        diff,
+        strict,
+        lintRules,
+        failOnSecrets: options.failOnSecrets,
+        maxFailures: options.maxFailures,
+        continueOnError: options.continueOnError,
+        filenameTemplate: options.filenameTemplate,
+        filenameCollision: options.filenameCollision,
+        split: options.split,
+        workspace: workspace.name,
+        knownUids: new Set(collectionIds),
+        pruneStale,
+        onStaleFiles,
+        loadCollection: collection => {
+            if (collection.error) throw collection.error;
+            return collection.collectionData;
+        },
+        conversionOptions: getConversionOptions(options, environment)
+    });
+}
+
+function normalizeWorkspaceTypes(types = []) {
+    const normalized = types.map(type => String(type).trim().toLowerCase());
+    const unknown = normalized.filter(type => !WORKSPACE_TYPES.includes(type));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown workspace type(s): ${unknown.join(', ')} (expected one of: ${WORKSPACE_TYPES.join(', ')})`);
+    }
+    return normalized;
+}
+
+// Workspaces of the given types whose name contains one of the include filters and
+// none of the exclude filters. Name filters are case-insensitive, like collection names.
+function filterWorkspaces(workspaces, { include = [], exclude = [], types = [] } = {}) {
+    const matches = (workspace, filters) => filters.some(filter =>
+        workspace.name.toLowerCase().includes(filter.toLowerCase())
+    );
+    return workspaces.filter(workspace =>
+        (types.length === 0 || types.includes(String(workspace.type).toLowerCase())) &&
+        (include.length === 0 || matches(workspace, include)) &&
+        !matches(workspace, exclude)
+    );
+}
+
+// One output directory per workspace, named after it. Workspaces sharing a name
+// get their ID appended so they never write into the same directory.
+function getWorkspaceSlugs(workspaces) {
+    const slugs = workspaces.map(workspace => toSlug(workspace.name) || 'workspace');
+    return slugs.map((slug, index) =>
+        slugs.indexOf(slug) !== slugs.lastIndexOf(slug) ? `${slug}-${toSlug(workspaces[index].id)}` : slug
+    );
+}
+
+// Export every workspace the API key can see into <outputDir>/<workspace-slug>/.
+// A workspace that fails is recorded and the next one is exported anyway.
+async function exportAllWorkspaces(outputDir, options = {}) {
+    const {
+        apiKey,
+        includeWorkspaces = [],
+        excludeWorkspaces = [],
+        workspaceTypes = [],
+        onWorkspace,
+        write = true,
+        ...exportOptions
+    } = options;
+
+    if (!apiKey) {
+        throw new Error('API key is required');
+    }
+
+    const types = normalizeWorkspaceTypes(workspaceTypes);
+    const workspaces = filterWorkspaces(await getAllWorkspaces(apiKey, getRequestOptions(options)), {
+        include: includeWorkspaces,
+        exclude: excludeWorkspaces,
+        types
+    });
+
+    if (workspaces.length === 0) {
+        throw new Error('No workspaces match the specified filters');
+    }
+    debug(`Exporting ${workspaces.length} workspaces`);
+
+    const slugs = getWorkspaceSlugs(workspaces);
+    const results = [];
+    for (const [index, workspace] of workspaces.entries()) {
+        const entry = {
+            workspace: { id: workspace.id, name: workspace.name, type: workspace.type },
+            slug: slugs[index],
+            outputDir: write ? path.join(outputDir, slugs[index]) : null
+        };
+        if (onWorkspace) onWorkspace({ status: 'started', workspace: entry.workspace, index, total: workspaces.length });
+
+        try {
+            entry.results = await exportWorkspace(workspace.id, entry.outputDir, {
+                ...exportOptions,
+                apiKey,
+                write,
+                throwOnFailure: false,
+                allowEmpty: true
+            });
+            entry.success = entry.results.every(result => result.success);
+        } catch (error) {
+            debug(`Workspace ${workspace.name} failed: ${error.message}`);
+            entry.success = false;
+            entry.error = error;
+            entry.results = error.results || [];
         }
 
-        return results;
-    } catch (error) {
-        throw error;
+        results.push(entry);
+        if (onWorkspace) onWorkspace({ status: 'finished', workspace: entry.workspace, index, total: workspaces.length, result: entry });
     }
+
+    return results;
 }
 
-function filterCollections(collections, collectionIds, collectionNames) {
-    if (!collections || !Array.isArray(collections)) {
-        return [];
+async function exportFromFiles(sources, outputDir, options = {}) {
+    const {
+        ids = [],
+        names = [],
+        concurrency,
+        onProgress,
+        merge,
+        conflictStrategy,
+        force,
+        diff,
+        strict,
+        lintRules,
+        includeCollections,
+        excludeCollections,
+        write = true,
+        throwOnFailure,
+        pruneStale,
+        onStaleFiles
+    } = options;
+
+    if (!sources || (Array.isArray(sources) && sources.length === 0)) {
+        throw new Error('At least one collection file, glob or directory is required');
+    }
+
+    const format = normalizeFormat(options.format);
+    compileFilters({ include: includeCollections, exclude: excludeCollections });
+    compileFilters({ include: options.includeItems, exclude: options.excludeItems });
+
+    const environment = typeof options.environment === 'string'
+        ? loadEnvironmentFile(options.environment)
+        : options.environment;
+
+    const collections = readLocalCollections(sources);
+
+    if (collections.length === 0) {
+        throw new Error(`No Postman collections found in: ${[].concat(sources).join(', ')}`);
     }
 
-    if (collectionIds.length === 0 && collectionNames.length === 0) {
-        return collections;
+    // Filter collections based on IDs and names
+    const filteredCollections = filterCollections(collections, {
+        ids,
+        names,
+        include: includeCollections,
+        exclude: excludeCollections
+    });
+
+    if (filteredCollections.length === 0) {
+        throw new Error('No collections match the specified filters');
+    }
+
+    // Only now, so a mistyped path leaves no empty output directory behind
+    if (write && !fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+    }
+
+    return exportCollections(filteredCollections, outputDir, {
+        format,
+        write,
+        throwOnFailure,
+        concurrency,
+        onProgress,
+        merge,
+        conflictStrategy,
+        force,
+        diff,
+        strict,
+        lintRules,
+        failOnSecrets: options.failOnSecrets,
+        maxFailures: options.maxFailures,
+        continueOnError: options.continueOnError,
+        filenameTemplate: options.filenameTemplate,
+        filenameCollision: options.filenameCollision,
+        split: options.split,
+        knownUids: new Set(collections.map(collection => collection.uid)),
+        pruneStale,
+        onStaleFiles,
+        loadCollection: collection => collection.collectionData,
+        conversionOptions: getConversionOptions(options, environment)
+    });
+}
+
+// The options that change how a collection is converted, shared by every export
+function getConversionOptions(options, environment) {
+    const {
+        resolveVariables,
+        inferSchemas = true,
+        converter,
+        collectionConverters,
+        includeItems,
+        excludeItems,
+        collectionItems,
+        redaction,
+        plugins,
+        tagStrategy,
+        operationIds,
+        operationIdStyle
+    } = options;
+    return {
+        environment,
+        resolveVariables,
+        inferSchemas,
+        converter,
+        collectionConverters,
+        includeItems,
+        excludeItems,
+        collectionItems,
+        redaction,
+        plugins,
+        tagStrategy,
+        operationIds,
+        operationIdStyle
+    };
+}
+
+function filterCollections(collections, { ids = [], names = [], include, exclude } = {}) {
+    if (!collections || !Array.isArray(collections)) {
+        return [];
     }
 
     return collections.filter(collection => {
-        const matchesId = collectionIds.length === 0 || collectionIds.includes(collection.uid);
-        const matchesName = collectionNames.length === 0 || 
-            collectionNames.some(name => 
-                collection.name.toLowerCase().includes(name.toLowerCase())
-            );
-        return matchesId || matchesName;
+        // A collection is selected when it matches any of the given IDs or names
+        const matchesId = ids.includes(collection.uid) ||
+            Boolean(collection.id && ids.includes(collection.id));
+        const matchesName = names.some(name =>
+            collection.name.toLowerCase().includes(name.toLowerCase())
+        );
+        const selected = (ids.length === 0 && names.length === 0) || matchesId || matchesName;
+        // and it also has to pass the include/exclude patterns
+        return selected && matchesFilters(collection.name, { include, exclude });
     });
 }
 
 module.exports = {
+    WORKSPACE_TYPES,
+    convertCollection,
     exportWorkspace,
+    exportAllWorkspaces,
+    exportCollectionsById,
+    exportFromFiles,
+    filterWorkspaces,
     getAllWorkspaces,
-    getWorkspaceCollections
+    validateWorkspace,
+    getCollection,
+    getWorkspaceCollections,
+    getWorkspaceEnvironments,
+    getEnvironment,
+    PostmanApiError,
+    AuthenticationError,
+    NotFoundError,
+    RateLimitError,
+    NetworkError,
+    MergeConflictError,
+    SpecValidationError,
+    SecretsFoundError
 }; 
\ No newline at end of file
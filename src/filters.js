@@ -0,0 +1,118 @@
+// Include/exclude filters for collection names and for the folder and request paths
+// inside a collection. A pattern is either a glob or a regex written as /body/flags.
+//
+// Globs are case-insensitive: `*` matches within one path segment, `**` across segments
+// and `?` one character. A glob without a `/` matches an item's name at any depth, so
+// `internal` excludes every folder called internal. Regexes match the full path,
+// e.g. /^Users\/(admin|internal)/i.
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+function globToRegExp(glob) {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        if (glob[i] === '*' && glob[i + 1] === '*') {
+            source += '.*';
+            i++;
+        } else if (glob[i] === '*') {
+            source += '[^/]*';
+        } else if (glob[i] === '?') {
+            source += '[^/]';
+        } else {
+            source += escapeRegExp(glob[i]);
+        }
+    }
+    return new RegExp(`^${source}$`, 'i');
+}
+
+function compilePattern(pattern) {
+    const value = String(pattern).trim();
+    const regex = value.match(/^\/(.+)\/([a-z]*)$/);
+    if (regex) {
+        // A global or sticky regex remembers lastIndex, so a second test of the same pattern could fail
+        if (/[gy]/.test(regex[2])) {
+            throw new Error(`Invalid filter pattern ${value}: the g and y flags are not supported`);
+        }
+        try {
+            return { regex: new RegExp(regex[1], regex[2]), nameOnly: false };
+        } catch (error) {
+            throw new Error(`Invalid filter pattern ${value}: ${error.message}`);
+        }
+    }
+    return { regex: globToRegExp(value), nameOnly: !value.includes('/') };
+}
+
+function compileFilters({ include = [], exclude = [] } = {}) {
+    return { include: include.map(compilePattern), exclude: exclude.map(compilePattern) };
+}
+
+function matchesAny(itemPath, patterns) {
+    const name = itemPath.split('/').pop();
+    return patterns.some(({ regex, nameOnly }) => regex.test(nameOnly ? name : itemPath));
+}
+
+// Whether a collection name passes the filters; no include patterns means everything is included
+function matchesFilters(name, filters) {
+    const { include, exclude } = compileFilters(filters);
+    return (include.length === 0 || matchesAny(name, include)) && !matchesAny(name, exclude);
+}
+
+function filterItemTree(items, filters, parentPath, parentIncluded) {
+    const kept = [];
+    for (const item of items) {
+        const itemPath = parentPath ? `${parentPath}/${item.name}` : item.name;
+        if (matchesAny(itemPath, filters.exclude)) continue;
+
+        // Everything inside an included folder is included
+        const included = parentIncluded || filters.include.length === 0 || matchesAny(itemPath, filters.include);
+        if (Array.isArray(item.item)) {
+            const children = filterItemTree(item.item, filters, itemPath, included);
+            // Folders emptied by the filters are dropped, empty ones are kept as they are
+            if (children.length > 0 || (included && item.item.length === 0)) {
+                kept.push({ ...item, item: children });
+            }
+        } else if (included) {
+            kept.push(item);
+        }
+    }
+    return kept;
+}
+
+// A copy of the collection with only the folders and requests that pass the filters
+function filterCollectionItems(collectionData, filters = {}) {
+    const compiled = compileFilters(filters);
+    if (compiled.include.length === 0 && compiled.exclude.length === 0) return collectionData;
+
+    const { collection } = collectionData;
+    return {
+        ...collectionData,
+        collection: { ...collection, item: filterItemTree(collection.item || [], compiled, '', false) }
+    };
+}
+
+// The item filters for one collection: the global ones plus the ones set for its uid, id
+// or exact name
+function getCollectionItemFilters(filters = {}, collectionFilters = {}, collection) {
+    const keys = [collection.uid, collection.id, collection.name].filter(Boolean);
+    const overrides = keys.map(key => collectionFilters[key]).filter(Boolean);
+    return {
+        include: [...(filters.include || []), ...overrides.flatMap(override => override.include || [])],
+        exclude: [...(filters.exclude || []), ...overrides.flatMap(override => override.exclude || [])]
+    };
+}
+
+// A regex pattern that matches exactly one folder or request path
+function exactPathPattern(itemPath) {
+    return `/^${escapeRegExp(itemPath)}$/`;
+}
+
+module.exports = {
+    globToRegExp,
+    compileFilters,
+    matchesFilters,
+    filterCollectionItems,
+    getCollectionItemFilters,
+    exactPathPattern
+};
@@ -0,0 +1,298 @@
+const fs = require('fs');
+const tls = require('tls');
+const { Agent, ProxyAgent, fetch: undiciFetch } = require('undici');
+const debug = require('./debug');
+const {
+    PostmanApiError,
+    AuthenticationError,
+    NotFoundError,
+    RateLimitError,
+    NetworkError
+} = require('./errors');
+
+const API_BASE = 'https://api.getpostman.com';
+const DEFAULT_MAX_ATTEMPTS = 4;
+const DEFAULT_TIMEOUT = 30000;
+const DEFAULT_MAX_RETRY_DELAY = 60000;
+const BASE_RETRY_DELAY = 500;
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+const RETRYABLE_NETWORK_CODES = [
+    'ECONNRESET',
+    'ETIMEDOUT',
+    'EPIPE',
+    'EAI_AGAIN',
+    'UND_ERR_SOCKET',
+    'UND_ERR_CONNECT_TIMEOUT',
+    'UND_ERR_HEADERS_TIMEOUT',
+    'UND_ERR_BODY_TIMEOUT'
+];
+
+// Options of makeApiRequest that callers pass through from their own options
+const REQUEST_OPTIONS = ['maxAttempts', 'timeout', 'baseUrl', 'headers', 'caCerts'];
+
+// Shared by every request so parallel callers all pause once the API rate limits us
+let rateLimitedUntil = 0;
+
+// One dispatcher per proxy and CA bundle, so connections are reused across requests
+const dispatchers = new Map();
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function getHeader(response, name) {
+    if (!response.headers || typeof response.headers.get !== 'function') return null;
+    return response.headers.get(name);
+}
+
+// Milliseconds to wait according to Retry-After or the rate-limit reset headers
+function parseRetryAfter(response) {
+    const retryAfter = getHeader(response, 'retry-after');
+    if (retryAfter) {
+        const seconds = Number(retryAfter);
+        if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+        const date = Date.parse(retryAfter);
+        if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+    }
+
+    const reset = getHeader(response, 'x-ratelimit-reset') || getHeader(response, 'ratelimit-reset');
+    if (reset) {
+        const value = Number(reset);
+        if (!Number.isNaN(value)) {
+            // Either an epoch timestamp in seconds or the seconds left in the window
+            return Math.max(0, value > 1e9 ? value * 1000 - Date.now() : value * 1000);
+        }
+    }
+
+    return undefined;
+}
+
+function getBackoffDelay(attempt) {
+    const exponential = BASE_RETRY_DELAY * 2 ** (attempt - 1);
+    // Jitter keeps parallel requests from retrying in lockstep
+    return Math.round(exponential / 2 + Math.random() * exponential / 2);
+}
+
+async function waitForRateLimit() {
+    const wait = rateLimitedUntil - Date.now();
+    if (wait > 0) {
+        debug(`Rate limited, waiting ${wait}ms before the next request`);
+        await sleep(wait);
+    }
+}
+
+function trackRateLimit(response) {
+    if (getHeader(response, 'x-ratelimit-remaining') !== '0') return;
+    const wait = parseRetryAfter(response);
+    if (wait) {
+        rateLimitedUntil = Math.max(rateLimitedUntil, Date.now() + wait);
+    }
+}
+
+function createHttpError(response, data) {
+    const message = data && data.error
+        ? `${data.error.name}: ${data.error.message}`
+        : `HTTP ${response.status}${response.statusText ? ` ${response.statusText}` : ''}`;
+    const details = { status: response.status, response: data };
+
+    switch (response.status) {
+    case 401:
+    case 403:
+        return new AuthenticationError(message, details);
+    case 404:
+        return new NotFoundError(message, details);
+    case 429:
+        return new RateLimitError(message, { ...details, retryAfter: parseRetryAfter(response) });
+    default:
+        return new PostmanApiError(message, details);
+    }
+}
+
+function createNetworkError(error, timeout) {
+    if (error && (error.name === 'AbortError' || error.name === 'TimeoutError')) {
+        return new NetworkError(`Network error: Request timed out after ${timeout}ms`, {
+            code: 'ETIMEDOUT',
+            cause: error
+        });
+    }
+    const code = error && (error.code || (error.cause && error.cause.code));
+    return new NetworkError(`Network error: Unable to connect to Postman API${code ? ` (${code})` : ''}`, {
+        code,
+        cause: error
+    });
+}
+
+// The request options out of an export's options
+function getRequestOptions(options = {}) {
+    return Object.fromEntries(REQUEST_OPTIONS.filter(key => options[key] !== undefined).map(key => [key, options[key]]));
+}
+
+// Paths are relative to the base URL: the option, POSTMAN_API_BASE_URL or the Postman API
+function resolveUrl(url, baseUrl) {
+    if (!url.startsWith('/')) return url;
+    const base = baseUrl || process.env.POSTMAN_API_BASE_URL || API_BASE;
+    if (!/^https?:\/\/[^/]+/i.test(base)) {
+        throw new Error(`Invalid API base URL: ${base} (expected an http:// or https:// URL)`);
+    }
+    return `${base.replace(/\/+$/, '')}${url}`;
+}
+
+function getEnv(env, name) {
+    return env[name.toLowerCase()] || env[name.toUpperCase()] || '';
+}
+
+// NO_PROXY entries are hosts, domains (with or without a leading dot or *.) or host:port,
+// and * turns the proxy off for everything
+function isNoProxy(url, noProxy) {
+    const { hostname, port } = new URL(url);
+    const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    return noProxy.split(/[\s,]+/).filter(Boolean).some(entry => {
+        if (entry === '*') return true;
+        const [, name, entryPort] = entry.toLowerCase().match(/^\*?\.?(.*?)(?::(\d+))?$/);
+        if (entryPort && entryPort !== port) return false;
+        return host === name || host.endsWith(`.${name}`);
+    });
+}
+
+// The proxy for a URL from HTTPS_PROXY or HTTP_PROXY, unless NO_PROXY excludes it
+function getProxyUrl(url, env = process.env) {
+    const proxy = url.startsWith('https:') ? getEnv(env, 'https_proxy') : getEnv(env, 'http_proxy');
+    if (!proxy || isNoProxy(url, getEnv(env, 'no_proxy'))) return null;
+    return /^[a-z][a-z0-9+.-]*:\/\//i.test(proxy) ? proxy : `http://${proxy}`;
+}
+
+// Extra CA certificates are trusted on top of the built-in ones, not instead of them
+function loadCaCerts(files) {
+    const extra = [process.env.NODE_EXTRA_CA_CERTS, ...files].filter(Boolean);
+    return [...tls.rootCertificates, ...extra.map(file => {
+        try {
+            return fs.readFileSync(file, 'utf8');
+        } catch (error) {
+            throw new Error(`Could not read CA certificate ${file}: ${error.message}`);
+        }
+    })];
+}
+
+// Requests go through undici when they need a proxy or extra CA certificates, and through
+// the built-in fetch otherwise
+function getDispatcher(url, caCerts = []) {
+    const proxy = getProxyUrl(url);
+    const files = [].concat(caCerts);
+    if (!proxy && files.length === 0) return null;
+
+    const key = JSON.stringify([proxy, files]);
+    if (!dispatchers.has(key)) {
+        const ca = files.length > 0 ? loadCaCerts(files) : undefined;
+        debug(`Using ${proxy ? `proxy ${proxy.replace(/\/\/[^@/]*@/, '//***@')}` : 'direct connection'}${ca ? ` with ${files.length} extra CA certificate file(s)` : ''}`);
+        dispatchers.set(key, proxy
+            ? new ProxyAgent({ uri: proxy, ...(ca ? { requestTls: { ca }, proxyTls: { ca } } : {}) })
+            : new Agent({ connect: { ca } }));
+    }
+    return dispatchers.get(key);
+}
+
+function isRetryable(error) {
+    if (error instanceof NetworkError) {
+        return RETRYABLE_NETWORK_CODES.includes(error.code);
+    }
+    return error instanceof PostmanApiError && RETRYABLE_STATUSES.includes(error.status);
+}
+
+async function sendRequest(url, apiKey, options, timeout) {
+    if (typeof globalThis.fetch !== 'function') {
+        throw new Error('This tool requires Node.js version 18 or later with built-in fetch support');
+    }
+
+    const dispatcher = getDispatcher(url, options.caCerts);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    try {
+        let response;
+        try {
+            response = await (dispatcher ? undiciFetch : globalThis.fetch)(url, {
+                method: options.method || 'GET',
+                headers: {
+                    'X-Api-Key': apiKey,
+                    'Accept': 'application/json',
+                    ...options.headers
+                },
+                ...(options.body && { body: options.body }),
+                ...(dispatcher && { dispatcher }),
+                signal: controller.signal
+            });
+        } catch (error) {
+            throw createNetworkError(error, timeout);
+        }
+
+        debug('Response status:', response.status);
+        debug('Response headers:', response.headers ? Object.fromEntries(response.headers) : {});
+
+        let data;
+        try {
+            data = await response.json();
+        } catch (error) {
+            if (controller.signal.aborted) throw createNetworkError(error, timeout);
+            if (response.ok) throw new PostmanApiError('Invalid JSON response from Postman API', { status: response.status });
+            data = {};
+        }
+        debug('Response data:', data);
+
+        if (!response.ok) {
+            throw createHttpError(response, data);
+        }
+
+        trackRateLimit(response);
+        return data;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+async function makeApiRequest(path, apiKey, options = {}) {
+    const url = resolveUrl(path, options.baseUrl);
+    const maxAttempts = Math.max(1, options.maxAttempts || DEFAULT_MAX_ATTEMPTS);
+    const timeout = options.timeout || DEFAULT_TIMEOUT;
+    const maxRetryDelay = options.maxRetryDelay || DEFAULT_MAX_RETRY_DELAY;
+
+    for (let attempt = 1; ; attempt++) {
+        await waitForRateLimit();
+        debug(`Making request to: ${url}${attempt > 1 ? ` (attempt ${attempt} of ${maxAttempts})` : ''}`);
+
+        try {
+            return await sendRequest(url, apiKey, options, timeout);
+        } catch (error) {
+            debug('Request failed:', {
+                error: error.message,
+                status: error.status,
+                response: error.response
+            });
+
+            if (!isRetryable(error) || attempt >= maxAttempts) {
+                throw error;
+            }
+
+            if (error instanceof RateLimitError) {
+                const wait = error.retryAfter !== undefined ? error.retryAfter : getBackoffDelay(attempt);
+                // Waiting out a long quota window is not worth it, let the caller decide
+                if (wait > maxRetryDelay) {
+                    throw error;
+                }
+                rateLimitedUntil = Math.max(rateLimitedUntil, Date.now() + wait);
+            } else {
+                const wait = getBackoffDelay(attempt);
+                debug(`Retrying in ${wait}ms`);
+                await sleep(wait);
+            }
+        }
+    }
+}
+
+module.exports = {
+    API_BASE,
+    getRequestOptions,
+    getProxyUrl,
+    makeApiRequest,
+    parseRetryAfter,
+    getBackoffDelay
+};
@@ -1,15 +1,130 @@
 #!/usr/bin/env node
 require('dotenv').config();
-const { program } = require('commander');
+const fs = require('fs');
+const path = require('path');
+const { program, Option, InvalidArgumentError } = require('commander');
 const inquirer = require('inquirer');
 const chalk = require('chalk');
 const ora = require('ora');
-const { exportWorkspace, getAllWorkspaces, getWorkspaceCollections } = require('./exporter');
+const {
+    WORKSPACE_TYPES,
+    exportWorkspace,
+    exportAllWorkspaces,
+    exportFromFiles,
+    getAllWorkspaces,
+    validateWorkspace,
+    getCollection
+} = require('./exporter');
+const { exactPathPattern } = require('./filters');
+const { DEFAULT_INTERVAL, watchWorkspace } = require('./watch');
+const { CURRENT_VERSION, getWorkspaceApis, getApiVersions, getApiDetails, exportApiDefinitions } = require('./definitions');
+const { CONFLICT_STRATEGIES, formatConflict } = require('./merge');
+const { diffSpecs, formatDiff, buildDiffReport } = require('./diff');
+const { parseSpec, normalizeFormat, serializeSpec } = require('./output');
+const { bundleFile } = require('./bundle');
+const { DEFAULT_PORT, DEFAULT_HOST, startMockServer } = require('./mock');
+const { FILENAME_TOKENS, DEFAULT_FILENAME_TEMPLATE, COLLISION_STRATEGIES } = require('./naming');
+const { BUILTIN_PLUGINS } = require('./transforms');
+const { TAG_STRATEGIES, OPERATION_ID_STRATEGIES, OPERATION_ID_STYLES } = require('./tags');
+const { getRequestOptions } = require('./http');
+const { CONFIG_FILES, findConfigFile, loadConfigFile, resolveProfile } = require('./config');
+const { LINT_RULES, normalizeLintRules, formatIssue, buildValidationReport } = require('./validate');
+const { buildRedactionReport } = require('./redact');
+const { EXIT_CODES, REPORT_FORMATS, getErrorExitCode, getResultsExitCode, buildRunReport, writeRunReport } = require('./report');
 
 // Register inquirer prompts
 inquirer.registerPrompt('search-list', require('inquirer-search-list'));
 inquirer.registerPrompt('checkbox-plus', require('inquirer-checkbox-plus-prompt'));
 
+function parsePositiveInt(value) {
+    const parsed = parseInt(value, 10);
+    if (Number.isNaN(parsed) || parsed < 1) {
+        throw new InvalidArgumentError('Must be a positive integer.');
+    }
+    return parsed;
+}
+
+// Repeatable "Name: value" request headers
+function parseHeader(value, previous = {}) {
+    const match = value.match(/^([^:\s]+)\s*:\s*(.*)$/);
+    if (!match) {
+        throw new InvalidArgumentError('Expected a header as "Name: value".');
+    }
+    return { ...previous, [match[1]]: match[2] };
+}
+
+function collect(value, previous = []) {
+    return [...previous, value];
+}
+
+// Comma or newline separated values, or a list from the config file
+function splitList(value) {
+    const values = Array.isArray(value) ? value : String(value).replace(/[\n\r]+/g, ',').split(',');
+    return values.map(item => String(item).trim()).filter(Boolean);
+}
+
+// Options holding comma-separated lists on the command line
+const LIST_OPTIONS = [
+    'ids',
+    'names',
+    'includeWorkspaces',
+    'excludeWorkspaces',
+    'workspaceTypes',
+    'includeCollections',
+    'excludeCollections',
+    'includeItems',
+    'excludeItems',
+    'apis',
+    'apiVersions',
+    'schemas'
+];
+
+function splitListOptions(options) {
+    const split = { ...options };
+    for (const key of LIST_OPTIONS) {
+        if (split[key]) {
+            split[key] = splitList(split[key]);
+        }
+    }
+    return split;
+}
+
+// Fill options that were not given on the command line from the config file's profile
+function applyConfig(options, command) {
+    const file = options.config || findConfigFile();
+    if (!file) {
+        if (options.profile) {
+            throw new Error(`No config file found for profile ${options.profile} (looked for ${CONFIG_FILES.join(', ')})`);
+        }
+        return options;
+    }
+
+    const profile = resolveProfile(loadConfigFile(file), options.profile);
+    const merged = { ...options };
+    for (const [key, value] of Object.entries(profile)) {
+        // CLI flags win over the config, built-in defaults don't
+        if (merged[key] === undefined || command.getOptionValueSource(key) === 'default') {
+            merged[key] = value;
+        }
+    }
+    return merged;
+}
+
+// rule=severity pairs, e.g. "operation-summary=off,response-schema=error"
+function parseLintRules(value) {
+    const rules = {};
+    for (const pair of value.split(',').map(part => part.trim()).filter(Boolean)) {
+        const [rule, severity] = pair.split('=').map(part => part.trim());
+        rules[rule] = severity;
+    }
+    try {
+        normalizeLintRules(rules);
+    } catch (error) {
+        throw new InvalidArgumentError(error.message);
+    }
+    return rules;
+}
+
 function displayWelcomeBanner() {
     const title = 'Postman OpenAPI Exporter';
     const version = 'Version 1.1.0';
@@ -30,10 +145,10 @@ function displayWelcomeBanner() {
     console.log(chalk.bold.cyan(`╰${line}╯\n`));
 }
 
-async function selectWorkspace(apiKey) {
+async function selectWorkspace(apiKey, requestOptions) {
     const spinner = ora('Fetching workspaces...').start();
     try {
-        const workspaces = await getAllWorkspaces(apiKey);
+        const workspaces = await getAllWorkspaces(apiKey, requestOptions);
         spinner.stop();
 
         if (!workspaces || workspaces.length === 0) {
@@ -78,54 +193,382 @@ async function selectWorkspace(apiKey) {
     }
 }
 
-async function selectCollections(workspaceId, apiKey) {
-    const spinner = ora('Fetching collections...').start();
+async function fetchWorkspace(workspaceId, apiKey, requestOptions) {
+    const spinner = ora('Fetching workspace...').start();
     try {
-        const collections = await getWorkspaceCollections(workspaceId, apiKey);
+        const workspace = await validateWorkspace(workspaceId, apiKey, requestOptions);
         spinner.stop();
+        return workspace;
+    } catch (error) {
+        spinner.fail('Failed to fetch workspace');
+        throw error;
+    }
+}
 
-        if (!collections || collections.length === 0) {
-            throw new Error('No collections found in this workspace');
-        }
+async function selectEnvironment(environments) {
+    // Nothing to choose from, export without an environment
+    if (environments.length === 0) {
+        return undefined;
+    }
+
+    const { environment } = await inquirer.prompt({
+        type: 'search-list',
+        name: 'environment',
+        message: 'Select an environment for server URLs and variables (type to search):',
+        choices: [
+            { name: 'No environment', value: '', short: 'None' },
+            ...environments.map(env => ({
+                name: env.name,
+                value: env.uid || env.id,
+                short: env.name
+            }))
+        ]
+    });
 
-        const { selectedCollections } = await inquirer.prompt({
-            type: 'checkbox-plus',
-            name: 'selectedCollections',
-            message: 'Select collections to export (type to search, space to select, enter to confirm):',
-            choices: collections.map(col => ({
+    return environment || undefined;
+}
+
+async function selectCollections(collections) {
+    if (!collections || collections.length === 0) {
+        throw new Error('No collections found in this workspace');
+    }
+
+    const { selectedCollections } = await inquirer.prompt({
+        type: 'checkbox-plus',
+        name: 'selectedCollections',
+        message: 'Select collections to export (type to search, space to select, enter to confirm):',
+        choices: collections.map(col => ({
+            name: col.name,
+            value: col.uid,
+            short: col.name,
+            checked: false
+        })),
+        searchable: true,
+        highlight: true,
+        source: async (answersSoFar, input) => {
+            if (!input) return collections.map(col => ({
                 name: col.name,
                 value: col.uid,
                 short: col.name,
                 checked: false
-            })),
-            searchable: true,
-            highlight: true,
-            source: async (answersSoFar, input) => {
-                if (!input) return collections.map(col => ({
+            }));
+
+            return collections
+                .filter(col => col.name.toLowerCase().includes(input.toLowerCase()))
+                .map(col => ({
                     name: col.name,
                     value: col.uid,
                     short: col.name,
                     checked: false
                 }));
+        }
+    });
+
+    return selectedCollections;
+}
+
+// Folders of a collection as an indented tree of checkbox choices, all checked
+function getFolderChoices(items, parentPath = '', depth = 0) {
+    return items.filter(item => Array.isArray(item.item)).flatMap(folder => {
+        const folderPath = parentPath ? `${parentPath}/${folder.name}` : folder.name;
+        return [
+            { name: `${'  '.repeat(depth)}${folder.name}`, value: folderPath, short: folderPath, checked: true },
+            ...getFolderChoices(folder.item, folderPath, depth + 1)
+        ];
+    });
+}
+
+// Let the user uncheck folders of the selected collections. Returns the item filters
+// per collection uid, excluding the unchecked folders by their exact path.
+async function selectFolders(collectionIds, apiKey, requestOptions) {
+    const { drillDown } = await inquirer.prompt({
+        type: 'confirm',
+        name: 'drillDown',
+        message: 'Choose folders inside the selected collections?',
+        default: false
+    });
+    if (!drillDown) return {};
+
+    const collectionItems = {};
+    for (const uid of collectionIds) {
+        const spinner = ora('Fetching collection folders...').start();
+        let collection;
+        try {
+            ({ collection } = await getCollection(uid, apiKey, requestOptions));
+            spinner.stop();
+        } catch (error) {
+            spinner.fail('Failed to fetch collection');
+            throw error;
+        }
+
+        const choices = getFolderChoices(collection.item || []);
+        if (choices.length === 0) continue;
+
+        const { folders } = await inquirer.prompt({
+            type: 'checkbox',
+            name: 'folders',
+            message: `Folders of ${collection.info.name} to export (space to uncheck, an unchecked folder leaves out everything in it):`,
+            choices,
+            pageSize: 20
+        });
+        const excluded = choices.map(choice => choice.value).filter(folderPath => !folders.includes(folderPath));
+        if (excluded.length > 0) {
+            collectionItems[uid] = { exclude: excluded.map(exactPathPattern) };
+        }
+    }
+    return collectionItems;
+}
+
+// Pick APIs, then the versions and (when there are several) schemas of each. Returns the
+// selection exportApiDefinitions takes.
+async function selectApiDefinitions(workspaceId, apiKey, requestOptions) {
+    const spinner = ora('Fetching APIs...').start();
+    try {
+        const apis = await getWorkspaceApis(workspaceId, apiKey, requestOptions);
+        spinner.stop();
+
+        if (apis.length === 0) {
+            throw new Error('No APIs found in this workspace');
+        }
+
+        const { apiIds } = await inquirer.prompt({
+            type: 'checkbox',
+            name: 'apiIds',
+            message: 'Select APIs to export (space to select, enter to confirm):',
+            choices: apis.map(api => ({ name: api.name, value: api.id, short: api.name }))
+        });
+
+        const selection = [];
+        for (const apiId of apiIds) {
+            const api = apis.find(candidate => candidate.id === apiId);
+            spinner.start(`Fetching versions of ${api.name}...`);
+            const versions = await getApiVersions(apiId, apiKey, requestOptions);
+            spinner.stop();
+
+            let versionIds = [CURRENT_VERSION];
+            if (versions.length > 0) {
+                ({ versionIds } = await inquirer.prompt({
+                    type: 'checkbox',
+                    name: 'versionIds',
+                    message: `Versions of ${api.name} to export:`,
+                    choices: [
+                        { name: 'Current state', value: CURRENT_VERSION, checked: true },
+                        ...versions.map(version => ({ name: version.name, value: version.id }))
+                    ]
+                }));
+            }
+
+            for (const versionId of versionIds) {
+                const version = versions.find(candidate => candidate.id === versionId) || null;
+                spinner.start(`Fetching schemas of ${api.name}...`);
+                const details = await getApiDetails(apiId, version && version.id, apiKey, requestOptions);
+                spinner.stop();
 
-                return collections
-                    .filter(col => col.name.toLowerCase().includes(input.toLowerCase()))
-                    .map(col => ({
-                        name: col.name,
-                        value: col.uid,
-                        short: col.name,
-                        checked: false
+                let schemaIds = [];
+                const schemas = details.schemas || [];
+                if (schemas.length > 1) {
+                    ({ schemaIds } = await inquirer.prompt({
+                        type: 'checkbox',
+                        name: 'schemaIds',
+                        message: `Schemas of ${api.name}${version ? ` (${version.name})` : ''} to export:`,
+                        choices: schemas.map(schema => ({ name: `${schema.type} (${schema.id})`, value: schema.id, checked: true }))
                     }));
+                }
+                selection.push({ apiId, version, schemaIds });
             }
-        });
+        }
 
-        return selectedCollections;
+        return selection;
     } catch (error) {
-        spinner.fail('Failed to fetch collections');
+        spinner.fail('Failed to fetch APIs');
         throw error;
     }
 }
 
+async function confirmStaleFiles(stale, spinner, interactive) {
+    spinner.stop();
+    console.log(chalk.yellow('\nOutput files of collections that were deleted or renamed:'));
+    stale.forEach(entry => console.log(chalk.yellow(`  ${entry.file} (${entry.name}, ${entry.reason})`)));
+
+    let remove = false;
+    if (interactive) {
+        ({ remove } = await inquirer.prompt({
+            type: 'confirm',
+            name: 'remove',
+            message: 'Remove these files?',
+            default: false
+        }));
+    } else {
+        console.log(chalk.yellow('Run with --prune to remove them.'));
+    }
+
+    spinner.start();
+    return remove;
+}
+
+function readSpecFile(file) {
+    try {
+        return parseSpec(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read spec ${file}: ${error.message}`);
+    }
+}
+
+function printResults(results) {
+    console.log('\nExported collections:');
+    results.forEach(result => {
+        if (result.skipped) {
+            console.log(chalk.gray(`- ${result.name} (unchanged)`));
+        } else if (result.success && result.schema) {
+            const fileCount = result.files.length || Object.keys(result.contents || {}).length;
+            console.log(chalk.green(`✓ ${result.name} (${result.schema.type}, ${fileCount} file(s))`));
+        } else if (result.success) {
+            console.log(chalk.green(`✓ ${result.name}${result.fallback ? ' (converted from the API\'s collection)' : ''}`));
+        } else {
+            console.log(chalk.red(`✗ ${result.name}: ${result.error}`));
+        }
+    });
+}
+
+// Print lint and schema issues once per written file
+function printValidation(results) {
+    const seen = new Set();
+    for (const result of results) {
+        const key = result.file || result.name;
+        if (!result.validation || seen.has(key)) continue;
+        seen.add(key);
+
+        const { errors, warnings } = result.validation;
+        if (errors.length === 0 && warnings.length === 0) continue;
+        console.log(`\nValidation of ${result.file || result.name}: ${errors.length} error(s), ${warnings.length} warning(s)`);
+        errors.forEach(issue => console.log(chalk.red(formatIssue(issue))));
+        warnings.forEach(issue => console.log(chalk.yellow(formatIssue(issue))));
+    }
+}
+
+// Summarize what was redacted and write the report when asked for
+function printRedactions(results, reportFile) {
+    const report = buildRedactionReport(results);
+    if (report.summary.redactions > 0) {
+        const rules = Object.entries(report.summary.byRule).map(([rule, count]) => `${rule}: ${count}`).join(', ');
+        console.log(chalk.yellow(`\nRedacted ${report.summary.redactions} value(s) in ${report.summary.collections} collection(s) (${rules})`));
+    }
+    if (reportFile) {
+        writeJsonReport(reportFile, report);
+        console.log(`\nRedaction report written to ${reportFile}`);
+    }
+}
+
+function writeJsonReport(file, report) {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(report, null, 2));
+}
+
+// Print the diff of each written file against its previous export.
+// Returns the JSON report of every file that had a previous version.
+function printExportDiffs(results) {
+    const entries = [];
+    const seen = new Set();
+    for (const result of results) {
+        // Merged collections share one file and one diff
+        if (!result.success || result.skipped || seen.has(result.file)) continue;
+        seen.add(result.file);
+        if (!result.diff) continue;
+        entries.push({ name: result.name, file: result.file, diff: result.diff });
+    }
+
+    if (entries.length > 0) {
+        console.log('\nChanges since the previous export:');
+        entries.forEach(entry => {
+            const output = formatDiff(entry.diff, entry.file);
+            console.log(entry.diff.summary.breaking > 0 ? chalk.red(output) : output);
+        });
+    }
+    return buildDiffReport(entries);
+}
+
+// One line per workspace and the totals over all of them. Returns the number of
+// workspaces with a failure.
+function printWorkspaceSummary(workspaceResults) {
+    const totals = { exported: 0, unchanged: 0, failed: 0 };
+    console.log('\nWorkspace Summary:');
+    for (const entry of workspaceResults) {
+        const exported = entry.results.filter(result => result.success && !result.skipped).length;
+        const unchanged = entry.results.filter(result => result.skipped).length;
+        const failed = entry.results.filter(result => !result.success).length;
+        totals.exported += exported;
+        totals.unchanged += unchanged;
+        totals.failed += failed;
+
+        const label = `${entry.workspace.name} (${entry.workspace.type}) → ${entry.slug}`;
+        if (entry.error) {
+            console.log(chalk.red(`✗ ${label}: ${entry.error.message}`));
+        } else if (entry.results.length === 0) {
+            console.log(chalk.gray(`- ${label}: no matching collections`));
+        } else {
+            const counts = `${exported} exported, ${unchanged} unchanged, ${failed} failed`;
+            console.log(entry.success ? chalk.green(`✓ ${label}: ${counts}`) : chalk.red(`✗ ${label}: ${counts}`));
+        }
+    }
+
+    const failedWorkspaces = workspaceResults.filter(entry => !entry.success).length;
+    console.log(`\nWorkspaces: ${workspaceResults.length - failedWorkspaces} succeeded, ${failedWorkspaces} failed`);
+    console.log(`Collections: ${totals.exported} exported, ${totals.unchanged} unchanged, ${totals.failed} failed`);
+    return failedWorkspaces;
+}
+
+// Export options shared by the export and watch commands
+function getExportOptions(options) {
+    return {
+        apiKey: options.apiKey,
+        ids: options.ids || [],
+        names: options.names || [],
+        format: options.format,
+        filenameTemplate: options.filenameTemplate,
+        filenameCollision: options.onFilenameCollision,
+        split: options.split,
+        maxAttempts: options.maxAttempts,
+        timeout: options.timeout,
+        concurrency: options.concurrency,
+        environment: options.environment,
+        resolveVariables: options.resolveVariables,
+        inferSchemas: options.inferSchemas,
+        tagStrategy: options.tagStrategy,
+        operationIds: options.operationIds,
+        operationIdStyle: options.operationIdStyle,
+        strict: options.strict,
+        lintRules: options.lintRules,
+        converter: options.converter,
+        collectionConverters: options.collections,
+        includeCollections: options.includeCollections,
+        excludeCollections: options.excludeCollections,
+        includeItems: options.includeItems,
+        excludeItems: options.excludeItems,
+        collectionItems: options.collectionItems,
+        redaction: options.redact === false ? { ...options.redaction, enabled: false } : options.redaction,
+        failOnSecrets: options.failOnSecrets,
+        maxFailures: options.maxFailures,
+        continueOnError: options.continueOnError,
+        pruneStale: options.prune,
+        // Headers and CA certificates from the command line add to the config's
+        baseUrl: options.apiBaseUrl,
+        headers: options.headers || options.header ? { ...options.headers, ...options.header } : undefined,
+        caCerts: options.caCerts || options.caCert ? [].concat(options.caCerts || [], options.caCert || []) : undefined,
+        // Plugins from the command line run after the config's
+        plugins: options.plugins || options.plugin ? [].concat(options.plugins || [], options.plugin || []) : undefined
+    };
+}
+
+// No banner, spinners or colors when the output is not a terminal, e.g. in CI logs
+function isPlainOutput(options) {
+    return Boolean(options.plain || !process.stdout.isTTY);
+}
+
+function writeReport(options, report) {
+    const format = writeRunReport(options.report, report, options.reportFormat);
+    console.log(`\nRun report (${format}) written to ${options.report}`);
+}
+
 async function promptForMissingOptions(options) {
     const questions = [];
     
@@ -135,7 +578,8 @@ async function promptForMissingOptions(options) {
         console.log(chalk.yellow('Using debug API key from environment'));
     }
     
-    if (!options.apiKey) {
+    // Local collection files don't need the Postman API
+    if (!options.apiKey && !options.fromFile) {
         questions.push({
             type: 'password',
             name: 'apiKey',
@@ -154,111 +598,538 @@ async function promptForMissingOptions(options) {
         });
     }
 
+    if (!options.format) {
+        questions.push({
+            type: 'list',
+            name: 'format',
+            message: 'Select output format:',
+            choices: [
+                { name: 'JSON', value: 'json' },
+                { name: 'YAML', value: 'yaml' }
+            ],
+            default: 'json'
+        });
+    }
+
     const answers = await inquirer.prompt(questions);
+
+    if (options.fromFile) {
+        return {
+            ...options,
+            output: options.output || answers.output,
+            format: options.format || answers.format
+        };
+    }
+
     const apiKey = options.apiKey || answers.apiKey;
 
+    // Every workspace is exported, so there is nothing to pick
+    if (options.allWorkspaces) {
+        return {
+            ...options,
+            apiKey: apiKey,
+            output: options.output || answers.output,
+            format: options.format || answers.format
+        };
+    }
+    const requestOptions = getRequestOptions(getExportOptions(options));
+
     // Interactive workspace selection
-    const workspaceId = options.workspace || await selectWorkspace(apiKey);
+    const workspaceId = options.workspace || await selectWorkspace(apiKey, requestOptions);
+
+    // Fetch the workspace once for both the environment and the collection prompts
+    const selectIds = !options.apiDefinitions && !options.ids && !options.names;
+    const workspace = (!options.environment || selectIds) &&
+        await fetchWorkspace(workspaceId, apiKey, requestOptions);
+
+    const environment = options.environment || await selectEnvironment(workspace.environments || []);
 
     // Interactive collection selection if no filters provided
     let ids = options.ids || [];
     let names = options.names || [];
+    let collectionItems = options.collectionItems;
+    let apiSelection;
 
-    if (!options.ids && !options.names) {
-        ids = await selectCollections(workspaceId, apiKey);
+    if (options.apiDefinitions) {
+        // Definitions are picked per API instead of per collection
+        if (!options.apis) {
+            apiSelection = await selectApiDefinitions(workspaceId, apiKey, requestOptions);
+        }
+    } else if (selectIds) {
+        ids = await selectCollections(workspace.collections);
+        collectionItems = await selectFolders(ids, apiKey, requestOptions);
     }
 
     return {
         ...options,
         workspace: workspaceId,
         apiKey: apiKey,
+        environment: environment,
         output: options.output || answers.output,
+        format: options.format || answers.format,
         ids: ids,
-        names: names
+        names: names,
+        collectionItems: collectionItems,
+        apiSelection: apiSelection
     };
 }
 
-program
+// Options of the export and watch commands
+function addExportOptions(command) {
+    return command
+        .option('--config <file>', `Config file (default: ${CONFIG_FILES.join(', ')} in the current directory)`)
+        .option('-p, --profile <name>', 'Config file profile to use')
+        .option('-w, --workspace <id>', 'Postman workspace ID')
+        .option('-k, --api-key <key>', 'Postman API key')
+        .option('-o, --output <dir>', 'Output directory')
+        .option('-i, --ids <ids>', 'Collection IDs (comma-separated)')
+        .option('-n, --names <names>', 'Collection names (comma-separated)')
+        .option('--include-collections <patterns>', 'Only collections whose name matches one of these globs or /regexes/ (comma-separated)')
+        .option('--exclude-collections <patterns>', 'Skip collections whose name matches one of these globs or /regexes/ (comma-separated)')
+        .option('--include-items <patterns>', 'Only convert folders and requests whose path matches one of these globs or /regexes/ (comma-separated)')
+        .option('--exclude-items <patterns>', 'Leave out folders and requests whose path matches one of these globs or /regexes/, e.g. internal,admin (comma-separated)')
+        .option('-e, --environment <id|name>', 'Postman environment used for server URLs and variables (a file path with --from-file)')
+        .option('--no-infer-schemas', 'Keep the converter\'s schemas instead of inferring them from saved examples')
+        .addOption(new Option('--tag-strategy <strategy>', 'Tag operations by their top-level folder, their full folder path, or full paths grouped by top folder in x-tagGroups')
+            .choices(TAG_STRATEGIES))
+        .addOption(new Option('--operation-ids <strategy>', 'Generate unique operationIds from request names (an explicit [id] in a name wins) or from method and path')
+            .choices(OPERATION_ID_STRATEGIES))
+        .addOption(new Option('--operation-id-style <style>', 'Case of generated operationIds (default: camel)')
+            .choices(OPERATION_ID_STYLES))
+        .option('--resolve-variables', 'Replace {{variables}} inline in paths and examples (secret values are never written)')
+        .option('--prune', 'Remove output files of deleted or renamed collections without asking')
+        .option('--strict', 'Count lint errors as failed exports (schema errors always fail)')
+        .option('--lint-rules <rules>', `Lint rule severities as rule=error|warn|off pairs (rules: ${Object.keys(LINT_RULES).join(', ')})`, parseLintRules)
+        .option('--no-redact', 'Keep tokens, passwords and emails found in the collections instead of replacing them with placeholders')
+        .option('--fail-on-secrets', 'Fail the collections that contain secrets instead of redacting them')
+        .option('--redaction-report <file>', 'Write what was redacted (rule and location, never the value) to a JSON report')
+        .option('--continue-on-error', 'Keep going when collections fail and exit with code 0, merging the ones that succeeded')
+        .option('--max-failures <n>', 'Stop exporting after this many collections failed', parsePositiveInt)
+        .option('--plain', 'Plain output without banner, spinners or colors (the default when the output is not a terminal)')
+        .option('-f, --format <format>', 'Output format: json or yaml (default: json)')
+        .option('--split', 'Write each spec as a root openapi file with one file per path group and schema, joined by relative $refs')
+        .option('--filename-template <template>', `Output file name without extension, from the tokens ${FILENAME_TOKENS.map(token => `{${token}}`).join(', ')} (default: ${DEFAULT_FILENAME_TEMPLATE})`)
+        .addOption(new Option('--on-filename-collision <strategy>', 'How to handle collections that would be written to the same file (default: suffix, which appends their uid)')
+            .choices(COLLISION_STRATEGIES))
+        .option('-c, --concurrency <n>', 'Number of collections to export in parallel (default: 1)', parsePositiveInt)
+        .option('--max-attempts <n>', 'Maximum attempts per API request, including retries (default: 4)', parsePositiveInt)
+        .option('--timeout <ms>', 'Timeout per API request in milliseconds (default: 30000)', parsePositiveInt)
+        .option('--api-base-url <url>', 'Postman API base URL, e.g. of a mock server (default: POSTMAN_API_BASE_URL or https://api.getpostman.com)')
+        .option('-H, --header <header>', 'Extra request header as "Name: value" (repeatable)', parseHeader)
+        .option('--ca-cert <file>', 'Extra trusted CA certificate file in PEM format (repeatable)', collect)
+        .option('--plugin <module>', `Plugin that edits the collections and specs: a CommonJS module path or a built-in (${Object.keys(BUILTIN_PLUGINS).join(', ')}); repeatable, run in order`, collect)
+        .option('-d, --debug', 'Enable debug mode');
+}
+
+addExportOptions(program
     .name('postman-export')
     .description('Export Postman collections to OpenAPI format')
     .version('1.1.0')
-    .option('-w, --workspace <id>', 'Postman workspace ID')
-    .option('-k, --api-key <key>', 'Postman API key')
-    .option('-o, --output <dir>', 'Output directory')
-    .option('-i, --ids <ids>', 'Collection IDs (comma-separated)')
-    .option('-n, --names <names>', 'Collection names (comma-separated)')
+    .enablePositionalOptions())
+    .option('--all-workspaces', 'Export every workspace the API key can see, each into <output>/<workspace-slug>/')
+    .option('--include-workspaces <names>', 'With --all-workspaces, only workspaces whose name contains one of these (comma-separated)')
+    .option('--exclude-workspaces <names>', 'With --all-workspaces, skip workspaces whose name contains one of these (comma-separated)')
+    .option('--workspace-types <types>', `With --all-workspaces, only these workspace types (comma-separated: ${WORKSPACE_TYPES.join(', ')})`)
+    .option('--force', 'Re-export every collection, even if it is unchanged since the last export')
+    .option('--validation-report <file>', 'Write schema and lint results to a JSON report')
+    .option('--diff', 'Compare each spec with the previous export and report breaking changes (exit code 2)')
+    .option('--diff-report <file>', 'Write the changes found by --diff to a JSON report')
+    .option('--api-definitions', 'Download the definitions authored in Postman\'s APIs instead of converting collections')
+    .option('--apis <ids|names>', 'With --api-definitions, the APIs to export (comma-separated IDs or names)')
+    .option('--api-versions <ids|names>', `With --api-definitions, the versions to export (comma-separated, "${CURRENT_VERSION}" for the current state; default: ${CURRENT_VERSION})`)
+    .option('--schemas <ids>', 'With --api-definitions, only these schema IDs (comma-separated)')
+    .option('--no-collection-fallback', 'With --api-definitions, fail for APIs without a schema instead of converting their collections')
+    .option('--from-file <path>', 'Convert local collection files (file, glob or directory) without the Postman API')
+    .option('-m, --merge <file>', 'Merge all exported collections into one OpenAPI document (relative to the output directory)')
+    .addOption(new Option('--on-conflict <strategy>', 'How to handle path, operationId and component collisions when merging')
+        .choices(CONFLICT_STRATEGIES)
+        .default('fail'))
+    .option('--report <file>', 'Write the status, timing, output file and error of every collection to a run report')
+    .addOption(new Option('--report-format <format>', 'Run report format (default: junit for .xml files, json otherwise)').choices(REPORT_FORMATS))
     .option('--no-interactive', 'Disable interactive prompts')
-    .option('-d, --debug', 'Enable debug mode')
     .action(async (options) => {
+        const startedAt = new Date();
         try {
-            displayWelcomeBanner();
+            // The config may set plain, so apply it before anything is printed
+            options = applyConfig(options, program);
+
+            const plain = isPlainOutput(options);
+            if (plain) {
+                chalk.level = 0;
+            } else {
+                displayWelcomeBanner();
+            }
 
             // Set debug mode if flag is present
             if (options.debug) {
                 process.env.DEBUG = 'true';
             }
 
+            options = splitListOptions(options);
+            if (options.allWorkspaces && (options.workspace || options.fromFile)) {
+                throw new Error('--all-workspaces cannot be combined with --workspace or --from-file');
+            }
+            if (options.apiDefinitions && (options.allWorkspaces || options.fromFile)) {
+                throw new Error('--api-definitions cannot be combined with --all-workspaces or --from-file');
+            }
+
             // If interactive mode and missing required options, prompt for them
             if (options.interactive) {
                 options = await promptForMissingOptions(options);
             } else {
                 // Validate required fields in non-interactive mode
-                if (!options.workspace) {
+                if (!options.fromFile && !options.allWorkspaces && !options.workspace) {
                     console.error(chalk.red('Error: Workspace ID is required in non-interactive mode'));
                     process.exit(1);
                 }
-                if (!options.apiKey) {
+                if (!options.fromFile && !options.apiKey) {
                     console.error(chalk.red('Error: Postman API key is required in non-interactive mode'));
                     process.exit(1);
                 }
-                
-                // Process command line IDs and names
-                if (options.ids) {
-                    options.ids = options.ids
-                        .replace(/[\n\r]+/g, ',')
-                        .split(',')
-                        .map(id => id.trim())
-                        .filter(Boolean);
+            }
+
+            const spinner = ora({ text: 'Exporting collections...', isEnabled: !plain }).start();
+            const inProgress = new Set();
+            let currentWorkspace = '';
+
+            const exportOptions = {
+                ...getExportOptions(options),
+                merge: options.merge,
+                conflictStrategy: options.onConflict,
+                force: options.force,
+                diff: Boolean(options.diff || options.diffReport),
+                onStaleFiles: stale => confirmStaleFiles(stale, spinner, options.interactive),
+                onProgress: ({ status, collection, completed, total, result }) => {
+                    if (status === 'started') {
+                        inProgress.add(collection.name);
+                    } else {
+                        inProgress.delete(collection.name);
+                        // Without a spinner, progress is one line per collection
+                        if (plain) {
+                            console.log(`${currentWorkspace}[${completed}/${total}] ${collection.name}: ${result.success ? (result.skipped ? 'unchanged' : 'exported') : 'failed'}`);
+                        }
+                    }
+                    const current = Array.from(inProgress).join(', ');
+                    spinner.text = `${currentWorkspace}Exporting collections (${completed}/${total})${current ? `: ${current}` : ''}`;
+                }
+            };
+            const outputDir = options.output || './openapi-exports';
+
+            if (options.allWorkspaces) {
+                let workspaceResults;
+                try {
+                    workspaceResults = await exportAllWorkspaces(outputDir, {
+                        ...exportOptions,
+                        includeWorkspaces: options.includeWorkspaces,
+                        excludeWorkspaces: options.excludeWorkspaces,
+                        workspaceTypes: options.workspaceTypes,
+                        onWorkspace: ({ status, workspace, index, total }) => {
+                            if (status === 'started') {
+                                inProgress.clear();
+                                currentWorkspace = `[${index + 1}/${total}] ${workspace.name}: `;
+                                spinner.text = `${currentWorkspace}Exporting collections...`;
+                            }
+                        }
+                    });
+                } finally {
+                    spinner.stop();
                 }
-                if (options.names) {
-                    options.names = options.names
-                        .replace(/[\n\r]+/g, ',')
-                        .split(',')
-                        .map(name => name.trim())
-                        .filter(Boolean);
+
+                const results = workspaceResults.flatMap(entry => entry.results);
+                printValidation(results);
+                if (options.validationReport) {
+                    writeJsonReport(options.validationReport, buildValidationReport(results));
+                    console.log(`\nValidation report written to ${options.validationReport}`);
+                }
+                printRedactions(results, options.redactionReport);
+                let breaking = 0;
+                if (exportOptions.diff) {
+                    const report = printExportDiffs(results);
+                    if (options.diffReport) {
+                        writeJsonReport(options.diffReport, report);
+                        console.log(`\nDiff report written to ${options.diffReport}`);
+                    }
+                    breaking = report.summary.breaking;
                 }
+
+                const failedWorkspaces = printWorkspaceSummary(workspaceResults);
+                let exitCode = getResultsExitCode(results, { breaking, continueOnError: options.continueOnError });
+                // A workspace that could not be exported at all counts like a failed collection
+                if (workspaceResults.some(entry => entry.error) && !options.continueOnError) {
+                    exitCode = EXIT_CODES.partialFailure;
+                }
+
+                if (failedWorkspaces > 0 && options.continueOnError) {
+                    console.log(chalk.yellow(`\nExport failed in ${failedWorkspaces} workspace(s), ignored because of --continue-on-error`));
+                } else if (failedWorkspaces > 0) {
+                    console.error(chalk.red(`\nExport failed in ${failedWorkspaces} workspace(s)`));
+                } else if (breaking > 0) {
+                    console.log(chalk.red(`\nFound ${breaking} breaking change(s)`));
+                }
+                if (options.report) {
+                    writeReport(options, buildRunReport({
+                        workspaces: workspaceResults.map(entry => ({ name: entry.workspace.name, results: entry.results, error: entry.error })),
+                        startedAt,
+                        exitCode
+                    }));
+                }
+                process.exitCode = exitCode;
+                return;
             }
 
-            const spinner = ora('Exporting collections...').start();
+            let results;
+            try {
+                // Failed collections are reported below instead of ending the run
+                const runOptions = { ...exportOptions, throwOnFailure: false };
+                if (options.fromFile) {
+                    results = await exportFromFiles(options.fromFile, outputDir, runOptions);
+                } else if (options.apiDefinitions) {
+                    results = await exportApiDefinitions(options.workspace, outputDir, {
+                        ...runOptions,
+                        selection: options.apiSelection,
+                        apis: options.apis,
+                        versions: options.apiVersions,
+                        schemas: options.schemas,
+                        collectionFallback: options.collectionFallback
+                    });
+                } else {
+                    results = await exportWorkspace(options.workspace, outputDir, runOptions);
+                }
+            } finally {
+                spinner.stop();
+            }
 
-            const results = await exportWorkspace(
-                options.workspace,
-                options.output || './openapi-exports',
-                {
-                    apiKey: options.apiKey,
-                    ids: options.ids || [],
-                    names: options.names || []
+            const failed = results.filter(result => !result.success).length;
+            if (failed === 0) {
+                spinner.succeed(chalk.green('Export completed successfully!'));
+            } else {
+                spinner.warn(chalk.yellow(`Export finished with ${failed} failed collection(s)`));
+            }
+
+            printResults(results);
+            if (failed > 0) {
+                console.log(`\nExport Summary:\nSuccessful: ${results.length - failed}\nFailed: ${failed}`);
+            }
+
+            const merged = options.merge && results.find(result => result.success && result.file);
+            if (merged) {
+                const conflicts = results.flatMap(result => result.conflicts || []);
+                console.log(`\nMerged into ${merged.file}`);
+                if (conflicts.length > 0) {
+                    console.log(chalk.yellow(`\nResolved ${conflicts.length} conflict(s) with strategy "${options.onConflict}":`));
+                    conflicts.forEach(conflict => console.log(chalk.yellow(formatConflict(conflict))));
                 }
-            );
-
-            spinner.succeed(chalk.green('Export completed successfully!'));
-            
-            // Log successful exports
-            if (results && results.length > 0) {
-                console.log('\nExported collections:');
-                results.forEach(result => {
-                    if (result.success) {
-                        console.log(chalk.green(`✓ ${result.name}`));
-                    } else {
-                        console.log(chalk.red(`✗ ${result.name}: ${result.error}`));
-                    }
-                });
             }
+
+            printValidation(results);
+            if (options.validationReport) {
+                writeJsonReport(options.validationReport, buildValidationReport(results));
+                console.log(`\nValidation report written to ${options.validationReport}`);
+            }
+            printRedactions(results, options.redactionReport);
+
+            let breaking = 0;
+            if (exportOptions.diff) {
+                const report = printExportDiffs(results);
+                if (options.diffReport) {
+                    writeJsonReport(options.diffReport, report);
+                    console.log(`\nDiff report written to ${options.diffReport}`);
+                }
+                breaking = report.summary.breaking;
+            }
+
+            const exitCode = getResultsExitCode(results, { breaking, continueOnError: options.continueOnError });
+            if (failed > 0 && options.continueOnError) {
+                console.log(chalk.yellow(`\n${failed} collection(s) failed, ignored because of --continue-on-error`));
+            } else if (failed > 0) {
+                console.error(chalk.red(`\nExport failed: ${failed} collection(s) failed to export`));
+            } else if (breaking > 0) {
+                console.log(chalk.red(`\nFound ${breaking} breaking change(s)`));
+            }
+            if (options.report) {
+                writeReport(options, buildRunReport({ name: options.workspace || options.fromFile, results, startedAt, exitCode }));
+            }
+            process.exitCode = exitCode;
         } catch (error) {
             console.error(chalk.red('Export failed:'), error.message);
             if (process.env.DEBUG === 'true') {
                 console.error(chalk.gray('Debug stack trace:'), error.stack);
             }
+            const exitCode = getErrorExitCode(error);
+            if (options.report) {
+                try {
+                    writeReport(options, buildRunReport({ name: options.workspace || options.fromFile, results: error.results, startedAt, exitCode, error }));
+                } catch (reportError) {
+                    console.error(chalk.red('Could not write the run report:'), reportError.message);
+                }
+            }
+            process.exit(exitCode);
+        }
+    });
+
+program
+    .command('diff <old> <new>')
+    .description('Report breaking and non-breaking changes between two OpenAPI specs (exit code 2 on breaking changes)')
+    .option('--json', 'Print the report as JSON')
+    .option('--diff-report <file>', 'Also write the report to a JSON file')
+    .action((oldFile, newFile, options) => {
+        try {
+            const report = diffSpecs(readSpecFile(oldFile), readSpecFile(newFile));
+
+            if (options.json) {
+                console.log(JSON.stringify(report, null, 2));
+            } else {
+                const output = formatDiff(report, `${oldFile} → ${newFile}`);
+                console.log(report.summary.breaking > 0 ? chalk.red(output) : output);
+            }
+            if (options.diffReport) {
+                writeJsonReport(options.diffReport, buildDiffReport([{ name: path.basename(newFile), file: newFile, diff: report }]));
+            }
+            if (report.summary.breaking > 0) {
+                process.exitCode = EXIT_CODES.breakingChanges;
+            }
+        } catch (error) {
+            console.error(chalk.red('Diff failed:'), error.message);
+            process.exit(1);
+        }
+    });
+
+program
+    .command('bundle <root>')
+    .description('Bundle a spec split over several files, e.g. by --split, into one document')
+    .option('-o, --output <file>', 'Write the bundled spec to this file instead of printing it')
+    .option('-f, --format <format>', 'Output format: json or yaml (default: the output file\'s extension, else the root file\'s)')
+    .option('--dereference', 'Also replace internal $refs by what they point to (fails on circular schemas)')
+    .action((root, options) => {
+        try {
+            const spec = bundleFile(root, { dereference: options.dereference });
+            const extension = path.extname(options.output || root).slice(1).toLowerCase();
+            const format = normalizeFormat(options.format || (['json', 'yaml', 'yml'].includes(extension) ? extension : 'json'));
+            const content = serializeSpec(spec, format);
+
+            if (options.output) {
+                fs.mkdirSync(path.dirname(path.resolve(options.output)), { recursive: true });
+                fs.writeFileSync(options.output, content);
+                console.log(`Bundled ${root} into ${options.output}`);
+            } else {
+                process.stdout.write(format === 'json' ? `${content}\n` : content);
+            }
+        } catch (error) {
+            console.error(chalk.red('Bundle failed:'), error.message);
+            process.exit(1);
+        }
+    });
+
+function logWithTime(message) {
+    console.log(`[${new Date().toISOString()}] ${message}`);
+}
+
+addExportOptions(program
+    .command('watch')
+    .description('Poll a workspace and re-export the collections that change in Postman'))
+    .option('--interval <seconds>', 'Seconds between polls (default: 60)', parsePositiveInt)
+    .option('--exec <command>', 'Shell command to run after each sync that changed files, e.g. "npm run docs"')
+    .action(async (options, command) => {
+        try {
+            options = splitListOptions(applyConfig(options, command));
+            if (options.debug) {
+                process.env.DEBUG = 'true';
+            }
+            if (isPlainOutput(options)) {
+                chalk.level = 0;
+            }
+
+            const apiKey = options.apiKey || process.env.POSTMAN_API_KEY;
+            if (!options.workspace || !apiKey) {
+                throw new Error('Watch needs a workspace ID (-w) and an API key (-k or POSTMAN_API_KEY)');
+            }
+
+            const outputDir = options.output || './openapi-exports';
+            const interval = (options.interval || DEFAULT_INTERVAL / 1000) * 1000;
+            const reportedStale = new Set();
+            logWithTime(`Watching workspace ${options.workspace} every ${interval / 1000}s into ${outputDir} (Ctrl+C to stop)`);
+
+            const watcher = watchWorkspace(options.workspace, outputDir, {
+                ...getExportOptions({ ...options, apiKey }),
+                interval,
+                command: options.exec,
+                onStaleFiles: stale => {
+                    // Listed once, not on every poll
+                    const fresh = stale.filter(entry => !reportedStale.has(entry.file));
+                    fresh.forEach(entry => {
+                        reportedStale.add(entry.file);
+                        logWithTime(chalk.yellow(`Stale output file ${entry.file} (${entry.name}, ${entry.reason}), run with --prune to remove it`));
+                    });
+                    return false;
+                },
+                onSync: ({ number, duration, changed, unchanged, failed }) => {
+                    const names = changed.map(result => result.name).join(', ');
+                    const message = `Sync #${number}: ${changed.length} updated${names ? ` (${names})` : ''}, ${unchanged.length} unchanged, ${failed.length} failed (${(duration / 1000).toFixed(1)}s)`;
+                    logWithTime(failed.length > 0 ? chalk.red(message) : changed.length > 0 ? chalk.green(message) : message);
+                    failed.forEach(result => logWithTime(chalk.red(`  ✗ ${result.name}: ${result.error}`)));
+                },
+                onError: ({ number, error, failures, retryIn }) => {
+                    logWithTime(chalk.yellow(`Sync #${number} failed (${failures} in a row): ${error.message}. Retrying in ${Math.round(retryIn / 1000)}s`));
+                },
+                onCommand: ({ status, command: exec, code, error }) => {
+                    if (status === 'started') {
+                        logWithTime(`Running: ${exec}`);
+                    } else if (error || code !== 0) {
+                        logWithTime(chalk.red(`Command failed: ${error ? error.message : `exit code ${code}`}`));
+                    }
+                }
+            });
+
+            process.once('SIGINT', () => {
+                logWithTime('Stopping after the current sync (Ctrl+C again to quit now)');
+                watcher.stop();
+                process.once('SIGINT', () => process.exit(130));
+            });
+
+            await watcher.done;
+            logWithTime('Watch stopped');
+        } catch (error) {
+            console.error(chalk.red('Watch failed:'), error.message);
+            process.exit(getErrorExitCode(error));
+        }
+    });
+
+program
+    .command('mock <source>')
+    .description('Serve a local mock API from an exported spec (single file or --split root) or a Postman collection')
+    .option('--port <n>', `Port to listen on (default: ${DEFAULT_PORT})`, parsePositiveInt)
+    .option('--host <host>', `Host to listen on (default: ${DEFAULT_HOST})`)
+    .option('--validate', 'Answer requests whose parameters or body do not match the spec with 400')
+    .option('--no-watch', 'Do not reload when the spec file changes')
+    .option('-d, --debug', 'Enable debug mode')
+    .action(async (source, options) => {
+        try {
+            if (options.debug) {
+                process.env.DEBUG = 'true';
+            }
+
+            const mock = await startMockServer(source, {
+                port: options.port,
+                host: options.host,
+                validate: options.validate,
+                watch: options.watch,
+                onRequest: ({ method, url, status, duration }) => {
+                    const message = `${method} ${url} → ${status} (${duration} ms)`;
+                    logWithTime(status >= 400 ? chalk.yellow(message) : message);
+                },
+                onReload: ({ paths }) => logWithTime(chalk.green(`Reloaded ${source} (${paths} paths)`)),
+                onError: error => logWithTime(chalk.red(`Could not reload ${source}, still serving the previous version: ${error.message}`))
+            });
+            logWithTime(`Mocking ${source} (${Object.keys(mock.spec.paths || {}).length} paths) on ${mock.url}${options.validate ? ' with request validation' : ''} (Ctrl+C to stop)`);
+
+            process.once('SIGINT', () => {
+                mock.close().then(() => {
+                    logWithTime('Mock server stopped');
+                    process.exit(0);
+                });
+            });
+        } catch (error) {
+            console.error(chalk.red('Mock failed:'), error.message);
             process.exit(1);
         }
     });
@@ -0,0 +1,82 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const debug = require('./debug');
+const { removeSplitSpec } = require('./split');
+
+const MANIFEST_FILE = '.postman-export.json';
+const MANIFEST_VERSION = 1;
+
+// RegExps, e.g. of redaction rules, would otherwise all serialize to {}
+function hashContent(value) {
+    const json = JSON.stringify(value, (key, item) => item instanceof RegExp ? { source: item.source, flags: item.flags } : item);
+    return crypto.createHash('sha256').update(json).digest('hex');
+}
+
+function readManifest(outputDir) {
+    const file = path.join(outputDir, MANIFEST_FILE);
+    try {
+        const manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (manifest.version === MANIFEST_VERSION && manifest.collections) {
+            return manifest;
+        }
+        debug(`Ignoring manifest with unknown version: ${file}`);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            debug(`Ignoring unreadable manifest ${file}: ${error.message}`);
+        }
+    }
+    return { version: MANIFEST_VERSION, options: null, collections: {} };
+}
+
+function writeManifest(outputDir, manifest) {
+    const file = path.join(outputDir, MANIFEST_FILE);
+    fs.writeFileSync(file, JSON.stringify({ ...manifest, version: MANIFEST_VERSION }, null, 2));
+    debug(`✓ Saved manifest to ${file}`);
+}
+
+// Output files of the manifest that no longer belong to a collection: the collection was
+// deleted from its source, or renamed so that this run wrote it to a different file.
+// `knownUids` are all collections of the source, not just the ones selected for this run.
+function findStaleEntries(outputDir, manifest, knownUids, exported) {
+    const stale = [];
+
+    for (const [uid, entry] of Object.entries(manifest.collections)) {
+        const current = exported[uid];
+        let reason;
+        if (!knownUids.has(uid)) {
+            reason = 'deleted';
+        } else if (current && current.file !== entry.file) {
+            reason = 'renamed';
+        }
+
+        const file = path.join(outputDir, entry.file);
+        const stillUsed = Object.values(exported).some(other => other.file === entry.file);
+        if (reason && !stillUsed && fs.existsSync(file)) {
+            stale.push({ uid, name: entry.name, file, reason, ...(entry.split ? { split: true } : {}) });
+        }
+    }
+
+    return stale;
+}
+
+function removeStaleFiles(stale) {
+    for (const entry of stale) {
+        // A split spec is its root file with the paths and schemas next to it
+        if (entry.split) {
+            removeSplitSpec(entry.file);
+        } else {
+            fs.unlinkSync(entry.file);
+        }
+        debug(`✓ Removed stale output ${entry.file} (${entry.reason})`);
+    }
+}
+
+module.exports = {
+    MANIFEST_FILE,
+    hashContent,
+    readManifest,
+    writeManifest,
+    findStaleEntries,
+    removeStaleFiles
+};
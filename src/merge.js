@@ -0,0 +1,330 @@
+const { isDeepStrictEqual } = require('util');
+const { toSlug } = require('./output');
+
+const CONFLICT_STRATEGIES = ['fail', 'prefix', 'last-wins'];
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+class MergeConflictError extends Error {
+    constructor(conflicts) {
+        super(`Found ${conflicts.length} conflict(s) while merging collections:\n${conflicts.map(formatConflict).join('\n')}`);
+        this.name = 'MergeConflictError';
+        this.conflicts = conflicts;
+    }
+}
+
+function formatConflict({ type, key, collections, resolution, renamedTo }) {
+    const outcome = resolution === 'prefixed' ? ` (renamed to ${renamedTo})` : resolution === 'overwritten' ? ' (overwritten)' : '';
+    return `  ${type} ${key}: ${collections.join(' vs ')}${outcome}`;
+}
+
+function normalizeStrategy(strategy) {
+    const normalized = strategy || 'fail';
+    if (!CONFLICT_STRATEGIES.includes(normalized)) {
+        throw new Error(`Unknown conflict strategy: ${strategy} (expected one of: ${CONFLICT_STRATEGIES.join(', ')})`);
+    }
+    return normalized;
+}
+
+function words(name) {
+    return String(name).split(/[^a-zA-Z0-9]+/).filter(Boolean);
+}
+
+function pascalCase(name) {
+    return words(name).map(word => word[0].toUpperCase() + word.slice(1).toLowerCase()).join('') || 'Collection';
+}
+
+function camelCase(name) {
+    const pascal = pascalCase(name);
+    return pascal[0].toLowerCase() + pascal.slice(1);
+}
+
+function rewriteRefs(node, renames) {
+    if (Array.isArray(node)) {
+        node.forEach(child => rewriteRefs(child, renames));
+    } else if (node && typeof node === 'object') {
+        for (const [key, value] of Object.entries(node)) {
+            if (key === '$ref' && typeof value === 'string' && renames[value]) {
+                node[key] = renames[value];
+            } else {
+                rewriteRefs(value, renames);
+            }
+        }
+    }
+}
+
+function forEachOperation(paths, callback) {
+    for (const [pathKey, pathItem] of Object.entries(paths || {})) {
+        for (const method of HTTP_METHODS) {
+            if (pathItem[method]) callback(pathKey, method, pathItem[method], pathItem);
+        }
+    }
+}
+
+// Operations may end up in a path item of another collection, or under a prefixed path,
+// so path-level parameters and servers move onto the operations themselves
+function pushDownPathItem(pathItem) {
+    for (const method of HTTP_METHODS) {
+        const operation = pathItem[method];
+        if (!operation) continue;
+        if (pathItem.parameters) {
+            const own = operation.parameters || [];
+            // An operation parameter overrides the path parameter with the same name and location
+            const overridden = param => own.some(({ name, in: location }) => name === param.name && location === param.in);
+            operation.parameters = [...pathItem.parameters.filter(param => !overridden(param)), ...own];
+        }
+        if (pathItem.servers && !operation.servers) {
+            operation.servers = pathItem.servers;
+        }
+    }
+    delete pathItem.parameters;
+    delete pathItem.servers;
+}
+
+function compareVersions(a, b) {
+    const left = String(a).split('.').map(Number);
+    const right = String(b).split('.').map(Number);
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+        const diff = (left[i] || 0) - (right[i] || 0);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+}
+
+// The newest OpenAPI version among the merged specs
+function latestVersion(specs) {
+    return specs
+        .map(spec => spec.openapi)
+        .filter(Boolean)
+        .reduce((latest, version) => compareVersions(version, latest) > 0 ? version : latest, '3.0.0');
+}
+
+function componentRef(section, key) {
+    return `#/components/${section}/${key}`;
+}
+
+function withRenames(value, renames) {
+    const copy = JSON.parse(JSON.stringify(value));
+    rewriteRefs(copy, renames);
+    return copy;
+}
+
+// Pick a prefixed name for every component of the spec that clashes with a merged one.
+// Renaming a component changes the components that refer to it, which may then clash in turn.
+function findRenames(merged, components, name) {
+    const renames = {};
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (const [section, entries] of Object.entries(components)) {
+            const mergedEntries = merged.components[section] || {};
+            const taken = key => mergedEntries[key] !== undefined || entries[key] !== undefined ||
+                Object.values(renames).includes(componentRef(section, key));
+            for (const [key, value] of Object.entries(entries)) {
+                const ref = componentRef(section, key);
+                if (renames[ref] || mergedEntries[key] === undefined || isDeepStrictEqual(mergedEntries[key], withRenames(value, renames))) {
+                    continue;
+                }
+                let renamed = `${pascalCase(name)}${key}`;
+                for (let i = 2; taken(renamed); i++) {
+                    renamed = `${pascalCase(name)}${key}${i}`;
+                }
+                renames[ref] = componentRef(section, renamed);
+                changed = true;
+            }
+        }
+    }
+    return renames;
+}
+
+// Security requirements refer to their schemes by name rather than by $ref
+function renameSecurity(requirements, renames) {
+    return requirements.map(requirement => Object.fromEntries(Object.entries(requirement).map(([scheme, scopes]) => {
+        const renamed = renames[componentRef('securitySchemes', scheme)];
+        return [renamed ? renamed.slice(componentRef('securitySchemes', '').length) : scheme, scopes];
+    })));
+}
+
+// Merge the components of one spec, renaming or overwriting clashes by strategy.
+// Returns the $ref renames the rest of that spec needs.
+function mergeComponents(merged, spec, name, context) {
+    const { strategy, owners, conflicts } = context;
+    const components = spec.components || {};
+    const renames = strategy === 'prefix' ? findRenames(merged, components, name) : {};
+    rewriteRefs(components, renames);
+
+    for (const [section, entries] of Object.entries(components)) {
+        merged.components[section] = merged.components[section] || {};
+        for (const [key, value] of Object.entries(entries)) {
+            const existing = merged.components[section][key];
+            const ownerKey = `components/${section}/${key}`;
+            const conflict = {
+                type: 'component',
+                key: componentRef(section, key),
+                collections: [owners[ownerKey], name]
+            };
+
+            const renamed = renames[componentRef(section, key)];
+            if (renamed) {
+                const renamedKey = renamed.slice(componentRef(section, '').length);
+                merged.components[section][renamedKey] = value;
+                owners[`components/${section}/${renamedKey}`] = name;
+                conflicts.push({ ...conflict, resolution: 'prefixed', renamedTo: renamed });
+            } else if (existing === undefined || isDeepStrictEqual(existing, value)) {
+                merged.components[section][key] = value;
+                owners[ownerKey] = owners[ownerKey] || name;
+            } else {
+                merged.components[section][key] = value;
+                owners[ownerKey] = name;
+                conflicts.push({ ...conflict, resolution: strategy === 'fail' ? 'failed' : 'overwritten' });
+            }
+        }
+    }
+
+    return renames;
+}
+
+function mergePaths(merged, spec, name, context) {
+    const { strategy, owners, operationIds, conflicts } = context;
+
+    forEachOperation(spec.paths, (pathKey, method, operation, pathItem) => {
+        let targetPath = pathKey;
+        const ownerKey = `paths/${pathKey}/${method}`;
+        const existing = merged.paths[pathKey] && merged.paths[pathKey][method];
+
+        if (existing) {
+            const conflict = {
+                type: 'path',
+                key: `${method.toUpperCase()} ${pathKey}`,
+                collections: [owners[ownerKey], name]
+            };
+            if (strategy === 'prefix') {
+                const slug = toSlug(name) || 'collection';
+                const suffix = pathKey === '/' ? '' : pathKey;
+                targetPath = `/${slug}${suffix}`;
+                // Another collection with the same slug may have taken the prefixed path too
+                for (let i = 2; merged.paths[targetPath] && merged.paths[targetPath][method]; i++) {
+                    targetPath = `/${slug}-${i}${suffix}`;
+                }
+                conflicts.push({ ...conflict, resolution: 'prefixed', renamedTo: `${method.toUpperCase()} ${targetPath}` });
+            } else if (strategy === 'last-wins') {
+                conflicts.push({ ...conflict, resolution: 'overwritten' });
+                // The replaced operation no longer owns its operationId
+                if (existing.operationId && operationIds[existing.operationId] === ownerKey) {
+                    delete operationIds[existing.operationId];
+                }
+            } else {
+                conflicts.push({ ...conflict, resolution: 'failed' });
+            }
+        }
+
+        if (operation.operationId) {
+            const clash = operationIds[operation.operationId];
+            if (clash) {
+                const conflict = {
+                    type: 'operationId',
+                    key: operation.operationId,
+                    collections: [owners[clash], name]
+                };
+                if (strategy === 'prefix') {
+                    let renamed = `${camelCase(name)}_${operation.operationId}`;
+                    for (let i = 2; operationIds[renamed]; i++) {
+                        renamed = `${camelCase(name)}_${operation.operationId}${i}`;
+                    }
+                    conflicts.push({ ...conflict, resolution: 'prefixed', renamedTo: renamed });
+                    operation.operationId = renamed;
+                } else {
+                    conflicts.push({ ...conflict, resolution: strategy === 'fail' ? 'failed' : 'overwritten' });
+                    // Last wins: the earlier operation gives up the id
+                    const [, clashPath, clashMethod] = clash.match(/^paths\/(.*)\/([a-z]+)$/);
+                    delete merged.paths[clashPath][clashMethod].operationId;
+                }
+            }
+        }
+
+        const targetKey = `paths/${targetPath}/${method}`;
+        merged.paths[targetPath] = merged.paths[targetPath] || {};
+        // Summary, description and extensions of the path item, the first collection's win
+        for (const [key, value] of Object.entries(pathItem)) {
+            if (!HTTP_METHODS.includes(key) && merged.paths[targetPath][key] === undefined) {
+                merged.paths[targetPath][key] = value;
+            }
+        }
+        merged.paths[targetPath][method] = operation;
+        owners[targetKey] = name;
+        if (operation.operationId) {
+            operationIds[operation.operationId] = targetKey;
+        }
+    });
+}
+
+// Combine converted specs ({ name, spec } in merge order) into one document,
+// with one tag per collection and every path, operationId or component collision reported
+function mergeSpecs(entries, options = {}) {
+    const strategy = normalizeStrategy(options.strategy);
+    // Servers stay at the top level only if every collection has the same ones
+    const serverLists = entries.map(({ spec }) => spec.servers || []);
+    const sharedServers = serverLists.every(servers => isDeepStrictEqual(servers, serverLists[0]));
+    const merged = {
+        openapi: latestVersion(entries.map(({ spec }) => spec)),
+        info: { title: options.title || 'Merged API', version: '1.0.0' },
+        servers: sharedServers && serverLists.length > 0 ? JSON.parse(JSON.stringify(serverLists[0])) : [],
+        tags: [],
+        paths: {},
+        components: {}
+    };
+    const context = { strategy, owners: {}, operationIds: {}, conflicts: [] };
+
+    for (const { name, spec: original } of entries) {
+        const spec = JSON.parse(JSON.stringify(original));
+
+        const operationTags = new Set();
+        const renames = mergeComponents(merged, spec, name, context);
+        rewriteRefs(spec.paths, renames);
+        if (spec.security) spec.security = renameSecurity(spec.security, renames);
+        Object.values(spec.paths || {}).forEach(pushDownPathItem);
+
+        forEachOperation(spec.paths, (pathKey, method, operation) => {
+            if (operation.security) operation.security = renameSecurity(operation.security, renames);
+            // Collection-wide security applies to every operation that doesn't set its own
+            if (spec.security && !operation.security) {
+                operation.security = spec.security;
+            }
+            if (!sharedServers && spec.servers && !operation.servers) {
+                operation.servers = spec.servers;
+            }
+            operation.tags = [name, ...(operation.tags || []).filter(tag => tag !== name)];
+            operation.tags.forEach(tag => operationTags.add(tag));
+        });
+
+        mergePaths(merged, spec, name, context);
+
+        merged.tags.push({
+            name,
+            ...(spec.info && spec.info.description ? { description: spec.info.description } : {})
+        });
+        // Folder tags, declared or only used by operations
+        const declared = [...(spec.tags || []), ...Array.from(operationTags).map(tag => ({ name: tag }))];
+        for (const tag of declared) {
+            if (!merged.tags.some(existing => existing.name === tag.name)) {
+                merged.tags.push(tag);
+            }
+        }
+    }
+
+    if (strategy === 'fail' && context.conflicts.length > 0) {
+        throw new MergeConflictError(context.conflicts);
+    }
+
+    if (merged.servers.length === 0) delete merged.servers;
+    if (Object.keys(merged.components).length === 0) delete merged.components;
+
+    return { spec: merged, conflicts: context.conflicts };
+}
+
+module.exports = {
+    CONFLICT_STRATEGIES,
+    MergeConflictError,
+    formatConflict,
+    normalizeStrategy,
+    mergeSpecs
+};
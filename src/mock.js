@@ -0,0 +1,570 @@
+// A local mock server for an exported spec. Requests are routed by path template and
+// method and answered with the operation's example, or a body synthesized from its schema.
+// Clients pick the response with a Prefer header, like other OpenAPI mock servers:
+//
+//   Prefer: code=404               the 404 response instead of the first 2xx one
+//   Prefer: example=notFound       the named example of the response
+//   Prefer: dynamic=true           a body synthesized from the schema, even with examples
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const Ajv = require('ajv-draft-04');
+const debug = require('./debug');
+const { parseSpec } = require('./output');
+const { isCollection } = require('./collection-files');
+const { bundleFile } = require('./bundle');
+const { convertCollection } = require('./exporter');
+
+const DEFAULT_PORT = 4010;
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_WATCH_INTERVAL = 500;
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+const SPEC_ID = 'mock-spec';
+// Recursive schemas are synthesized this many levels deep
+const MAX_DEPTH = 8;
+
+// An answer other than a mocked response, e.g. a request that matches no path
+class MockError extends Error {
+    constructor(status, message, details) {
+        super(message);
+        this.name = 'MockError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Follow internal $refs, e.g. of a response defined under components
+function resolve(spec, value) {
+    for (let i = 0; isObject(value) && typeof value.$ref === 'string' && i < 20; i++) {
+        const tokens = value.$ref.replace(/^#\/?/, '').split('/').filter(Boolean)
+            .map(token => decodeURIComponent(token).replace(/~1/g, '/').replace(/~0/g, '~'));
+        value = tokens.reduce((target, token) => (target === undefined || target === null ? undefined : target[token]), spec);
+    }
+    return value;
+}
+
+// An OpenAPI document from a spec file (single or split) or a Postman collection.
+// `onLoad` is called with every file read.
+async function loadMockSpec(source, { onLoad = () => {}, ...conversionOptions } = {}) {
+    const file = path.resolve(source);
+    let data;
+    try {
+        data = parseSpec(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read ${source}: ${error.message}`);
+    }
+
+    if (isCollection(data) || isCollection(data && data.collection)) {
+        onLoad(file);
+        debug(`Converting collection ${source} for the mock server`);
+        return convertCollection({ collection: data.collection || data }, { ...conversionOptions, converter: conversionOptions.converter || {} });
+    }
+    if (!isObject(data) || typeof data.openapi !== 'string') {
+        throw new Error(`Not an OpenAPI 3 document or Postman collection: ${source}`);
+    }
+    return bundleFile(file, { onLoad });
+}
+
+// The path prefixes of the spec's servers, e.g. /v1 of https://api.example.com/v1
+function getBasePaths(spec) {
+    const paths = (spec.servers || []).map(server => {
+        const url = String(server.url || '').replace(/\{([^}]+)\}/g, (match, name) => {
+            const variable = server.variables && server.variables[name];
+            return variable && variable.default !== undefined ? variable.default : name;
+        });
+        try {
+            return new URL(url, 'http://localhost').pathname.replace(/\/+$/, '');
+        } catch (error) {
+            return '';
+        }
+    });
+    return [...new Set(paths.filter(Boolean))];
+}
+
+function compileRoutes(spec) {
+    const routes = Object.entries(spec.paths || {}).map(([template, pathItem]) => {
+        const names = [];
+        const pattern = template.split('/').map(segment => segment.replace(/\{([^}]+)\}|[^{]+/g, (match, name) => {
+            if (name === undefined) return match.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            names.push(name);
+            return '([^/]+)';
+        })).join('/');
+        return { template, pathItem: resolve(spec, pathItem) || {}, names, regex: new RegExp(`^${pattern}/?$`) };
+    });
+    // Literal paths win over templates: /users/me before /users/{id}
+    return routes.sort((a, b) => a.names.length - b.names.length);
+}
+
+function matchRoute(state, pathname) {
+    const candidates = [pathname, ...state.basePaths
+        .filter(base => pathname === base || pathname.startsWith(`${base}/`))
+        .map(base => pathname.slice(base.length) || '/')];
+
+    for (const candidate of candidates) {
+        for (const route of state.routes) {
+            const match = route.regex.exec(candidate);
+            if (match) {
+                const params = Object.fromEntries(route.names.map((name, index) => [name, decodeURIComponent(match[index + 1])]));
+                return { route, params };
+            }
+        }
+    }
+    return null;
+}
+
+// Prefer: code=404, example=notFound, dynamic=true
+function parsePrefer(header = '') {
+    const preferences = {};
+    for (const part of String(header).split(/[,;]/)) {
+        const [key, ...rest] = part.split('=');
+        const value = rest.join('=').trim().replace(/^"(.*)"$/, '$1');
+        if (key.trim() && value) preferences[key.trim().toLowerCase()] = value;
+    }
+    return preferences;
+}
+
+function selectResponse(spec, operation, prefer, route) {
+    const responses = operation.responses || {};
+    const codes = Object.keys(responses);
+
+    if (prefer.code) {
+        const code = prefer.code;
+        const key = [code, `${code.charAt(0)}XX`, `${code.charAt(0)}xx`, 'default'].find(candidate => responses[candidate]);
+        if (!/^[1-5]\d\d$/.test(code) || !key) {
+            throw new MockError(400, `No ${code} response for ${route}`, { available: codes });
+        }
+        return { status: Number(code), response: resolve(spec, responses[key]) };
+    }
+
+    // The first success, else the first documented status
+    const numeric = codes.filter(code => /^\d{3}$/.test(code)).sort();
+    const key = numeric.find(code => code.startsWith('2'))
+        || codes.find(code => /^2xx$/i.test(code))
+        || numeric[0]
+        || codes[0];
+    if (!key) return { status: 204, response: {} };
+    const status = /^\d{3}$/.test(key) ? Number(key) : /^\dxx$/i.test(key) ? Number(key.charAt(0)) * 100 : 200;
+    return { status, response: resolve(spec, responses[key]) || {} };
+}
+
+function isJson(mediaType) {
+    return /[/+]json(;|$)/i.test(mediaType);
+}
+
+// The media type the client accepts, JSON first when it accepts anything
+function selectMediaType(content, accept) {
+    const types = Object.keys(content || {}).sort((a, b) => Number(isJson(b)) - Number(isJson(a)));
+    if (types.length === 0) return null;
+    const accepted = String(accept || '*/*').split(',').map(entry => entry.split(';')[0].trim().toLowerCase()).filter(Boolean);
+    const matches = type => accepted.some(entry => entry === '*/*' || entry === type.toLowerCase() || (entry.endsWith('/*') && type.toLowerCase().startsWith(entry.slice(0, -1))));
+    return types.find(matches) || types[0];
+}
+
+function synthesizeString(schema) {
+    switch (schema.format) {
+    case 'date-time':
+        return '2024-01-01T00:00:00Z';
+    case 'date':
+        return '2024-01-01';
+    case 'email':
+        return 'user@example.com';
+    case 'uuid':
+        return '00000000-0000-4000-8000-000000000000';
+    case 'uri':
+    case 'url':
+        return 'https://example.com';
+    default:
+        return 'string';
+    }
+}
+
+// A value that fits the schema: its example, default or first enum value, else one built
+// from its type
+function synthesize(spec, schema, refs = []) {
+    if (isObject(schema) && typeof schema.$ref === 'string') {
+        // Recursive schemas end where they repeat
+        if (refs.includes(schema.$ref) || refs.length >= MAX_DEPTH) return undefined;
+        return synthesize(spec, resolve(spec, schema), [...refs, schema.$ref]);
+    }
+    if (!isObject(schema)) return undefined;
+    if (schema.example !== undefined) return schema.example;
+    if (schema.default !== undefined) return schema.default;
+    if (Array.isArray(schema.enum) && schema.enum.length > 0) return schema.enum[0];
+    if (Array.isArray(schema.allOf)) {
+        return Object.assign({}, ...schema.allOf.map(part => synthesize(spec, part, refs)).filter(isObject));
+    }
+    const alternatives = schema.oneOf || schema.anyOf;
+    if (Array.isArray(alternatives) && alternatives.length > 0) return synthesize(spec, alternatives[0], refs);
+
+    const type = schema.type || (schema.properties ? 'object' : schema.items ? 'array' : undefined);
+    switch (type) {
+    case 'object': {
+        const entries = Object.entries(schema.properties || {})
+            .map(([name, property]) => [name, synthesize(spec, property, refs)])
+            .filter(([, value]) => value !== undefined);
+        return Object.fromEntries(entries);
+    }
+    case 'array': {
+        const item = synthesize(spec, schema.items, refs);
+        return item === undefined ? [] : [item];
+    }
+    case 'string':
+        return synthesizeString(schema);
+    case 'integer':
+    case 'number':
+        return typeof schema.minimum === 'number' ? schema.minimum : 0;
+    case 'boolean':
+        return true;
+    default:
+        return null;
+    }
+}
+
+function selectBody(spec, media, prefer, route) {
+    if (!media) return undefined;
+    const examples = media.examples || {};
+
+    if (prefer.example) {
+        if (!examples[prefer.example]) {
+            throw new MockError(400, `No example named ${prefer.example} for ${route}`, { available: Object.keys(examples) });
+        }
+        return (resolve(spec, examples[prefer.example]) || {}).value;
+    }
+    if (prefer.dynamic !== 'true') {
+        if (media.example !== undefined) return media.example;
+        const [first] = Object.values(examples);
+        if (first) return (resolve(spec, first) || {}).value;
+    }
+    return synthesize(spec, media.schema);
+}
+
+function serializeBody(body, mediaType) {
+    if (body === undefined) return '';
+    if (!isJson(mediaType)) return typeof body === 'string' ? body : JSON.stringify(body);
+    // Examples of JSON bodies may be the JSON text itself
+    if (typeof body === 'string') {
+        try {
+            JSON.parse(body);
+            return body;
+        } catch (error) {
+            return JSON.stringify(body);
+        }
+    }
+    return JSON.stringify(body, null, 2);
+}
+
+function getResponseHeaders(spec, response) {
+    const headers = {};
+    for (const [name, header] of Object.entries(response.headers || {})) {
+        const definition = resolve(spec, header) || {};
+        const value = definition.example !== undefined ? definition.example : synthesize(spec, definition.schema);
+        if (value !== undefined && value !== null && name.toLowerCase() !== 'content-type') {
+            headers[name] = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        }
+    }
+    return headers;
+}
+
+// Internal $refs of a schema point into the spec, which Ajv knows as SPEC_ID
+function toValidatorSchema(value) {
+    if (Array.isArray(value)) return value.map(toValidatorSchema);
+    if (!isObject(value)) return value;
+    return Object.fromEntries(Object.entries(value).map(([key, child]) => [
+        key,
+        key === '$ref' && typeof child === 'string' && child.startsWith('#') ? `${SPEC_ID}${child}` : toValidatorSchema(child)
+    ]));
+}
+
+function createValidator(spec) {
+    const ajv = new Ajv({ allErrors: true, strict: false, validateFormats: false });
+    ajv.addSchema(toValidatorSchema({ components: spec.components || {} }), SPEC_ID);
+    const compiled = new WeakMap();
+
+    return (schema, value, where) => {
+        if (!isObject(schema)) return [];
+        if (!compiled.has(schema)) compiled.set(schema, ajv.compile(toValidatorSchema(schema)));
+        const validate = compiled.get(schema);
+        return validate(value) ? [] : validate.errors.map(error => `${where}${error.instancePath || ''} ${error.message}`);
+    };
+}
+
+// Query, path and header values are strings; numbers and booleans are checked as such
+function coerceParameter(value, schema) {
+    const type = schema && schema.type;
+    if ((type === 'integer' || type === 'number') && value.trim() !== '' && !Number.isNaN(Number(value))) return Number(value);
+    if (type === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+    return value;
+}
+
+function parseCookies(header = '') {
+    return Object.fromEntries(header.split(';').map(part => part.trim().split('=')).filter(([name]) => name)
+        .map(([name, ...rest]) => [name, decodeURIComponent(rest.join('='))]));
+}
+
+function validateRequest(state, request, { operation, pathItem, params, url, body }) {
+    const { spec, validator } = state;
+    const errors = [];
+
+    const parameters = [...(pathItem.parameters || []), ...(operation.parameters || [])]
+        .map(parameter => resolve(spec, parameter))
+        .filter(isObject);
+    // Operation parameters override path item ones with the same name and location
+    const unique = new Map(parameters.map(parameter => [`${parameter.in}:${parameter.name}`, parameter]));
+    const cookies = parseCookies(request.headers.cookie);
+
+    for (const parameter of unique.values()) {
+        const values = {
+            path: params,
+            query: Object.fromEntries(url.searchParams),
+            header: request.headers,
+            cookie: cookies
+        }[parameter.in] || {};
+        const key = parameter.in === 'header' ? parameter.name.toLowerCase() : parameter.name;
+        const value = values[key];
+        const where = `${parameter.in} parameter ${parameter.name}`;
+        if (value === undefined) {
+            if (parameter.required) errors.push(`${where} is required`);
+            continue;
+        }
+        errors.push(...validator(parameter.schema, coerceParameter(String(value), parameter.schema), where));
+    }
+
+    const requestBody = resolve(spec, operation.requestBody);
+    if (isObject(requestBody)) {
+        const contentType = String(request.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+        if (body.length === 0) {
+            if (requestBody.required) errors.push('request body is required');
+        } else {
+            const content = requestBody.content || {};
+            const mediaType = Object.keys(content).find(type => type.toLowerCase() === contentType)
+                || Object.keys(content).find(type => type === '*/*' || (type.endsWith('/*') && contentType.startsWith(type.slice(0, -1))));
+            if (!mediaType) {
+                errors.push(`request body content type ${contentType || '(none)'} is not one of: ${Object.keys(content).join(', ')}`);
+            } else if (isJson(mediaType)) {
+                let value;
+                try {
+                    value = JSON.parse(body);
+                } catch (error) {
+                    errors.push(`request body is not valid JSON: ${error.message}`);
+                }
+                // A schema that does not compile is the spec's fault, not the client's
+                if (value !== undefined) {
+                    errors.push(...validator(content[mediaType].schema, value, 'request body'));
+                }
+            }
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new MockError(400, 'Request validation failed', errors);
+    }
+}
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        request.on('data', chunk => chunks.push(chunk));
+        request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        request.on('error', reject);
+    });
+}
+
+// Browsers call the mock from the dev server's origin
+function setCorsHeaders(request, response) {
+    response.setHeader('Access-Control-Allow-Origin', request.headers.origin || '*');
+    response.setHeader('Access-Control-Expose-Headers', '*');
+    if (request.headers.origin) response.setHeader('Vary', 'Origin');
+}
+
+async function handleRequest(state, request, response, validate) {
+    const url = new URL(request.url, 'http://localhost');
+    const body = await readBody(request);
+    setCorsHeaders(request, response);
+
+    const match = matchRoute(state, url.pathname);
+    if (!match) {
+        throw new MockError(404, `No path matches ${url.pathname}`);
+    }
+
+    const method = request.method.toLowerCase();
+    const { pathItem, template } = match.route;
+    const allowed = HTTP_METHODS.filter(name => pathItem[name]);
+    // Preflight requests of operations that have no OPTIONS of their own
+    if (method === 'options' && !pathItem.options) {
+        response.writeHead(204, {
+            Allow: allowed.map(name => name.toUpperCase()).join(', '),
+            'Access-Control-Allow-Methods': allowed.map(name => name.toUpperCase()).join(', '),
+            'Access-Control-Allow-Headers': request.headers['access-control-request-headers'] || '*'
+        });
+        response.end();
+        return 204;
+    }
+
+    // HEAD is answered like GET, without the body
+    const operation = resolve(state.spec, pathItem[method] || (method === 'head' ? pathItem.get : undefined));
+    if (!operation) {
+        response.setHeader('Allow', allowed.map(name => name.toUpperCase()).join(', '));
+        throw new MockError(405, `${request.method} is not allowed for ${template}`);
+    }
+
+    const route = `${request.method} ${template}`;
+    if (validate) {
+        validateRequest(state, request, { operation, pathItem, params: match.params, url, body });
+    }
+
+    const prefer = parsePrefer(request.headers.prefer);
+    const { status, response: definition } = selectResponse(state.spec, operation, prefer, route);
+    const mediaType = selectMediaType(definition.content, request.headers.accept);
+    const content = mediaType ? serializeBody(selectBody(state.spec, definition.content[mediaType], prefer, route), mediaType) : '';
+
+    response.writeHead(status, {
+        ...getResponseHeaders(state.spec, definition),
+        ...(mediaType ? { 'Content-Type': mediaType } : {}),
+        ...(Object.keys(prefer).length > 0 ? { 'Preference-Applied': Object.entries(prefer).map(([key, value]) => `${key}=${value}`).join(', ') } : {})
+    });
+    response.end(method === 'head' || status === 204 || status === 304 ? undefined : content);
+    return status;
+}
+
+function sendError(response, error) {
+    if (response.headersSent) {
+        response.end();
+        return;
+    }
+    const status = error instanceof MockError ? error.status : 500;
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify({ error: error.message, ...(error.details ? { details: error.details } : {}) }, null, 2));
+}
+
+function createState(spec) {
+    return {
+        spec,
+        routes: compileRoutes(spec),
+        basePaths: getBasePaths(spec),
+        validator: createValidator(spec)
+    };
+}
+
+// Serve a spec or collection file until close() is called. With `watch`, the files are
+// polled and the mock reloads when one changes; a spec that fails to load is reported
+// through onError and the previous one keeps being served.
+async function startMockServer(source, options = {}) {
+    const {
+        port = DEFAULT_PORT,
+        host = DEFAULT_HOST,
+        validate = false,
+        watch = false,
+        interval = DEFAULT_WATCH_INTERVAL,
+        onRequest = () => {},
+        onReload = () => {},
+        onError = () => {},
+        ...conversionOptions
+    } = options;
+
+    // When each file was changed as it was loaded, null for files that are gone
+    function getModified(file) {
+        try {
+            return fs.statSync(file).mtimeMs;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async function load() {
+        const files = new Map();
+        const spec = await loadMockSpec(source, { ...conversionOptions, onLoad: file => files.set(file, getModified(file)) });
+        return { state: createState(spec), files };
+    }
+
+    let { state, files } = await load();
+    let reloading = null;
+    let timer = null;
+
+    const server = http.createServer(async (request, response) => {
+        const startedAt = Date.now();
+        let status;
+        try {
+            status = await handleRequest(state, request, response, validate);
+        } catch (error) {
+            if (!(error instanceof MockError)) debug('Mock request failed:', error);
+            status = error instanceof MockError ? error.status : 500;
+            sendError(response, error);
+        }
+        onRequest({ method: request.method, url: request.url, status, duration: Date.now() - startedAt });
+    });
+
+    function checkFiles() {
+        if (reloading) return;
+        const changed = Array.from(files).some(([file, modified]) => getModified(file) !== modified);
+        if (changed) reload().catch(() => {});
+    }
+
+    // Resolves once the spec was reloaded, rejects with the reason it could not be
+    function reload() {
+        if (!reloading) {
+            reloading = load()
+                .then(loaded => {
+                    state = loaded.state;
+                    files = loaded.files;
+                    debug(`Reloaded mock spec ${source}`);
+                    onReload({ paths: state.routes.length });
+                })
+                .catch(error => {
+                    // Tried again once the files change again
+                    files = new Map(Array.from(files.keys(), file => [file, getModified(file)]));
+                    onError(error);
+                    throw error;
+                })
+                .finally(() => {
+                    reloading = null;
+                });
+        }
+        return reloading;
+    }
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            server.off('error', reject);
+            resolve();
+        });
+    });
+    if (watch) {
+        timer = setInterval(checkFiles, interval);
+        timer.unref();
+    }
+
+    const address = server.address();
+    debug(`Mock server for ${source} listening on ${address.address}:${address.port}`);
+
+    return {
+        server,
+        port: address.port,
+        url: `http://${host.includes(':') ? `[${host}]` : host}:${address.port}`,
+        get spec() {
+            return state.spec;
+        },
+        reload,
+        close() {
+            clearInterval(timer);
+            return new Promise(resolve => {
+                server.close(() => resolve());
+                server.closeAllConnections();
+            });
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_PORT,
+    DEFAULT_HOST,
+    MockError,
+    loadMockSpec,
+    parsePrefer,
+    synthesize,
+    startMockServer
+};
@@ -0,0 +1,124 @@
+// Output file names from a template such as "{workspace}/{slug}-{version}". The names of
+// all collections of a run are planned up front, so two collections never share a file.
+
+const { toSlug } = require('./output');
+
+const FILENAME_TOKENS = ['name', 'slug', 'uid', 'workspace', 'version'];
+const DEFAULT_FILENAME_TEMPLATE = '{name}';
+const COLLISION_STRATEGIES = ['suffix', 'fail'];
+
+// Letters, marks and digits of every script are kept, so non-Latin names stay readable.
+// NFC keeps names typed on macOS and elsewhere the same.
+function toFileName(value) {
+    return String(value).normalize('NFC').replace(/[^\p{L}\p{M}\p{N}]/gu, '_');
+}
+
+// IDs and versions keep their dots and dashes, e.g. 12345-abc or 1.2.0
+function toSafeName(value) {
+    return String(value).normalize('NFC').replace(/[^\p{L}\p{M}\p{N}._-]/gu, '_').replace(/^\.+/, '');
+}
+
+function getTemplateTokens(template) {
+    return Array.from(String(template).matchAll(/\{([^{}]*)\}/g), match => match[1]);
+}
+
+// A relative path of literal text and tokens; "/" creates subdirectories
+function compileFilenameTemplate(template = DEFAULT_FILENAME_TEMPLATE) {
+    const text = String(template).trim().replace(/\\/g, '/');
+    const unknown = getTemplateTokens(text).filter(token => !FILENAME_TOKENS.includes(token));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown file name token(s) in "${template}": ${unknown.map(token => `{${token}}`).join(', ')} (expected: ${FILENAME_TOKENS.map(token => `{${token}}`).join(', ')})`);
+    }
+    if (!text || text.startsWith('/') || /^[a-z]:/i.test(text) || text.split('/').some(segment => segment === '..' || segment === '.')) {
+        throw new Error(`Invalid file name template: "${template}" (expected a relative path without "." or ".." segments)`);
+    }
+    return text;
+}
+
+function usesToken(template, token) {
+    return getTemplateTokens(template).includes(token);
+}
+
+function normalizeCollisionStrategy(strategy = 'suffix') {
+    const normalized = String(strategy).trim().toLowerCase();
+    if (!COLLISION_STRATEGIES.includes(normalized)) {
+        throw new Error(`Unknown file name collision strategy: ${strategy} (expected one of: ${COLLISION_STRATEGIES.join(', ')})`);
+    }
+    return normalized;
+}
+
+// Segments that render empty are left out, an empty name falls back to the uid
+function renderFileName(template, collection, { workspace, version } = {}) {
+    const values = {
+        name: toFileName(collection.name),
+        slug: toSlug(collection.name),
+        uid: toSafeName(collection.uid || ''),
+        workspace: workspace ? toSlug(workspace) : '',
+        version: version ? toSafeName(version) : ''
+    };
+    const segments = template.split('/')
+        .map(segment => segment.replace(/\{(\w+)\}/g, (match, token) => values[token]))
+        .filter(Boolean);
+    if (segments.length === 0) segments.push(values.uid || 'collection');
+    return segments.join('/');
+}
+
+// Case-insensitive file systems treat User_API and user_api as the same file
+function getCollisionKey(file) {
+    return file.toLowerCase();
+}
+
+function findCollisions(files) {
+    const groups = new Map();
+    files.forEach((file, index) => {
+        const key = getCollisionKey(file);
+        groups.set(key, [...(groups.get(key) || []), index]);
+    });
+    return Array.from(groups.values()).filter(indexes => indexes.length > 1);
+}
+
+// The output file of every collection, relative to the output directory and in the order of
+// the collections. Collections that would share a file either fail the run or all get their
+// uid appended, so a name never depends on which collection was exported first.
+function planFileNames(collections, options = {}) {
+    const { extension = '', workspace, getVersion = () => undefined } = options;
+    const template = compileFilenameTemplate(options.template);
+    const strategy = normalizeCollisionStrategy(options.strategy);
+    const withVersion = usesToken(template, 'version');
+    let files = collections.map(collection =>
+        renderFileName(template, collection, { workspace, version: withVersion ? getVersion(collection) : undefined })
+    );
+
+    const collisions = findCollisions(files);
+    if (collisions.length > 0 && strategy === 'fail') {
+        const details = collisions.map(indexes =>
+            `${indexes.map(index => `"${collections[index].name}"`).join(', ')} → ${files[indexes[0]]}${extension}`
+        );
+        throw new Error(`Collections would overwrite each other's files:\n  ${details.join('\n  ')}\nAdd {uid} to the file name template or disambiguate them with the "suffix" strategy`);
+    }
+    collisions.flat().forEach(index => {
+        const uid = toSafeName(collections[index].uid || '');
+        if (uid) files[index] = `${files[index]}-${uid}`;
+    });
+
+    // Collections without a distinct uid are numbered in collection order
+    const seen = new Map();
+    files = files.map(file => {
+        const key = getCollisionKey(file);
+        const count = (seen.get(key) || 0) + 1;
+        seen.set(key, count);
+        return count > 1 ? `${file}-${count}` : file;
+    });
+
+    return files.map(file => `${file}${extension}`);
+}
+
+module.exports = {
+    FILENAME_TOKENS,
+    DEFAULT_FILENAME_TEMPLATE,
+    COLLISION_STRATEGIES,
+    compileFilenameTemplate,
+    normalizeCollisionStrategy,
+    usesToken,
+    planFileNames
+};
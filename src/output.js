@@ -0,0 +1,49 @@
+const yaml = require('js-yaml');
+
+const OUTPUT_FORMATS = ['json', 'yaml'];
+
+function normalizeFormat(format) {
+    if (!format) return 'json';
+    const normalized = String(format).trim().toLowerCase();
+    if (normalized === 'yml') return 'yaml';
+    if (!OUTPUT_FORMATS.includes(normalized)) {
+        throw new Error(`Unsupported output format: ${format} (expected one of: ${OUTPUT_FORMATS.join(', ')})`);
+    }
+    return normalized;
+}
+
+// Lowercase words joined by dashes, e.g. "Team API (v2)" -> "team-api-v2".
+// Letters of any script are kept, so "Платежи" stays "платежи".
+function toSlug(value) {
+    return String(value).normalize('NFC').split(/[^\p{L}\p{M}\p{N}]+/u).filter(Boolean).join('-').toLowerCase();
+}
+
+function getFileExtension(format) {
+    return `.${normalizeFormat(format)}`;
+}
+
+function serializeSpec(spec, format) {
+    if (normalizeFormat(format) === 'yaml') {
+        // noRefs keeps repeated objects inline instead of emitting YAML anchors,
+        // skipInvalid drops undefined values the same way JSON.stringify does
+        return yaml.dump(spec, { noRefs: true, skipInvalid: true, lineWidth: -1 });
+    }
+    return JSON.stringify(spec, null, 2);
+}
+
+function parseSpec(content) {
+    // JSON is valid YAML, but parse it as JSON so errors point at the right syntax
+    if (content.trim().startsWith('{')) {
+        return JSON.parse(content);
+    }
+    return yaml.load(content);
+}
+
+module.exports = {
+    OUTPUT_FORMATS,
+    normalizeFormat,
+    toSlug,
+    getFileExtension,
+    serializeSpec,
+    parseSpec
+};
@@ -0,0 +1,165 @@
+// Plugins edit collections and specs during an export. A plugin is a CommonJS module that
+// exports an object with hooks, or a function of its options that returns one:
+//
+//   beforeConvert(collection, context)    the Postman collection, before it is converted
+//   afterConvert(spec, collection, context)  the converted spec, before redaction and validation
+//   beforeWrite(file, spec, context)      the spec about to be written to file
+//
+// A hook may change its argument in place or return a replacement. Hooks run in the order
+// the plugins were given, and `context.state` is shared by every plugin for the whole run.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const debug = require('./debug');
+const { BUILTIN_PLUGINS } = require('./transforms');
+
+const PLUGIN_HOOKS = ['beforeConvert', 'afterConvert', 'beforeWrite'];
+
+// Local modules are paths, anything else names a built-in plugin
+function isPluginPath(value) {
+    return /[\\/]/.test(value) || /\.c?js$/i.test(value);
+}
+
+// Entries are "name-or-path" or { plugin: "name-or-path", options }
+function normalizeEntry(entry) {
+    if (typeof entry === 'string') return { plugin: entry, options: {} };
+    if (entry && typeof entry === 'object' && typeof entry.plugin === 'string') {
+        return { plugin: entry.plugin, options: entry.options || {} };
+    }
+    throw new Error(`Invalid plugin entry: ${JSON.stringify(entry)} (expected a module path, a built-in name or { plugin, options })`);
+}
+
+// Module paths of config entries are relative to the config file
+function resolvePluginEntry(entry, baseDir) {
+    const { plugin } = normalizeEntry(entry);
+    if (!isPluginPath(plugin)) return entry;
+    const resolved = path.resolve(baseDir, plugin);
+    return typeof entry === 'string' ? resolved : { ...entry, plugin: resolved };
+}
+
+function requirePlugin(file) {
+    try {
+        return require(file);
+    } catch (error) {
+        throw new Error(`Could not load plugin ${file}: ${error.message}`);
+    }
+}
+
+function validatePlugin(plugin, source) {
+    if (!plugin || typeof plugin !== 'object') {
+        throw new Error(`Plugin ${source} must export an object with hooks or a function returning one`);
+    }
+    const hooks = PLUGIN_HOOKS.filter(hook => plugin[hook] !== undefined);
+    if (hooks.length === 0) {
+        throw new Error(`Plugin ${source} has no hooks (expected one of: ${PLUGIN_HOOKS.join(', ')})`);
+    }
+    const invalid = hooks.filter(hook => typeof plugin[hook] !== 'function');
+    if (invalid.length > 0) {
+        throw new Error(`Plugin ${source} has hooks that are not functions: ${invalid.join(', ')}`);
+    }
+}
+
+// Plugins given as objects, e.g. through the library API, are used as they are
+function isHookObject(entry) {
+    return Boolean(entry && typeof entry === 'object' && PLUGIN_HOOKS.some(hook => typeof entry[hook] === 'function'));
+}
+
+function loadPlugin(entry, cwd) {
+    if (isHookObject(entry)) {
+        validatePlugin(entry, entry.name || 'object');
+        return { ...entry, name: entry.name || 'anonymous' };
+    }
+
+    const { plugin, options } = normalizeEntry(entry);
+    let exported;
+    let source;
+    if (isPluginPath(plugin)) {
+        source = path.resolve(cwd, plugin);
+        exported = requirePlugin(source);
+    } else {
+        if (!BUILTIN_PLUGINS[plugin]) {
+            throw new Error(`Unknown built-in plugin: ${plugin} (available: ${Object.keys(BUILTIN_PLUGINS).join(', ')}; local modules need a path such as ./${plugin}.js)`);
+        }
+        source = `built-in ${plugin}`;
+        exported = BUILTIN_PLUGINS[plugin];
+    }
+
+    const loaded = typeof exported === 'function' ? exported(options) : exported;
+    validatePlugin(loaded, plugin);
+    const name = loaded.name || path.basename(plugin).replace(/\.c?js$/i, '');
+    debug(`Loaded plugin ${name} (${source}) with hooks: ${PLUGIN_HOOKS.filter(hook => loaded[hook]).join(', ')}`);
+    return { ...loaded, name };
+}
+
+function loadPlugins(entries = [], { cwd = process.cwd() } = {}) {
+    return [].concat(entries || []).map(entry => loadPlugin(entry, cwd));
+}
+
+// What the plugins of a run look like to the export manifest: local modules count by their
+// code, so editing one re-exports the collections it may have changed
+function getPluginsFingerprint(entries = [], { cwd = process.cwd() } = {}) {
+    return [].concat(entries || []).map(entry => {
+        if (isHookObject(entry)) {
+            return { name: entry.name, hooks: PLUGIN_HOOKS.filter(hook => entry[hook]).map(hook => String(entry[hook])) };
+        }
+        const { plugin, options } = normalizeEntry(entry);
+        if (!isPluginPath(plugin)) return { plugin, options };
+        const file = require.resolve(path.resolve(cwd, plugin));
+        return { plugin, options, hash: crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex') };
+    });
+}
+
+// The context every hook of a run gets; state is for plugins to share data
+function createPluginContext(details = {}) {
+    return {
+        ...details,
+        state: {},
+        log: message => debug(`[plugin] ${message}`)
+    };
+}
+
+function hasHook(plugins = [], hook) {
+    return plugins.some(plugin => plugin[hook]);
+}
+
+function callHook(plugin, hook, value, { collection, file, context }) {
+    switch (hook) {
+    case 'beforeConvert':
+        return plugin.beforeConvert(value, context);
+    case 'afterConvert':
+        return plugin.afterConvert(value, collection, context);
+    default:
+        return plugin.beforeWrite(file, value, context);
+    }
+}
+
+// Pass value through the hook of every plugin that has it, in order
+async function runHook(plugins = [], hook, value, details = {}) {
+    const context = details.context || createPluginContext();
+    for (const plugin of plugins) {
+        if (!plugin[hook]) continue;
+        debug(`Running plugin ${plugin.name}: ${hook}${details.file ? ` (${details.file})` : ''}`);
+        let result;
+        try {
+            result = await callHook(plugin, hook, value, { ...details, context });
+        } catch (error) {
+            throw new Error(`Plugin ${plugin.name} failed in ${hook}: ${error.message}`, { cause: error });
+        }
+        if (result === undefined) continue;
+        if (!result || typeof result !== 'object') {
+            throw new Error(`Plugin ${plugin.name} returned ${result === null ? 'null' : typeof result} from ${hook} (expected an object or nothing)`);
+        }
+        value = result;
+    }
+    return value;
+}
+
+module.exports = {
+    PLUGIN_HOOKS,
+    resolvePluginEntry,
+    loadPlugins,
+    getPluginsFingerprint,
+    createPluginContext,
+    hasHook,
+    runHook
+};
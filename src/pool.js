@@ -0,0 +1,19 @@
+// Run worker over items with at most `concurrency` calls in flight.
+// Results keep the order of the input items regardless of completion order.
+async function runWithConcurrency(items, concurrency, worker) {
+    const limit = Math.max(1, Math.min(concurrency || 1, items.length));
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function runWorker() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    }
+
+    await Promise.all(Array.from({ length: limit }, runWorker));
+    return results;
+}
+
+module.exports = { runWithConcurrency };
@@ -0,0 +1,218 @@
+// Redaction of secrets and PII that conversion copies from collections into the specs:
+// tokens in headers and query parameters, passwords in bodies, emails in examples.
+
+// Key names whose values are always secret, compared without case and separators,
+// so x-api-key, apiKey and API_KEY are the same
+const SECRET_KEYS = ['authorization', 'proxyauthorization', 'token', 'cookie', 'setcookie', 'pwd', 'passwd'];
+const SECRET_KEY_SUFFIXES = [
+    'password',
+    'secret',
+    'apikey',
+    'accesstoken',
+    'refreshtoken',
+    'idtoken',
+    'authtoken',
+    'bearertoken',
+    'sessionid',
+    'privatekey',
+    'credentials'
+];
+
+// Placeholder domains are not personal data
+const EXAMPLE_EMAIL_DOMAIN = /@(([a-z0-9-]+\.)*example\.(com|org|net)|([a-z0-9-]+\.)+(example|test|invalid|localhost))$/i;
+
+const BUILTIN_RULES = [
+    {
+        name: 'authorization-header',
+        key: key => /^(proxy-)?authorization$/i.test(key)
+    },
+    {
+        name: 'secret-key',
+        key: key => {
+            const normalized = key.toLowerCase().replace(/[-_.\s]/g, '');
+            return SECRET_KEYS.includes(normalized) || SECRET_KEY_SUFFIXES.some(suffix => normalized.endsWith(suffix));
+        }
+    },
+    { name: 'jwt', pattern: /\beyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]*/g },
+    { name: 'aws-access-key', pattern: /\b(AKIA|ASIA)[0-9A-Z]{16}\b/g },
+    { name: 'stripe-key', pattern: /\b(sk|rk|pk)_(live|test)_[0-9a-zA-Z]{10,}\b/g },
+    { name: 'bearer-token', pattern: /\bBearer\s+[A-Za-z0-9._~+/-]{8,}=*/g, placeholder: 'Bearer <redacted>' },
+    {
+        name: 'email',
+        pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+        placeholder: 'user@example.com',
+        // Only data is personal: contact emails in info and descriptions are published on purpose
+        examplesOnly: true,
+        ignore: value => EXAMPLE_EMAIL_DOMAIN.test(value)
+    }
+];
+
+// Keys that describe the value of their parent, so the parent's name still applies:
+// the example of an Authorization header is as secret as the header
+const STRUCTURAL_KEYS = ['example', 'examples', 'value', 'default', 'enum', 'schema', 'items', 'content'];
+const EXAMPLE_KEYS = ['example', 'examples', 'default', 'enum'];
+
+class SecretsFoundError extends Error {
+    constructor(findings) {
+        super(`Found ${findings.length} secret(s), nothing was written:\n${findings.map(formatFinding).join('\n')}`);
+        this.name = 'SecretsFoundError';
+        this.redactions = findings;
+    }
+}
+
+function formatFinding(finding) {
+    return `  ${finding.location} (${finding.rule})`;
+}
+
+function toRegExp(value, flags, source) {
+    try {
+        return new RegExp(value, flags);
+    } catch (error) {
+        throw new Error(`Invalid redaction rule ${source}: ${error.message}`);
+    }
+}
+
+// The built-in rules minus the disabled ones, followed by the custom rules from the
+// config: { name, key: 'regex' } redacts values by key name, { name, pattern: 'regex' }
+// redacts matching text anywhere, and placeholder overrides the replacement
+function normalizeRedaction(redaction = {}) {
+    const { enabled = true, rules = [], disable = [] } = redaction;
+    const builtinNames = BUILTIN_RULES.map(rule => rule.name);
+    const unknown = disable.filter(name => !builtinNames.includes(name));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown redaction rule(s) to disable: ${unknown.join(', ')} (built-in rules: ${builtinNames.join(', ')})`);
+    }
+
+    const custom = rules.map((rule, index) => {
+        const name = rule.name || `custom-${index + 1}`;
+        if (!rule.key === !rule.pattern) {
+            throw new Error(`Invalid redaction rule ${name}: expected either key or pattern`);
+        }
+        const key = rule.key && toRegExp(rule.key, 'i', name);
+        return {
+            name,
+            key: key && (value => key.test(value)),
+            pattern: rule.pattern && toRegExp(rule.pattern, 'g', name),
+            placeholder: rule.placeholder
+        };
+    });
+
+    return {
+        enabled,
+        rules: [...BUILTIN_RULES.filter(rule => !disable.includes(rule.name)), ...custom]
+    };
+}
+
+function escapePointer(key) {
+    return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function placeholderFor(rule) {
+    return rule.placeholder !== undefined ? rule.placeholder : `<redacted:${rule.name}>`;
+}
+
+// Variables and earlier placeholders are not secrets
+function isPlaceholder(value) {
+    return /^\{\{[^}]+\}\}$/.test(value) || /^<redacted(:[a-z0-9-]+)?>$/.test(value);
+}
+
+function redactString(value, hint, inExample, rules, location, findings) {
+    if (!value || isPlaceholder(value)) return value;
+
+    const keyRule = hint && rules.find(rule => rule.key && rule.key(hint));
+    if (keyRule) {
+        findings.push({ rule: keyRule.name, location });
+        return placeholderFor(keyRule);
+    }
+
+    let redacted = value;
+    for (const rule of rules) {
+        if (!rule.pattern || (rule.examplesOnly && !inExample)) continue;
+        redacted = redacted.replace(rule.pattern, match => {
+            if (rule.ignore && rule.ignore(match)) return match;
+            findings.push({ rule: rule.name, location });
+            return placeholderFor(rule);
+        });
+    }
+    return redacted;
+}
+
+function redactNode(node, nodeKey, hint, inExample, rules, location, findings) {
+    if (Array.isArray(node)) {
+        node.forEach((child, index) => {
+            node[index] = redactNode(child, null, hint, inExample, rules, `${location}/${index}`, findings);
+        });
+        return node;
+    }
+    if (typeof node === 'string') {
+        return redactString(node, hint, inExample, rules, location, findings);
+    }
+    if (!node || typeof node !== 'object') return node;
+
+    // Parameters and headers are named by their name field, not by a key
+    const isParameter = typeof node.name === 'string' && typeof node.in === 'string';
+    // Named examples and media types are keyed by names that say nothing about the value
+    const isNamedMap = !inExample && ['examples', 'content'].includes(nodeKey);
+    for (const [key, child] of Object.entries(node)) {
+        if (key === '$ref') continue;
+        let childHint = key;
+        if (isNamedMap) {
+            childHint = hint;
+        } else if (STRUCTURAL_KEYS.includes(key)) {
+            childHint = isParameter ? node.name : hint;
+        }
+        node[key] = redactNode(
+            child,
+            key,
+            childHint,
+            inExample || EXAMPLE_KEYS.includes(key),
+            rules,
+            `${location}/${escapePointer(key)}`,
+            findings
+        );
+    }
+    return node;
+}
+
+// Replace secrets in the spec in place. Returns what was redacted as { rule, location }
+// with JSON pointer locations; the values themselves are never reported.
+function redactSpec(spec, redaction) {
+    const { enabled, rules } = normalizeRedaction(redaction);
+    if (!enabled) return [];
+
+    const findings = [];
+    redactNode(spec, null, null, false, rules, '', findings);
+    return findings;
+}
+
+// JSON report of every collection's redactions
+function buildRedactionReport(results) {
+    const seen = new Set();
+    const collections = [];
+    const byRule = {};
+    for (const result of results) {
+        if (!result.redactions || seen.has(result.name)) continue;
+        seen.add(result.name);
+        collections.push({ name: result.name, file: result.file, success: result.success, redactions: result.redactions });
+        result.redactions.forEach(finding => {
+            byRule[finding.rule] = (byRule[finding.rule] || 0) + 1;
+        });
+    }
+    return {
+        collections,
+        summary: {
+            redactions: Object.values(byRule).reduce((sum, count) => sum + count, 0),
+            collections: collections.filter(entry => entry.redactions.length > 0).length,
+            byRule
+        }
+    };
+}
+
+module.exports = {
+    BUILTIN_RULES,
+    SecretsFoundError,
+    normalizeRedaction,
+    formatFinding,
+    redactSpec,
+    buildRedactionReport
+};
@@ -0,0 +1,186 @@
+// Run reports for CI: every collection's status, timing, output file and error as JSON or
+// JUnit XML, and the exit codes that tell the kinds of failure apart
+const fs = require('fs');
+const path = require('path');
+const { AuthenticationError, NotFoundError } = require('./errors');
+
+const EXIT_CODES = {
+    success: 0,
+    error: 1,
+    breakingChanges: 2,
+    authentication: 3,
+    notFound: 4,
+    partialFailure: 5,
+    validation: 6
+};
+
+const REPORT_FORMATS = ['json', 'junit'];
+
+// Exit code of a run that ended with an error before the collections were exported
+function getErrorExitCode(error) {
+    if (error instanceof AuthenticationError) return EXIT_CODES.authentication;
+    if (error instanceof NotFoundError) return EXIT_CODES.notFound;
+    return EXIT_CODES.error;
+}
+
+// Exit code of a run that exported its collections: failures of spec validation alone are
+// told apart from other failures, breaking changes only count when nothing failed
+function getResultsExitCode(results, { breaking = 0, continueOnError = false } = {}) {
+    const failed = results.filter(result => !result.success && !result.aborted);
+    if (failed.length > 0 && !continueOnError) {
+        return failed.every(result => result.errorType === 'SpecValidationError')
+            ? EXIT_CODES.validation
+            : EXIT_CODES.partialFailure;
+    }
+    return breaking > 0 ? EXIT_CODES.breakingChanges : EXIT_CODES.success;
+}
+
+function getStatus(result) {
+    if (result.aborted) return 'aborted';
+    if (!result.success) return 'failed';
+    return result.skipped ? 'unchanged' : 'exported';
+}
+
+function toReportEntry(result, workspace) {
+    return {
+        name: result.name,
+        ...(workspace ? { workspace } : {}),
+        status: getStatus(result),
+        duration: result.duration || 0,
+        ...(result.file ? { file: result.file } : {}),
+        ...(result.files ? { files: result.files } : {}),
+        ...(result.error ? { error: result.error } : {}),
+        ...(result.errorType ? { errorType: result.errorType } : {})
+    };
+}
+
+// The JSON run report of one export (name and results) or of several workspaces
+// (workspaces: [{ name, results, error }]). error is set when the run failed as a whole.
+function buildRunReport(options) {
+    const { name, results = [], workspaces, startedAt, finishedAt = new Date(), exitCode, error } = options;
+    const collections = workspaces
+        ? workspaces.flatMap(workspace => workspace.results.map(result => toReportEntry(result, workspace.name)))
+        : results.map(result => toReportEntry(result));
+    const count = status => collections.filter(entry => entry.status === status).length;
+    return {
+        ...(name ? { name } : {}),
+        startedAt: startedAt.toISOString(),
+        finishedAt: finishedAt.toISOString(),
+        duration: finishedAt.getTime() - startedAt.getTime(),
+        success: exitCode === EXIT_CODES.success,
+        exitCode,
+        ...(error ? { error: { message: error.message, type: error.name } } : {}),
+        summary: {
+            total: collections.length,
+            exported: count('exported'),
+            unchanged: count('unchanged'),
+            failed: count('failed'),
+            aborted: count('aborted')
+        },
+        ...(workspaces
+            ? {
+                workspaces: workspaces.map(workspace => ({
+                    name: workspace.name,
+                    success: !workspace.error && workspace.results.every(result => result.success),
+                    ...(workspace.error ? { error: workspace.error.message } : {})
+                }))
+            }
+            : {}),
+        collections
+    };
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function seconds(ms) {
+    return (ms / 1000).toFixed(3);
+}
+
+function formatTestCase(entry, suite) {
+    const attributes = `name="${escapeXml(entry.name)}" classname="${escapeXml(suite)}" time="${seconds(entry.duration)}"`;
+    const file = entry.file || (entry.files && entry.files.join('\n'));
+    const output = file ? `\n      <system-out>${escapeXml(file)}</system-out>` : '';
+    switch (entry.status) {
+    case 'failed': {
+        const message = entry.error.split('\n')[0];
+        return `    <testcase ${attributes}>\n      <failure message="${escapeXml(message)}" type="${escapeXml(entry.errorType || 'Error')}">${escapeXml(entry.error)}</failure>${output}\n    </testcase>`;
+    }
+    case 'aborted':
+        return `    <testcase ${attributes}>\n      <skipped message="${escapeXml(entry.error)}"/>\n    </testcase>`;
+    case 'unchanged':
+        return `    <testcase ${attributes}>\n      <skipped message="unchanged since the last export"/>${output}\n    </testcase>`;
+    default:
+        return `    <testcase ${attributes}>${output}\n    </testcase>`;
+    }
+}
+
+// JUnit XML with one test suite per workspace and one test case per collection
+function formatJUnitReport(report) {
+    const suites = report.workspaces
+        ? report.workspaces.map(workspace => ({
+            name: workspace.name,
+            error: workspace.error,
+            entries: report.collections.filter(entry => entry.workspace === workspace.name)
+        }))
+        : [{ name: report.name || 'postman-export', error: report.error && report.error.message, entries: report.collections }];
+
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="postman-export" tests="${report.summary.total}" failures="${report.summary.failed}" time="${seconds(report.duration)}">`
+    ];
+    for (const suite of suites) {
+        const failures = suite.entries.filter(entry => entry.status === 'failed').length;
+        const skipped = suite.entries.filter(entry => entry.status !== 'failed' && entry.status !== 'exported').length;
+        const time = suite.entries.reduce((sum, entry) => sum + entry.duration, 0);
+        lines.push(`  <testsuite name="${escapeXml(suite.name)}" tests="${suite.entries.length}" failures="${failures}" errors="${suite.error ? 1 : 0}" skipped="${skipped}" time="${seconds(time)}" timestamp="${report.startedAt}">`);
+        // A run or workspace that failed before its collections is reported as an error
+        if (suite.error) {
+            lines.push(`    <testcase name="${escapeXml(suite.name)}" classname="${escapeXml(suite.name)}" time="0.000">`);
+            lines.push(`      <error message="${escapeXml(suite.error.split('\n')[0])}">${escapeXml(suite.error)}</error>`);
+            lines.push('    </testcase>');
+        }
+        suite.entries.forEach(entry => lines.push(formatTestCase(entry, suite.name)));
+        lines.push('  </testsuite>');
+    }
+    lines.push('</testsuites>');
+    return lines.join('\n') + '\n';
+}
+
+// JUnit for .xml files, JSON otherwise
+function getReportFormat(file, format) {
+    if (format) {
+        if (!REPORT_FORMATS.includes(format)) {
+            throw new Error(`Invalid report format: ${format} (expected ${REPORT_FORMATS.join(' or ')})`);
+        }
+        return format;
+    }
+    return path.extname(file).toLowerCase() === '.xml' ? 'junit' : 'json';
+}
+
+function writeRunReport(file, report, format) {
+    format = getReportFormat(file, format);
+    const content = format === 'junit'
+        ? formatJUnitReport(report)
+        : JSON.stringify(report, null, 2);
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, content);
+    return format;
+}
+
+module.exports = {
+    EXIT_CODES,
+    REPORT_FORMATS,
+    getErrorExitCode,
+    getResultsExitCode,
+    buildRunReport,
+    formatJUnitReport,
+    getReportFormat,
+    writeRunReport
+};
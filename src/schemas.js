@@ -0,0 +1,270 @@
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+const STRING_FORMATS = [
+    ['uuid', /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i],
+    ['date-time', /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/],
+    ['date', /^\d{4}-\d{2}-\d{2}$/],
+    ['email', /^[^\s@]+@[^\s@]+\.[^\s@]+$/],
+    ['uri', /^https?:\/\/\S+$/]
+];
+
+function isJsonMediaType(mediaType) {
+    return /^application\/(.+\+)?json\b/.test(mediaType);
+}
+
+function isNullOnly(schema) {
+    return schema.nullable && !schema.type && !schema.oneOf;
+}
+
+function inferSchema(value) {
+    // Only a marker for mergeSchemas, see withoutNullOnly
+    if (value === null) return { nullable: true };
+    if (Array.isArray(value)) {
+        const items = value.map(inferSchema).reduce(mergeSchemas, undefined);
+        return { type: 'array', items: items || {} };
+    }
+    switch (typeof value) {
+    case 'object': {
+        const properties = {};
+        for (const [key, child] of Object.entries(value)) {
+            properties[key] = inferSchema(child);
+        }
+        const required = Object.keys(properties);
+        return { type: 'object', properties, ...(required.length > 0 ? { required } : {}) };
+    }
+    case 'string': {
+        const match = STRING_FORMATS.find(([, pattern]) => pattern.test(value));
+        return match ? { type: 'string', format: match[0] } : { type: 'string' };
+    }
+    case 'number':
+        return { type: Number.isInteger(value) ? 'integer' : 'number' };
+    case 'boolean':
+        return { type: 'boolean' };
+    default:
+        return {};
+    }
+}
+
+function mergeSameType(a, b) {
+    if (a.type === 'object') {
+        const properties = { ...a.properties };
+        for (const [key, schema] of Object.entries(b.properties || {})) {
+            properties[key] = properties[key] ? mergeSchemas(properties[key], schema) : schema;
+        }
+        // Only fields present in every example are required
+        const required = (a.required || []).filter(key => (b.required || []).includes(key));
+        return { type: 'object', properties, ...(required.length > 0 ? { required } : {}) };
+    }
+    if (a.type === 'array') {
+        return { type: 'array', items: mergeSchemas(a.items, b.items) || {} };
+    }
+    if (a.type === 'string' && a.format && a.format === b.format) {
+        return { type: 'string', format: a.format };
+    }
+    return { type: a.type };
+}
+
+// Integers and numbers share one oneOf variant, widened to number
+function variantType(schema) {
+    return schema.type === 'integer' ? 'number' : schema.type;
+}
+
+function withoutNullable(schema) {
+    const rest = { ...schema };
+    delete rest.nullable;
+    return rest;
+}
+
+// One schema that accepts the values of both
+function mergeSchemas(a, b) {
+    if (!a || Object.keys(a).length === 0) return b;
+    if (!b || Object.keys(b).length === 0) return a;
+    if (isNullOnly(a)) return { ...b, nullable: true };
+    if (isNullOnly(b)) return { ...a, nullable: true };
+
+    let merged;
+    if (a.type && a.type === b.type) {
+        merged = mergeSameType(a, b);
+    } else if (['integer', 'number'].includes(a.type) && ['integer', 'number'].includes(b.type)) {
+        merged = { type: 'number' };
+    } else {
+        // Different types become one variant per type
+        const variants = [];
+        for (const variant of [...(a.oneOf || [a]), ...(b.oneOf || [b])].map(withoutNullable)) {
+            const index = variants.findIndex(existing => variantType(existing) === variantType(variant));
+            if (index === -1) {
+                variants.push(variant);
+            } else {
+                variants[index] = mergeSchemas(variants[index], variant);
+            }
+        }
+        merged = variants.length === 1 ? variants[0] : { oneOf: variants };
+    }
+
+    if (a.nullable || b.nullable) merged.nullable = true;
+    return merged;
+}
+
+// nullable without a type is invalid in OpenAPI 3.0, so a field that was null in
+// every example gets an empty schema, which accepts any value
+function withoutNullOnly(schema) {
+    if (!schema || typeof schema !== 'object') return schema;
+    if (isNullOnly(schema)) return {};
+
+    const result = { ...schema };
+    if (schema.properties) {
+        result.properties = Object.fromEntries(Object.entries(schema.properties).map(([key, child]) => [key, withoutNullOnly(child)]));
+    }
+    if (schema.items) result.items = withoutNullOnly(schema.items);
+    if (schema.oneOf) result.oneOf = schema.oneOf.map(withoutNullOnly);
+    return result;
+}
+
+function canonical(value) {
+    if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+function toSchemaName(hint) {
+    const name = String(hint).split(/[^a-zA-Z0-9]+/).filter(Boolean)
+        .map(word => word[0].toUpperCase() + word.slice(1)).join('');
+    return /^[A-Za-z]/.test(name) ? name : `Schema${name}`;
+}
+
+// Every example of a media type, wherever the converter put it
+function collectExamples(media) {
+    const examples = [];
+    if (media.example !== undefined) examples.push(media.example);
+    Object.values(media.examples || {}).forEach(example => {
+        if (example && example.value !== undefined) examples.push(example.value);
+    });
+    if (media.schema && media.schema.example !== undefined) examples.push(media.schema.example);
+    return examples.filter(example => example !== null && typeof example === 'object');
+}
+
+// The converter only writes a bare type, anything more was written on purpose
+function isShallow(schema) {
+    if (!schema) return true;
+    return Object.keys(schema).every(key => ['type', 'example'].includes(key));
+}
+
+function isLiftable(schema) {
+    return schema.type === 'object' && !schema.nullable && Object.keys(schema.properties || {}).length > 0;
+}
+
+function countShapes(schema, counts) {
+    if (!schema || typeof schema !== 'object') return;
+    if (isLiftable(schema)) {
+        const key = canonical(schema);
+        counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    Object.values(schema.properties || {}).forEach(child => countShapes(child, counts));
+    (schema.oneOf || []).forEach(child => countShapes(child, counts));
+    countShapes(schema.items, counts);
+}
+
+function registerSchema(schema, hint, context) {
+    const key = canonical(schema);
+    if (context.registry.has(key)) return context.registry.get(key);
+
+    const base = toSchemaName(hint);
+    let name = base;
+    for (let i = 2; context.components[name] !== undefined; i++) {
+        name = `${base}${i}`;
+    }
+    context.components[name] = schema;
+    context.registry.set(key, name);
+    return name;
+}
+
+// Replace body schemas, and nested shapes that occur more than once, with $refs
+function liftShapes(schema, hint, context, isRoot) {
+    if (!schema || typeof schema !== 'object') return schema;
+
+    if (schema.type === 'array') {
+        return { ...schema, items: liftShapes(schema.items, `${hint} Item`, context, isRoot) };
+    }
+    if (schema.oneOf) {
+        return { ...schema, oneOf: schema.oneOf.map(variant => liftShapes(variant, hint, context, false)) };
+    }
+    if (!schema.properties) return schema;
+
+    const repeated = context.counts.get(canonical(schema)) > 1;
+    const properties = {};
+    for (const [key, child] of Object.entries(schema.properties)) {
+        properties[key] = liftShapes(child, key, context, false);
+    }
+    const lifted = { ...schema, properties };
+
+    if (isLiftable(lifted) && (isRoot || repeated)) {
+        return { $ref: `#/components/schemas/${registerSchema(lifted, hint, context)}` };
+    }
+    return lifted;
+}
+
+function getSchemaHint(pathKey, method, operation) {
+    return operation.operationId || operation.summary || `${method} ${pathKey}`;
+}
+
+// Infer JSON Schemas from the JSON examples of every request body and response that only
+// has a shallow schema, and lift the resulting object shapes into components/schemas
+function addInferredSchemas(spec) {
+    const targets = [];
+
+    for (const [pathKey, pathItem] of Object.entries(spec.paths || {})) {
+        for (const method of HTTP_METHODS) {
+            const operation = pathItem && pathItem[method];
+            if (!operation) continue;
+            const hint = getSchemaHint(pathKey, method, operation);
+
+            const bodies = [];
+            if (operation.requestBody && !operation.requestBody.$ref) {
+                bodies.push([operation.requestBody, `${hint} Request`]);
+            }
+            for (const [status, response] of Object.entries(operation.responses || {})) {
+                if (!response || response.$ref) continue;
+                bodies.push([response, /^2/.test(status) ? `${hint} Response` : `${hint} ${status} Response`]);
+            }
+
+            for (const [body, name] of bodies) {
+                for (const [mediaType, media] of Object.entries(body.content || {})) {
+                    if (!media || !isJsonMediaType(mediaType) || !isShallow(media.schema)) continue;
+                    const examples = collectExamples(media);
+                    if (examples.length === 0) continue;
+
+                    // The converter keeps request examples on the schema, keep them on the media type
+                    if (media.schema && media.schema.example !== undefined && media.example === undefined && !media.examples) {
+                        media.example = media.schema.example;
+                    }
+                    targets.push({ media, name, schema: withoutNullOnly(examples.map(inferSchema).reduce(mergeSchemas)) });
+                }
+            }
+        }
+    }
+
+    if (targets.length === 0) return spec;
+
+    spec.components = spec.components || {};
+    spec.components.schemas = spec.components.schemas || {};
+    const context = { components: spec.components.schemas, registry: new Map(), counts: new Map() };
+    // Shapes that already have a component are reused
+    for (const [name, schema] of Object.entries(context.components)) {
+        context.registry.set(canonical(schema), name);
+    }
+    targets.forEach(target => countShapes(target.schema, context.counts));
+
+    for (const target of targets) {
+        target.media.schema = liftShapes(target.schema, target.name, context, true);
+    }
+
+    return spec;
+}
+
+module.exports = {
+    inferSchema,
+    mergeSchemas,
+    addInferredSchemas
+};
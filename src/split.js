@@ -0,0 +1,115 @@
+// The multi-file layout of --split: a root openapi file with every path group and schema
+// in a file of its own, referenced with relative $refs. `bundle` turns it back into one.
+//
+//   openapi.yaml                  info, servers, security, tags and the other components
+//   paths/users.yaml              /users, /users/{id}, ... keyed by path
+//   components/schemas/User.yaml  one schema
+const fs = require('fs');
+const path = require('path');
+const debug = require('./debug');
+const { getFileExtension, serializeSpec } = require('./output');
+
+const ROOT_NAME = 'openapi';
+const SPLIT_DIRS = ['paths', 'components'];
+const SCHEMA_REF = /^#\/components\/schemas\/([^/]+)$/;
+
+// The root file of a collection's split tree, next to where its single file would go
+function getSplitRootFile(file) {
+    const extension = path.extname(file);
+    return path.join(file.slice(0, file.length - extension.length), `${ROOT_NAME}${extension}`);
+}
+
+// Paths are grouped by their first segment: /users and /users/{id} go to paths/users
+function getPathGroup(pathKey) {
+    const [first = ''] = pathKey.split('/').filter(Boolean);
+    const group = first.replace(/[{}]/g, '').replace(/[^a-zA-Z0-9._-]+/g, '-').replace(/^[-.]+|-+$/g, '').toLowerCase();
+    return group || 'root';
+}
+
+// A JSON pointer as a URI fragment, e.g. /users/{id} -> #/~1users~1%7Bid%7D
+function toFragment(key) {
+    return `#/${encodeURIComponent(key.replace(/~/g, '~0').replace(/\//g, '~1'))}`;
+}
+
+// Internal refs of a document moved to `dir`: schemas point at their files, anything else
+// at the root file
+function rewriteRefs(value, dir, extension) {
+    if (Array.isArray(value)) return value.map(item => rewriteRefs(item, dir, extension));
+    if (!value || typeof value !== 'object') return value;
+
+    return Object.fromEntries(Object.entries(value).map(([key, child]) => {
+        if (key !== '$ref' || typeof child !== 'string' || !child.startsWith('#/')) {
+            return [key, rewriteRefs(child, dir, extension)];
+        }
+        const schema = child.match(SCHEMA_REF);
+        if (schema) {
+            return [key, path.posix.relative(dir, `components/schemas/${schema[1]}${extension}`)];
+        }
+        return [key, dir === '.' ? child : `${path.posix.relative(dir, `${ROOT_NAME}${extension}`)}${child}`];
+    }));
+}
+
+// The files of a split spec as { relative file name: document }, the root file first
+function splitSpec(spec, format) {
+    const extension = getFileExtension(format);
+    const { paths, components, ...rest } = spec;
+    const root = rewriteRefs(rest, '.', extension);
+    const files = { [`${ROOT_NAME}${extension}`]: root };
+
+    if (paths) {
+        root.paths = {};
+        for (const [pathKey, pathItem] of Object.entries(paths)) {
+            const file = `paths/${getPathGroup(pathKey)}${extension}`;
+            files[file] = { ...files[file], [pathKey]: rewriteRefs(pathItem, 'paths', extension) };
+            root.paths[pathKey] = { $ref: `${file}${toFragment(pathKey)}` };
+        }
+    }
+
+    if (components) {
+        const { schemas, ...others } = components;
+        root.components = rewriteRefs(others, '.', extension);
+        if (schemas) {
+            root.components.schemas = {};
+            for (const [name, schema] of Object.entries(schemas)) {
+                const file = `components/schemas/${name}${extension}`;
+                files[file] = rewriteRefs(schema, 'components/schemas', extension);
+                root.components.schemas[name] = { $ref: file };
+            }
+        }
+    }
+    return files;
+}
+
+// Leave out the files of an earlier split, so removed paths and schemas do not linger
+function removeSplitSpec(rootFile) {
+    const dir = path.dirname(rootFile);
+    fs.rmSync(rootFile, { force: true });
+    SPLIT_DIRS.forEach(name => fs.rmSync(path.join(dir, name), { recursive: true, force: true }));
+    try {
+        fs.rmdirSync(dir);
+    } catch (error) {
+        // Not empty: other files live there too
+        debug(`Kept ${dir}: ${error.code}`);
+    }
+}
+
+function writeSplitSpec(rootFile, spec, format) {
+    const dir = path.dirname(rootFile);
+    const files = splitSpec(spec, format);
+    removeSplitSpec(rootFile);
+
+    for (const [file, document] of Object.entries(files)) {
+        const target = path.join(dir, file);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, serializeSpec(document, format));
+    }
+    debug(`✓ Split into ${Object.keys(files).length} files in ${dir}`);
+    return Object.keys(files);
+}
+
+module.exports = {
+    getSplitRootFile,
+    splitSpec,
+    writeSplitSpec,
+    removeSplitSpec
+};
@@ -0,0 +1,208 @@
+// Tags from the folder hierarchy and generated operationIds. The converter only knows the
+// folder of a request as a tag, so every request's name is prefixed with a marker that
+// ends up in its operation's summary and tells which operation came from which request.
+const debug = require('./debug');
+
+const TAG_STRATEGIES = ['top', 'full', 'groups'];
+const OPERATION_ID_STRATEGIES = ['name', 'method-path'];
+const OPERATION_ID_STYLES = ['camel', 'snake'];
+const DEFAULT_SEPARATOR = ' > ';
+
+const MARKER_PREFIX = 'postman-export-request-';
+const MARKER_PATTERN = new RegExp(`^${MARKER_PREFIX}(\\d+):`);
+
+function checkChoice(value, choices, what) {
+    if (value === undefined || value === null) return undefined;
+    const normalized = String(value).trim().toLowerCase();
+    if (!choices.includes(normalized)) {
+        throw new Error(`Unknown ${what}: ${value} (expected one of: ${choices.join(', ')})`);
+    }
+    return normalized;
+}
+
+// Tag and operationId options, validated before anything is converted
+function normalizeTagOptions({ tagStrategy, operationIds, operationIdStyle } = {}) {
+    return {
+        tagStrategy: checkChoice(tagStrategy, TAG_STRATEGIES, 'tag strategy'),
+        operationIds: checkChoice(operationIds, OPERATION_ID_STRATEGIES, 'operationId strategy'),
+        operationIdStyle: checkChoice(operationIdStyle, OPERATION_ID_STYLES, 'operationId style') || 'camel'
+    };
+}
+
+// Descriptions are a string or, in collection format v2.1, { content, type }
+function getDescription(description) {
+    const text = description && typeof description === 'object' ? description.content : description;
+    return typeof text === 'string' && text.trim() ? text.trim() : undefined;
+}
+
+function markItems(items, folders, requests) {
+    return (items || []).map(item => {
+        if (Array.isArray(item.item)) {
+            return { ...item, item: markItems(item.item, [...folders, { name: item.name, description: getDescription(item.description) }], requests) };
+        }
+        if (!item.request) return item;
+
+        requests.push({ name: item.name || '', folders });
+        return { ...item, name: `${MARKER_PREFIX}${requests.length - 1}:${item.name || ''}` };
+    });
+}
+
+// A copy of the collection for the converter with every request's name marked, with the
+// name and folder path of every request
+function markRequestNames(collection) {
+    const requests = [];
+    return {
+        collection: { ...collection, item: markItems(collection.item, [], requests) },
+        requests
+    };
+}
+
+// Words of a name in any script, e.g. "List users (v2)" -> ["List", "users", "v2"]
+function splitWords(text) {
+    return String(text)
+        .replace(/([\p{Ll}\p{N}])(\p{Lu})/gu, '$1 $2')
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean);
+}
+
+function formatIdentifier(words, style) {
+    if (style === 'snake') return words.map(word => word.toLowerCase()).join('_');
+    return words
+        .map((word, index) => (index === 0
+            ? word.toLowerCase()
+            : word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()))
+        .join('');
+}
+
+// GET /users/{id}/orders -> get users by id orders
+function getMethodPathWords(method, pathKey) {
+    const segments = pathKey.split('/').filter(Boolean).flatMap(segment => {
+        const parameter = segment.match(/^\{(.+)\}$/);
+        return parameter ? ['by', ...splitWords(parameter[1])] : splitWords(segment);
+    });
+    return [method, ...segments];
+}
+
+// The converter drops " [...]" from summaries; the first one is an explicit operationId
+function getExplicitOperationId(name) {
+    const match = name.match(/\[([^[\]]+)\]/);
+    return match ? match[1].trim() : undefined;
+}
+
+function getTags(request, collectionName, strategy, separator) {
+    const names = request.folders.map(folder => folder.name);
+    if (names.length === 0) return [collectionName];
+    return [strategy === 'top' ? names[0] : names.join(separator)];
+}
+
+function getTagDescription(request, strategy, collectionDescription) {
+    if (request.folders.length === 0) return collectionDescription;
+    const folder = strategy === 'top' ? request.folders[0] : request.folders[request.folders.length - 1];
+    return folder.description;
+}
+
+// Generated IDs that collide are qualified with their folders, then numbered
+function makeUnique(entries, style) {
+    const count = id => entries.filter(entry => entry.id === id).length;
+    entries.forEach(entry => {
+        if (!entry.explicit && count(entry.id) > 1 && entry.folderWords.length > 0) {
+            entry.qualified = formatIdentifier([...entry.folderWords, ...entry.words], style);
+        }
+    });
+    entries.forEach(entry => {
+        if (entry.qualified) entry.id = entry.qualified;
+    });
+
+    const seen = new Set();
+    // Explicit IDs keep their name, generated ones make way
+    const ordered = [...entries.filter(entry => entry.explicit), ...entries.filter(entry => !entry.explicit)];
+    ordered.forEach(entry => {
+        let id = entry.id;
+        for (let i = 2; seen.has(id); i++) {
+            id = style === 'snake' ? `${entry.id}_${i}` : `${entry.id}${i}`;
+        }
+        seen.add(id);
+        entry.id = id;
+    });
+}
+
+function applyOperationIds(operations, strategy, style) {
+    const entries = operations.map(({ operation, method, pathKey, request }) => {
+        const explicit = strategy === 'name' ? getExplicitOperationId(request.name) : undefined;
+        let words = strategy === 'name' ? splitWords(request.name.replace(/\[[^[\]]*\]/g, ' ')) : [];
+        if (words.length === 0) words = getMethodPathWords(method, pathKey);
+        return {
+            operation,
+            explicit: Boolean(explicit),
+            words,
+            folderWords: request.folders.flatMap(folder => splitWords(folder.name)),
+            id: explicit || formatIdentifier(words, style)
+        };
+    });
+    makeUnique(entries, style);
+    entries.forEach(entry => {
+        entry.operation.operationId = entry.id;
+    });
+}
+
+function applyTagStrategy(openApiData, operations, strategy, context) {
+    const { collectionName, collectionDescription, separator } = context;
+    const tags = new Map();
+    const groups = new Map();
+
+    // Tags are listed in the order of the collection, not of the paths
+    const byRequest = [...operations].sort((a, b) => a.index - b.index);
+    byRequest.forEach(({ operation, request }) => {
+        operation.tags = getTags(request, collectionName, strategy, separator);
+        const [tag] = operation.tags;
+        if (!tags.has(tag)) tags.set(tag, getTagDescription(request, strategy, collectionDescription));
+
+        if (strategy === 'groups') {
+            const group = request.folders.length > 0 ? request.folders[0].name : collectionName;
+            if (!groups.has(group)) groups.set(group, []);
+            if (!groups.get(group).includes(tag)) groups.get(group).push(tag);
+        }
+    });
+
+    openApiData.tags = Array.from(tags, ([name, description]) => ({ name, ...(description ? { description } : {}) }));
+    if (openApiData.tags.length === 0) delete openApiData.tags;
+    if (strategy === 'groups') {
+        openApiData['x-tagGroups'] = Array.from(groups, ([name, groupTags]) => ({ name, tags: groupTags }));
+    }
+}
+
+// Restore the summaries the markers went into, then set tags and operationIds
+function applyTags(openApiData, marked, options = {}) {
+    const { tagStrategy, operationIds, operationIdStyle = 'camel', collectionName, collectionDescription, separator = DEFAULT_SEPARATOR } = options;
+    const operations = [];
+
+    for (const [pathKey, pathItem] of Object.entries(openApiData.paths || {})) {
+        for (const [method, operation] of Object.entries(pathItem || {})) {
+            if (!operation || typeof operation.summary !== 'string') continue;
+            const match = operation.summary.match(MARKER_PATTERN);
+            if (!match) continue;
+
+            operation.summary = operation.summary.slice(match[0].length);
+            const index = Number(match[1]);
+            operations.push({ operation, method, pathKey, index, request: marked.requests[index] });
+        }
+    }
+    debug(`Tagging ${operations.length} operations (tags: ${tagStrategy || 'converter'}, operationIds: ${operationIds || 'none'})`);
+
+    if (tagStrategy) {
+        applyTagStrategy(openApiData, operations, tagStrategy, { collectionName, collectionDescription: getDescription(collectionDescription), separator });
+    }
+    if (operationIds) {
+        applyOperationIds(operations, operationIds, operationIdStyle);
+    }
+    return openApiData;
+}
+
+module.exports = {
+    TAG_STRATEGIES,
+    OPERATION_ID_STRATEGIES,
+    OPERATION_ID_STYLES,
+    normalizeTagOptions,
+    markRequestNames,
+    applyTags
+};
@@ -0,0 +1,72 @@
+// Built-in plugins, used by name in --plugin or the config's plugins. They double as
+// examples of plugins: a function of the plugin's options returning its hooks.
+const { globToRegExp } = require('./filters');
+
+const METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+function forEachOperation(spec, callback) {
+    for (const [pathKey, pathItem] of Object.entries(spec.paths || {})) {
+        for (const method of METHODS) {
+            if (pathItem && pathItem[method]) callback(pathItem[method], method, pathKey);
+        }
+    }
+}
+
+// Set info fields such as contact, license or termsOfService:
+// { plugin: 'info', options: { contact: { name: 'API Team', email: 'api@example.com' } } }
+function info(options = {}) {
+    return {
+        name: 'info',
+        afterConvert(spec) {
+            spec.info = { ...spec.info, ...options };
+        }
+    };
+}
+
+function checkExtensions(values, where) {
+    const invalid = Object.keys(values).filter(key => !key.startsWith('x-'));
+    if (invalid.length > 0) {
+        throw new Error(`extensions plugin: ${where} keys must start with x-: ${invalid.join(', ')}`);
+    }
+}
+
+// Add vendor extensions to the spec and to every operation:
+// { plugin: 'extensions', options: { root: { 'x-owner': 'payments' }, operations: { 'x-internal': false } } }
+function extensions({ root = {}, operations = {} } = {}) {
+    checkExtensions(root, 'root');
+    checkExtensions(operations, 'operations');
+    return {
+        name: 'extensions',
+        afterConvert(spec) {
+            Object.assign(spec, root);
+            forEachOperation(spec, operation => Object.assign(operation, operations));
+        }
+    };
+}
+
+// Leave out paths matching case-insensitive globs, where * matches within a segment and
+// ** across segments: { plugin: 'remove-paths', options: { paths: ['/internal/**', '/health'] } }
+function removePaths({ paths = [] } = {}) {
+    const patterns = [].concat(paths).map(glob => globToRegExp(String(glob).trim()));
+    return {
+        name: 'remove-paths',
+        afterConvert(spec, collection, context) {
+            for (const pathKey of Object.keys(spec.paths || {})) {
+                if (patterns.some(pattern => pattern.test(pathKey))) {
+                    delete spec.paths[pathKey];
+                    context.log(`remove-paths: removed ${pathKey}`);
+                }
+            }
+        }
+    };
+}
+
+const BUILTIN_PLUGINS = {
+    info,
+    extensions,
+    'remove-paths': removePaths
+};
+
+module.exports = {
+    BUILTIN_PLUGINS
+};
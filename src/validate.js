@@ -0,0 +1,186 @@
+const Ajv = require('ajv-draft-04');
+const { openapi } = require('@apidevtools/openapi-schemas');
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+const SEVERITIES = ['error', 'warn', 'off'];
+
+// Default severity per lint rule, overridable with `lintRules`
+const LINT_RULES = {
+    'operation-summary': 'warn',
+    'operation-id-unique': 'error',
+    'path-params-documented': 'error',
+    'response-schema': 'warn'
+};
+
+class SpecValidationError extends Error {
+    constructor(validation, strict) {
+        const failures = validation.errors.filter(issue => strict || issue.rule === 'openapi-schema');
+        super(`Generated spec is invalid (${failures.length} error(s)):\n${failures.map(formatIssue).join('\n')}`);
+        this.name = 'SpecValidationError';
+        this.validation = validation;
+    }
+}
+
+let schemaValidator;
+
+// Compiled on first use, the OpenAPI schema takes a moment to compile
+function getSchemaValidator() {
+    if (!schemaValidator) {
+        const ajv = new Ajv({ allErrors: true, strict: false, validateFormats: false });
+        schemaValidator = ajv.compile(openapi.v3);
+    }
+    return schemaValidator;
+}
+
+function normalizeLintRules(overrides = {}) {
+    const rules = { ...LINT_RULES };
+    for (const [rule, severity] of Object.entries(overrides)) {
+        if (!(rule in LINT_RULES)) {
+            throw new Error(`Unknown lint rule: ${rule} (expected one of: ${Object.keys(LINT_RULES).join(', ')})`);
+        }
+        if (!SEVERITIES.includes(severity)) {
+            throw new Error(`Invalid severity for ${rule}: ${severity} (expected one of: ${SEVERITIES.join(', ')})`);
+        }
+        rules[rule] = severity;
+    }
+    return rules;
+}
+
+function formatIssue({ severity, rule, location, message }) {
+    return `  ${severity === 'error' ? '✗' : '!'} ${location}: ${message} (${rule})`;
+}
+
+function validateSchema(spec) {
+    const validator = getSchemaValidator();
+    if (validator(spec)) return [];
+
+    return validator.errors
+        // Every failed alternative of a Reference|Object oneOf is reported too, keep the real cause
+        .filter(error => error.keyword !== 'oneOf' && !(error.keyword === 'required' && error.params.missingProperty === '$ref'))
+        .map(error => ({
+            rule: 'openapi-schema',
+            severity: 'error',
+            location: error.instancePath || '/',
+            message: error.params.allowedValues
+                ? `${error.message}: ${error.params.allowedValues.join(', ')}`
+                : error.message
+        }));
+}
+
+function forEachOperation(spec, callback) {
+    for (const [pathKey, pathItem] of Object.entries(spec.paths || {})) {
+        for (const method of HTTP_METHODS) {
+            if (pathItem && pathItem[method]) {
+                callback(pathKey, pathItem, method, pathItem[method], `${method.toUpperCase()} ${pathKey}`);
+            }
+        }
+    }
+}
+
+function resolveParameter(spec, parameter) {
+    if (!parameter || typeof parameter.$ref !== 'string') return parameter || {};
+    const name = parameter.$ref.replace('#/components/parameters/', '');
+    return (spec.components && spec.components.parameters && spec.components.parameters[name]) || {};
+}
+
+const lintChecks = {
+    'operation-summary': (spec, report) => {
+        forEachOperation(spec, (pathKey, pathItem, method, operation, label) => {
+            if (!operation.summary || !operation.summary.trim()) {
+                report(label, 'operation has no summary');
+            }
+        });
+    },
+
+    'operation-id-unique': (spec, report) => {
+        const seen = new Map();
+        forEachOperation(spec, (pathKey, pathItem, method, operation, label) => {
+            if (!operation.operationId) return;
+            if (seen.has(operation.operationId)) {
+                report(label, `operationId ${operation.operationId} is also used by ${seen.get(operation.operationId)}`);
+            } else {
+                seen.set(operation.operationId, label);
+            }
+        });
+    },
+
+    'path-params-documented': (spec, report) => {
+        forEachOperation(spec, (pathKey, pathItem, method, operation, label) => {
+            const documented = [...(pathItem.parameters || []), ...(operation.parameters || [])]
+                .map(parameter => resolveParameter(spec, parameter))
+                .filter(parameter => parameter.in === 'path')
+                .map(parameter => parameter.name);
+            const templated = (pathKey.match(/\{[^}]+\}/g) || []).map(name => name.slice(1, -1));
+
+            templated.filter(name => !documented.includes(name))
+                .forEach(name => report(label, `path parameter {${name}} is not documented`));
+            documented.filter(name => !templated.includes(name))
+                .forEach(name => report(label, `path parameter ${name} is not in the path`));
+        });
+    },
+
+    'response-schema': (spec, report) => {
+        forEachOperation(spec, (pathKey, pathItem, method, operation, label) => {
+            for (const [status, response] of Object.entries(operation.responses || {})) {
+                if (!response || response.$ref || status === '204' || status === '304') continue;
+                const content = Object.entries(response.content || {});
+                if (content.length === 0 && /^2/.test(status)) {
+                    report(`${label} ${status}`, 'response has no content schema');
+                }
+                content.filter(([, media]) => !media || !media.schema)
+                    .forEach(([mediaType]) => report(`${label} ${status}`, `${mediaType} response has no schema`));
+            }
+        });
+    }
+};
+
+function lintSpec(spec, rules = LINT_RULES) {
+    const issues = [];
+    for (const [rule, check] of Object.entries(lintChecks)) {
+        const severity = rules[rule];
+        if (!severity || severity === 'off') continue;
+        check(spec, (location, message) => issues.push({ rule, severity, location, message }));
+    }
+    return issues;
+}
+
+// Schema errors and lint results of one spec, split by severity
+function validateSpec(spec, options = {}) {
+    const issues = [...validateSchema(spec), ...lintSpec(spec, normalizeLintRules(options.lintRules))];
+    return {
+        errors: issues.filter(issue => issue.severity === 'error'),
+        warnings: issues.filter(issue => issue.severity === 'warn')
+    };
+}
+
+// Schema errors always fail an export, lint errors only in strict mode
+function isFailedValidation(validation, strict) {
+    return validation.errors.some(issue => strict || issue.rule === 'openapi-schema');
+}
+
+// JSON report of the validation results of an export
+function buildValidationReport(results) {
+    const collections = results
+        .filter(result => result.validation)
+        .map(({ name, file, success, validation }) => ({ name, file, success, ...validation }));
+    return {
+        collections,
+        summary: {
+            errors: collections.reduce((total, entry) => total + entry.errors.length, 0),
+            warnings: collections.reduce((total, entry) => total + entry.warnings.length, 0),
+            failed: results.filter(result => !result.success).length
+        }
+    };
+}
+
+module.exports = {
+    LINT_RULES,
+    SpecValidationError,
+    normalizeLintRules,
+    formatIssue,
+    validateSchema,
+    lintSpec,
+    validateSpec,
+    isFailedValidation,
+    buildValidationReport
+};
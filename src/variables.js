@@ -0,0 +1,107 @@
+const VARIABLE_PATTERN = /\{\{([^{}]+)\}\}/g;
+const MAX_NESTING = 5;
+
+// Merge collection variables with environment values, the environment wins like it does in Postman.
+// Secret values are kept as markers only, so nothing downstream can write them out.
+function buildVariableContext(collection, environment) {
+    const context = {};
+
+    for (const variable of (collection && collection.variable) || []) {
+        if (!variable.key || variable.disabled) continue;
+        context[variable.key] = { value: variable.value, secret: false, source: 'collection' };
+    }
+
+    for (const value of (environment && environment.values) || []) {
+        if (!value.key || value.enabled === false) continue;
+        context[value.key] = value.type === 'secret'
+            ? { secret: true, source: 'environment' }
+            : { value: value.value, secret: false, source: 'environment' };
+    }
+
+    return context;
+}
+
+function resolveValue(key, context, depth = 0) {
+    const entry = context[key];
+    if (!entry || entry.secret || entry.value === undefined || entry.value === null) return undefined;
+
+    const value = String(entry.value);
+    if (depth >= MAX_NESTING) return value;
+
+    // Values may reference other variables, e.g. baseUrl = {{host}}/v1
+    return value.replace(VARIABLE_PATTERN, (match, name) => {
+        const nested = resolveValue(name.trim(), context, depth + 1);
+        return nested === undefined ? match : nested;
+    });
+}
+
+// Replace {{variables}} everywhere in the collection (URLs, bodies, saved examples).
+// Secret and unknown variables are left as placeholders.
+function replaceVariables(collectionData, context) {
+    const serialized = JSON.stringify(collectionData).replace(VARIABLE_PATTERN, (match, name) => {
+        const value = resolveValue(name.trim(), context);
+        // Escape for the surrounding JSON string
+        return value === undefined ? match : JSON.stringify(value).slice(1, -1);
+    });
+    return JSON.parse(serialized);
+}
+
+function getRawUrl(url) {
+    if (!url) return '';
+    if (typeof url === 'string') return url;
+    if (url.raw) return url.raw;
+    const host = Array.isArray(url.host) ? url.host.join('.') : url.host || '';
+    return `${url.protocol ? `${url.protocol}://` : ''}${host}${url.port ? `:${url.port}` : ''}`;
+}
+
+function collectServerUrls(items, servers = new Set()) {
+    for (const item of items || []) {
+        if (item.item) {
+            collectServerUrls(item.item, servers);
+        } else if (item.request) {
+            const match = getRawUrl(item.request.url).trim().match(/^((?:[a-z][a-z0-9+.-]*:\/\/)?[^/?#]+)/i);
+            if (match) servers.add(match[1]);
+        }
+    }
+    return servers;
+}
+
+function buildServer(url, context, environmentName) {
+    const variables = {};
+    const template = url.replace(VARIABLE_PATTERN, (match, name) => {
+        const key = name.trim();
+        const entry = context[key];
+        const value = resolveValue(key, context);
+        let description;
+        if (entry && entry.secret) {
+            description = 'Secret value omitted';
+        } else if (value === undefined) {
+            description = 'No value found in the collection or environment variables';
+        } else if (entry.source === 'environment' && environmentName) {
+            description = `From environment "${environmentName}"`;
+        } else {
+            description = `From ${entry.source} variables`;
+        }
+        variables[key] = { default: value === undefined ? '' : value, description };
+        return `{${key}}`;
+    });
+
+    // A bare host needs a scheme to be a usable server URL
+    const serverUrl = /^([a-z][a-z0-9+.-]*:\/\/|\{)/i.test(template) ? template : `http://${template}`;
+    return Object.keys(variables).length > 0
+        ? { url: serverUrl, variables }
+        : { url: serverUrl };
+}
+
+// Build the OpenAPI servers block from the hosts the collection's requests use,
+// turning {{variables}} into server variables with their resolved defaults
+function buildServers(collection, context, environmentName) {
+    const urls = Array.from(collectServerUrls(collection.item));
+    return urls.map(url => buildServer(url, context, environmentName));
+}
+
+module.exports = {
+    buildVariableContext,
+    replaceVariables,
+    buildServers
+};
@@ -0,0 +1,122 @@
+const { spawn } = require('child_process');
+const debug = require('./debug');
+const { exportWorkspace } = require('./exporter');
+const { AuthenticationError, NotFoundError } = require('./errors');
+
+const DEFAULT_INTERVAL = 60000;
+// Consecutive failures back off up to this many intervals
+const MAX_BACKOFF_INTERVALS = 10;
+
+// A bad key or a deleted workspace won't fix itself by waiting
+function isFatal(error) {
+    return error instanceof AuthenticationError || error instanceof NotFoundError;
+}
+
+// Run a shell command with the output inherited, resolving to its exit code
+function runCommand(command, env = {}) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, { shell: true, stdio: 'inherit', env: { ...process.env, ...env } });
+        child.on('error', reject);
+        child.on('exit', (code, signal) => resolve(signal ? 1 : code));
+    });
+}
+
+function summarizeSync(results) {
+    return {
+        changed: results.filter(result => result.success && !result.skipped),
+        unchanged: results.filter(result => result.skipped),
+        failed: results.filter(result => !result.success)
+    };
+}
+
+// Poll a workspace and re-export the collections whose revision changed since the last
+// sync. The manifest in the output directory tracks the revisions, so a restarted watcher
+// picks up where it left off.
+//
+// Returns { stop, done }: stop() ends the loop after the current sync and resolves once it
+// has, done resolves when the loop ends and rejects on a fatal error.
+function watchWorkspace(workspaceId, outputDir, options = {}) {
+    const {
+        interval = DEFAULT_INTERVAL,
+        command,
+        onSync = () => {},
+        onError = () => {},
+        onCommand = () => {},
+        ...exportOptions
+    } = options;
+
+    let stopped = false;
+    let wake = null;
+    let timer = null;
+
+    function sleep(ms) {
+        return new Promise(resolve => {
+            wake = resolve;
+            timer = setTimeout(resolve, ms);
+        });
+    }
+
+    async function sync(number) {
+        const startedAt = new Date();
+        const results = await exportWorkspace(workspaceId, outputDir, {
+            ...exportOptions,
+            throwOnFailure: false,
+            allowEmpty: true
+        });
+        const summary = { number, startedAt, duration: Date.now() - startedAt.getTime(), results, ...summarizeSync(results) };
+        onSync(summary);
+
+        // Only syncs that wrote something are worth rebuilding for
+        if (command && summary.changed.length > 0) {
+            onCommand({ status: 'started', command });
+            try {
+                const code = await runCommand(command, {
+                    POSTMAN_EXPORT_OUTPUT: outputDir,
+                    POSTMAN_EXPORT_CHANGED: summary.changed.map(result => result.file).join('\n')
+                });
+                onCommand({ status: 'finished', command, code });
+            } catch (error) {
+                onCommand({ status: 'finished', command, error });
+            }
+        }
+    }
+
+    function getDelay(failures) {
+        return Math.min(interval * 2 ** failures, interval * MAX_BACKOFF_INTERVALS);
+    }
+
+    async function run() {
+        let failures = 0;
+        for (let number = 1; !stopped; number++) {
+            try {
+                await sync(number);
+                failures = 0;
+            } catch (error) {
+                if (isFatal(error)) throw error;
+                failures++;
+                debug(`Sync ${number} failed: ${error.message}`);
+                onError({ number, error, failures, retryIn: getDelay(failures) });
+            }
+            if (stopped) break;
+            await sleep(getDelay(failures));
+        }
+    }
+
+    const done = run();
+
+    return {
+        done,
+        stop() {
+            stopped = true;
+            clearTimeout(timer);
+            if (wake) wake();
+            return done.catch(() => {});
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_INTERVAL,
+    runCommand,
+    watchWorkspace
+};